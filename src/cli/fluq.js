@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+// src/cli/fluq.js
+// ESM version for FLUQ Alpha 1.0
+// The `fluq` command: one entry point for operating a node. Each subcommand
+// wraps the module that already does the work; the per-module CLIs keep working.
+//
+// Usage:
+//   fluq round run [--nodes <n>] [--daemon]
+//   fluq round show <round_id>
+//   fluq round verify <round_id> [--vrf-key <public_key_hex>]
+//   fluq collectors list
+//   fluq collectors test [name ...]
+//   fluq score <file> [--hex]
+//   fluq detect <file> [--previous <file>] [--hex]
+//   fluq balance <miner_id> [--history]
+//   fluq ledger verify
+//   fluq seed expand <round_id> <label> [--bytes <n>]
+//   fluq seed expand --seed <hex> <label> [--bytes <n>]
+//   fluq config show
+//   fluq config validate <file>
+//   fluq metrics show
+//
+// Global options:
+//   --json               print the result as JSON (default: indented key/value text)
+//   --data-dir <dir>     same as FLUQ_DATA_DIR
+//   --config <file>      config file (default FLUQ_CONFIG or fluq.config.* in cwd)
+//   --set <path>=<value> override one setting; repeatable
+//
+// Logs go to stderr so stdout only carries the result.
+// Exit codes: 0 ok, 1 error, 2 bad usage or unknown round/file, 3 a check failed.
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+import { openLedger, hashEntry } from '../ledger/roundLedger.js';
+import { verifyRoundMix } from '../mixer/mixRandomness.js';
+import { verifyRoundSeed } from '../mixer/vrf.js';
+import { createSeedRng, rngForRound } from '../mixer/seedExpander.js';
+import { openNodeRegistry, verifyRecordSignatures } from '../identity/nodeRegistry.js';
+import { createDefaultRegistry } from '../collectors/collectorRegistry.js';
+import { stopBackgroundCapture } from '../collectors/keyboardCollector.js';
+import { computeUniquenessScore } from '../scoring/uniquenessScore.js';
+import { estimateMinEntropy } from '../scoring/minEntropy.js';
+import { detectCheating } from '../detector/cheatDetector.js';
+import { openBalanceStore } from '../token/balanceStore.js';
+import { stakeOf } from '../token/staking.js';
+import { loadConfig, setConfig, loadedConfig, getConfig, validateConfigFile, scoringOptions, cheatDetectorOptions } from '../config/config.js';
+import { defaultMetricsFile } from '../metrics/metrics.js';
+import * as hashUtils from '../utils/hash.js';
+import * as logger from '../utils/logger.js';
+
+const BOOLEAN_FLAGS = new Set(['json', 'daemon', 'hex', 'history', 'help']);
+const REPEATED_FLAGS = new Set(['set']);
+
+const USAGE = `Usage: fluq <command> [options]
+
+  round run [--nodes <n>] [--daemon]          run one round (or keep running them)
+  round show <round_id>                       print a round from the ledger
+  round verify <round_id> [--vrf-key <hex>]   re-check ledger entry, mix, VRF and signatures
+  collectors list                             built-in collectors and whether they are enabled
+  collectors test [name ...]                  run collectors once and report their output
+  score <file> [--hex]                        uniqueness score and min-entropy of a file
+  detect <file> [--previous <file>] [--hex]   cheat checks on a file
+  balance <miner_id> [--history]              balance and active stake of a miner
+  ledger verify                               verify the whole hash chain
+  seed expand <round_id> <label> [--bytes <n>]
+  seed expand --seed <hex> <label> [--bytes <n>]
+  config show                                 effective settings, their hash and sources
+  config validate <file>                      check a config file on its own
+  metrics show                                last metrics dump (Prometheus text)
+
+Options: --json (JSON output), --data-dir <dir> (FLUQ_DATA_DIR),
+         --config <file>, --set <path>=<value> (repeatable), --help`;
+
+function fail(message, exitCode) {
+  return Object.assign(new Error(message), { exitCode });
+}
+
+const usageError = (message) => fail(`${message}\n\n${USAGE}`, 2);
+
+/**
+ * parseArgs(argv)
+ * `--name value` and `--flag` options anywhere on the line; the rest are positionals.
+ * Repeatable options (--set) collect into an array.
+ * @returns {{ positional: string[], options: Record<string, string|string[]|boolean> }}
+ */
+export function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const name = arg.slice(2, eq > 0 ? eq : undefined);
+    let value;
+    if (eq > 0) value = arg.slice(eq + 1);
+    else if (BOOLEAN_FLAGS.has(name)) value = true;
+    else if (i + 1 < argv.length) value = argv[++i];
+    else throw usageError(`--${name} needs a value`);
+    if (REPEATED_FLAGS.has(name)) (options[name] ||= []).push(value);
+    else options[name] = value;
+  }
+  return { positional, options };
+}
+
+/** Indented key/value text for the default (non-JSON) output. */
+export function renderText(value, indent = '') {
+  const scalar = (v) => (v === null || v === undefined ? '-' : String(v));
+  if (Array.isArray(value)) {
+    if (value.length === 0) return `${indent}(none)`;
+    if (value.every(v => v === null || typeof v !== 'object')) return `${indent}${value.map(scalar).join(', ')}`;
+    return value.map(v => `${indent}-\n${renderText(v, `${indent}  `)}`).join('\n');
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([k, v]) => {
+      if (v && typeof v === 'object' && !(Array.isArray(v) && v.every(x => x === null || typeof x !== 'object'))) {
+        return `${indent}${k}:\n${renderText(v, `${indent}  `)}`;
+      }
+      return `${indent}${k}: ${Array.isArray(v) ? renderText(v) : scalar(v)}`;
+    }).join('\n');
+  }
+  return `${indent}${scalar(value)}`;
+}
+
+function readInput(file, { hex = false } = {}) {
+  if (!file) throw usageError('missing <file>');
+  if (!fs.existsSync(file)) throw fail(`File '${file}' not found`, 2);
+  if (!hex) return fs.readFileSync(file);
+  const text = fs.readFileSync(file, 'utf8').replace(/0x/gi, '').replace(/\s+/g, '');
+  if (!/^([0-9a-f]{2})*$/i.test(text)) throw fail(`File '${file}' is not hex`, 2);
+  return Buffer.from(text, 'hex');
+}
+
+function ledgerEntry(roundId) {
+  if (!roundId) throw usageError('missing <round_id>');
+  const ledger = openLedger();
+  const entry = ledger.get(roundId);
+  if (!entry) throw fail(`Round '${roundId}' not found in ${ledger.file}`, 2);
+  return { ledger, entry };
+}
+
+/** Short form of a round record for text output. */
+function roundSummary(record, seq = null) {
+  return {
+    round_id: record.round_id,
+    epoch: record.epoch ?? null,
+    seq,
+    config_hash: record.config_hash ?? null,
+    timestamp: record.timestamp,
+    prev_root_hash: record.prev_root_hash,
+    R_round: record.R_round,
+    reveals: (record.reveals || []).map(r => r.node_id),
+    missing_reveals: record.missing_reveals || [],
+    rejected: (record.rejected || []).length,
+    score: record.score,
+    cheated: record.cheated,
+    awarded: record.awarded
+  };
+}
+
+/* -------------------- Commands -------------------- */
+// Each returns { result, ok? }; ok === false exits with code 3.
+
+const commands = {
+  async 'round run'(args, opts) {
+    // --nodes is shorthand for --set round.local_nodes=<n>
+    if (opts.nodes !== undefined) setConfig(loadProcessConfig({ ...opts, set: [...(opts.set || []), `round.local_nodes=${opts.nodes}`] }));
+    const { runRound, runDaemon, openConfiguredMetrics } = await import('../index.js');
+    if (opts.daemon) {
+      await runDaemon();
+      return { result: null, detached: true };
+    }
+    const metrics = openConfiguredMetrics();
+    let record;
+    try {
+      record = await runRound();
+    } finally {
+      await metrics.close();
+    }
+    const seq = openLedger().get(record.round_id)?.seq ?? null;
+    return { result: opts.json ? record : roundSummary(record, seq) };
+  },
+
+  async 'round show'([roundId], opts) {
+    const { entry } = ledgerEntry(roundId);
+    return { result: opts.json ? entry : roundSummary(entry.record, entry.seq) };
+  },
+
+  async 'round verify'([roundId], opts) {
+    const { ledger, entry } = ledgerEntry(roundId);
+    const { record } = entry;
+    const chain = ledger.verifyChain();
+    const chainErrors = chain.errors.filter(e => e.seq === entry.seq).map(e => e.reason);
+    if (hashEntry({ seq: entry.seq, prev_hash: entry.prev_hash, record }) !== entry.hash && chainErrors.length === 0) {
+      chainErrors.push('entry hash mismatch (record modified)');
+    }
+    const mix = verifyRoundMix(record);
+    const vrf = record.vrf ? verifyRoundSeed(record, opts['vrf-key']) : null;
+    const signatures = verifyRecordSignatures(record, openNodeRegistry());
+    const checks = {
+      ledger: { ok: chainErrors.length === 0, errors: chainErrors, chain_valid: chain.valid },
+      mix: { ok: mix.valid, reason: mix.reason },
+      vrf: vrf ? { ok: vrf.valid, reason: vrf.reason } : { ok: null, reason: 'round has no vrf block' },
+      signatures: { ok: signatures.ok, checked: signatures.checked, issues: signatures.issues }
+    };
+    const ok = Object.values(checks).every(c => c.ok !== false);
+    return { result: { round_id: roundId, seq: entry.seq, ok, checks }, ok };
+  },
+
+  async 'collectors list'() {
+    return { result: createDefaultRegistry().list() };
+  },
+
+  async 'collectors test'(names) {
+    const registry = createDefaultRegistry({ fallback: false });
+    const defs = names.length ? names.map(n => registry.get(n) || (() => { throw fail(`Unknown collector '${n}'`, 2); })()) : registry.active();
+    const ctx = { roundId: `collector-test-${Date.now()}`, nodeId: null };
+    try {
+      const results = [];
+      for (const def of defs) {
+        const res = await registry.runOne(def, ctx);
+        const est = res.raw && res.raw.length ? estimateMinEntropy(res.raw) : null;
+        results.push({
+          name: res.name,
+          status: res.status,
+          bytes: res.buffer ? res.buffer.length : 0,
+          digest: res.buffer ? hashUtils.sha256(res.buffer) : null,
+          claimed_bits: res.claimedBits,
+          min_entropy_bits: est ? est.totalMinEntropyBits : null,
+          healthy: res.health ? res.health.healthy : null,
+          duration_ms: res.durationMs,
+          reason: res.reason,
+          report: res.report
+        });
+      }
+      return { result: results };
+    } finally {
+      stopBackgroundCapture();
+    }
+  },
+
+  async score([file], opts) {
+    const buf = readInput(file, { hex: opts.hex });
+    const res = computeUniquenessScore([buf], { ...scoringOptions(), rawSamples: [buf] });
+    const { minEntropy, ...breakdown } = res.breakdown;
+    const est = minEntropy && minEntropy.sources[0];
+    return {
+      result: {
+        file,
+        bytes: buf.length,
+        score: res.score,
+        category: res.category,
+        breakdown: opts.json ? res.breakdown : breakdown,
+        min_entropy: est ? { bits: est.bits, per_sample: est.perSample, limiting: est.limitingEstimator } : null
+      }
+    };
+  },
+
+  async detect([file], opts) {
+    const buf = readInput(file, { hex: opts.hex });
+    const previous = opts.previous ? readInput(opts.previous, { hex: opts.hex }) : null;
+    const res = detectCheating(buf, previous, cheatDetectorOptions());
+    return { result: { file, bytes: buf.length, previous: opts.previous || null, cheated: res.cheated, reason: res.reason }, ok: !res.cheated };
+  },
+
+  async balance([minerId], opts) {
+    if (!minerId) throw usageError('missing <miner_id>');
+    const store = openBalanceStore();
+    const result = { miner_id: minerId, balance: store.balance(minerId), staked: stakeOf(store, minerId) };
+    if (opts.history) result.transactions = store.history(minerId);
+    return { result };
+  },
+
+  async 'ledger verify'() {
+    const ledger = openLedger();
+    const report = ledger.verifyChain();
+    return { result: { file: ledger.file, ...report }, ok: report.valid };
+  },
+
+  async 'seed expand'(args, opts) {
+    const nBytes = parseInt(opts.bytes ?? '32', 10);
+    if (!(nBytes > 0)) throw usageError('--bytes must be a positive integer');
+    if (opts.seed) {
+      const [label] = args;
+      if (label === undefined) throw usageError('missing <label>');
+      if (!/^([0-9a-f]{2})+$/i.test(opts.seed)) throw usageError('--seed must be hex');
+      return { result: { seed: opts.seed, label, bytes: nBytes, hex: createSeedRng(opts.seed, label).bytes(nBytes).toString('hex') } };
+    }
+    const [roundId, label] = args;
+    if (label === undefined) throw usageError('missing <label>');
+    const { entry } = ledgerEntry(roundId);
+    return { result: { round_id: roundId, label, bytes: nBytes, hex: rngForRound(entry.record, label).bytes(nBytes).toString('hex') } };
+  },
+
+  async 'config show'() {
+    const { config, hash, file, sources } = loadedConfig();
+    return { result: { hash, file, sources, config } };
+  },
+
+  async 'metrics show'(args, opts) {
+    const file = getConfig().metrics.file || defaultMetricsFile();
+    const source = opts.json ? `${file}.json` : file;
+    if (!fs.existsSync(source)) throw fail(`No metrics dump at ${source} (run a round first)`, 2);
+    const text = fs.readFileSync(source, 'utf8');
+    return { result: opts.json ? JSON.parse(text) : text.trimEnd() };
+  },
+
+  async 'config validate'([file]) {
+    if (!file) throw usageError('missing <file>');
+    if (!fs.existsSync(file)) throw fail(`File '${file}' not found`, 2);
+    const report = validateConfigFile(file);
+    return { result: report, ok: report.ok };
+  }
+};
+
+/** Group commands take their sub-command from the second word. */
+const GROUPS = new Set(['round', 'collectors', 'ledger', 'seed', 'config', 'metrics']);
+
+/** Commands that must work while the process config is broken. */
+const NO_CONFIG = new Set(['config validate']);
+
+/** loadConfig() for --config / --set; invalid settings are a usage error. */
+function loadProcessConfig(options) {
+  try {
+    return loadConfig({ file: options.config || null, sets: options.set || [] });
+  } catch (err) {
+    if (err.code !== 'ECONFIG') throw err;
+    throw fail(err.message, 2);
+  }
+}
+
+/**
+ * main(argv)
+ * @param {string[]} argv - arguments after `fluq`
+ * @returns {Promise<number>} exit code
+ */
+export async function main(argv = process.argv.slice(2)) {
+  let json = argv.includes('--json');
+  try {
+    const { positional, options } = parseArgs(argv);
+    json = !!options.json;
+    if (options.help || positional.length === 0) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (options['data-dir']) process.env.FLUQ_DATA_DIR = options['data-dir'];
+    logger.logToStderr();
+
+    const [group, sub] = positional;
+    const name = GROUPS.has(group) ? `${group} ${sub ?? ''}`.trim() : group;
+    const command = commands[name];
+    if (!command) throw usageError(`Unknown command '${name}'`);
+    if (!NO_CONFIG.has(name)) setConfig(loadProcessConfig(options));
+
+    const out = await command(positional.slice(GROUPS.has(group) ? 2 : 1), options);
+    if (out.detached) return null;
+    console.log(json ? JSON.stringify(out.result, null, 2) : renderText(out.result));
+    return out.ok === false ? 3 : 0;
+  } catch (err) {
+    const code = err.exitCode || 1;
+    if (json) console.log(JSON.stringify({ error: err.message.split('\n')[0], exit_code: code }, null, 2));
+    console.error(code === 1 ? `Error (fluq): ${err?.message ?? err}` : err.message);
+    return code;
+  }
+}
+
+/* -------------------- CLI -------------------- */
+const __filename = fileURLToPath(import.meta.url);
+// npm links the bin, so compare real paths
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  main().then((code) => {
+    // The daemon keeps running and exits on its own signals
+    if (code !== null) process.exit(code);
+  });
+}
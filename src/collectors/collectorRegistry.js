@@ -0,0 +1,286 @@
+// src/collectors/collectorRegistry.js
+// ESM version for FLUQ Alpha 1.0
+// Collector registry with a declared collector interface.
+//
+// A collector is a plain object:
+//   {
+//     name:           'cpu',                       // unique id, used in round records
+//     collect(ctx):   async -> Buffer | hex string | { hex } | { bytes, raw, health, report, claimedBits }
+//                     (raw = unconditioned samples, one byte each, for min-entropy estimation;
+//                      health = runHealthTests() result on the raw samples;
+//                      report = free-form JSON about the capture, kept in the round record;
+//                      claimedBits = lower claim for this output, e.g. 0 for replayed input)
+//     minEntropyBits: 64,                          // estimated min-entropy claim per collect()
+//     timeoutMs:      5000,                        // collect() is abandoned after this
+//     isAvailable(ctx): boolean | Promise<boolean> // false -> skipped (or fallback) this round
+//     description:    'optional free text'
+//   }
+// ctx is { roundId, nodeId } plus anything the caller adds. The built-in
+// collectors take their health test settings from collectors.<name>.health
+// unless ctx.<name>.health is given.
+//
+// Collectors are enabled/disabled by config (collectors.* in src/config/schema.js):
+//   FLUQ_COLLECTORS=crypto,cpu            -> only these, in this order
+//   FLUQ_DISABLED_COLLECTORS=mouse        -> everything except these
+//
+// collectAll() reports per collector whether it contributed ('ok') or a
+// fallback was used ('unavailable' | 'timeout' | 'error' | 'empty' | 'unhealthy').
+// A collector whose raw samples fail the health tests is 'unhealthy' for the round.
+
+import crypto from 'crypto';
+
+import * as cryptoCollector from './cryptoCollector.js';
+import * as cpuCollector from './cpuNoiseCollector.js';
+import * as keyboardCollector from './keyboardCollector.js';
+import * as mouseBridge from './mouseBridge.js';
+import { getConfig, cpuCollectorOptions, collectorHealthOptions } from '../config/config.js';
+import { recordCollectorRun } from '../metrics/metrics.js';
+
+export const COLLECTOR_STATUS = Object.freeze({
+  OK: 'ok',
+  UNAVAILABLE: 'unavailable',
+  TIMEOUT: 'timeout',
+  ERROR: 'error',
+  EMPTY: 'empty',
+  UNHEALTHY: 'unhealthy'
+});
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * defineCollector(spec)
+ * Validates a collector against the interface and fills defaults.
+ * @returns {object} frozen collector definition
+ */
+export function defineCollector(spec = {}) {
+  if (typeof spec.name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(spec.name)) {
+    throw new TypeError('defineCollector: name must be a simple identifier string');
+  }
+  if (typeof spec.collect !== 'function') {
+    throw new TypeError(`defineCollector(${spec.name}): collect(ctx) must be a function`);
+  }
+  const minEntropyBits = spec.minEntropyBits ?? 0;
+  if (typeof minEntropyBits !== 'number' || minEntropyBits < 0) {
+    throw new TypeError(`defineCollector(${spec.name}): minEntropyBits must be a non-negative number`);
+  }
+  const timeoutMs = spec.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  if (typeof timeoutMs !== 'number' || timeoutMs <= 0) {
+    throw new TypeError(`defineCollector(${spec.name}): timeoutMs must be a positive number`);
+  }
+
+  return Object.freeze({
+    name: spec.name,
+    description: spec.description || '',
+    collect: spec.collect,
+    minEntropyBits,
+    timeoutMs,
+    isAvailable: typeof spec.isAvailable === 'function' ? spec.isAvailable : () => true
+  });
+}
+
+/** Normalize any returned collector value into a Buffer (null when empty). */
+export function normalizeToBuffer(x) {
+  if (!x) return null;
+  if (Buffer.isBuffer(x)) return x.length ? x : null;
+  if (x instanceof Uint8Array) return x.length ? Buffer.from(x) : null;
+  if (Array.isArray(x)) return x.length ? Buffer.from(x.map(v => Number(v) & 0xff)) : null;
+  if (typeof x === 'string') {
+    // assume hex (strip 0x if present)
+    const s = x.replace(/^0x/, '');
+    if (s.length === 0) return null;
+    // if string length odd or not hex, treat as utf8
+    if (!/^[0-9a-fA-F]+$/.test(s) || s.length % 2 !== 0) return Buffer.from(s, 'utf8');
+    return Buffer.from(s, 'hex');
+  }
+  if (typeof x === 'object' && Buffer.isBuffer(x.bytes)) return normalizeToBuffer(x.bytes);
+  if (typeof x === 'object' && typeof x.hex === 'string') return normalizeToBuffer(x.hex);
+  return null;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(`timed out after ${ms}ms`), { code: 'ETIMEOUT' })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * CollectorRegistry
+ * Ordered set of collector definitions plus enable/disable configuration.
+ */
+export class CollectorRegistry {
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.enabled] - only these names, in this order
+   * @param {string[]} [options.disabled] - skip these names
+   * @param {boolean} [options.fallback=true] - substitute 32 OS random bytes for failed collectors
+   */
+  constructor(options = {}) {
+    this.collectors = new Map();
+    this.enabled = options.enabled && options.enabled.length ? options.enabled : null;
+    this.disabled = new Set(options.disabled || []);
+    this.fallback = options.fallback !== false;
+  }
+
+  /** Register (or replace) a collector. Accepts a spec or a defineCollector() result. */
+  register(spec) {
+    const def = defineCollector(spec);
+    this.collectors.set(def.name, def);
+    return def;
+  }
+
+  unregister(name) {
+    return this.collectors.delete(name);
+  }
+
+  get(name) {
+    return this.collectors.get(name) || null;
+  }
+
+  /** Apply enable/disable lists (e.g. from env or a config file). */
+  configure({ enabled, disabled, fallback } = {}) {
+    if (enabled !== undefined) this.enabled = enabled;
+    if (disabled !== undefined) this.disabled = new Set(disabled || []);
+    if (fallback !== undefined) this.fallback = fallback !== false;
+    return this;
+  }
+
+  /** Collectors that will run, in order. */
+  active() {
+    const names = this.enabled || [...this.collectors.keys()];
+    return names
+      .filter(n => !this.disabled.has(n))
+      .map(n => this.collectors.get(n))
+      .filter(Boolean);
+  }
+
+  /** Descriptive listing (no functions), including disabled collectors. */
+  list() {
+    const activeNames = new Set(this.active().map(c => c.name));
+    return [...this.collectors.values()].map(c => ({
+      name: c.name,
+      description: c.description,
+      minEntropyBits: c.minEntropyBits,
+      timeoutMs: c.timeoutMs,
+      enabled: activeNames.has(c.name)
+    }));
+  }
+
+  /**
+   * runOne(def, ctx)
+   * @returns {Promise<{ name, status, buffer, raw, health, report, fallback, claimedBits, durationMs, reason }>}
+   */
+  async runOne(def, ctx = {}) {
+    const started = Date.now();
+    const done = (status, buffer, reason = null, raw = null, health = null, report = null, claimed = def.minEntropyBits) => {
+      const fellBack = status !== COLLECTOR_STATUS.OK;
+      return recordCollectorRun({
+        name: def.name,
+        status,
+        buffer: fellBack ? (this.fallback ? crypto.randomBytes(32) : null) : buffer,
+        raw: fellBack ? null : raw,
+        health: health ? { healthy: health.healthy, failures: health.failures || [] } : null,
+        report,
+        fallback: fellBack && this.fallback,
+        claimedBits: fellBack ? 0 : claimed,
+        durationMs: Date.now() - started,
+        reason
+      });
+    };
+
+    try {
+      const available = await def.isAvailable(ctx);
+      if (!available) return done(COLLECTOR_STATUS.UNAVAILABLE, null, 'isAvailable() returned false');
+    } catch (err) {
+      return done(COLLECTOR_STATUS.UNAVAILABLE, null, `isAvailable() threw: ${err?.message ?? err}`);
+    }
+
+    try {
+      const out = await withTimeout(Promise.resolve().then(() => def.collect(ctx)), def.timeoutMs);
+      const buf = normalizeToBuffer(out);
+      const detailed = out && typeof out === 'object' && !Buffer.isBuffer(out);
+      const health = detailed && out.health ? out.health : null;
+      if (health && health.healthy === false) {
+        return done(COLLECTOR_STATUS.UNHEALTHY, null, `health test failed: ${(health.failures || []).join('; ')}`, null, health);
+      }
+      if (!buf) return done(COLLECTOR_STATUS.EMPTY, null, 'collect() returned no data');
+      const raw = detailed && out.raw ? normalizeToBuffer(out.raw) : null;
+      // A collector may claim less than it declared for one output, never more
+      const claimed = detailed && typeof out.claimedBits === 'number' ? Math.max(0, Math.min(out.claimedBits, def.minEntropyBits)) : def.minEntropyBits;
+      return done(COLLECTOR_STATUS.OK, buf, null, raw, health, detailed && out.report ? out.report : null, claimed);
+    } catch (err) {
+      if (err && err.code === 'ETIMEOUT') return done(COLLECTOR_STATUS.TIMEOUT, null, err.message);
+      if (err && err.code === 'EHEALTH') return done(COLLECTOR_STATUS.UNHEALTHY, null, err.message, null, err.health);
+      return done(COLLECTOR_STATUS.ERROR, null, err?.message ?? String(err));
+    }
+  }
+
+  /**
+   * collectAll(ctx)
+   * Runs every active collector concurrently.
+   * @returns {Promise<Array<object>>} results in registry order
+   */
+  async collectAll(ctx = {}) {
+    return Promise.all(this.active().map(def => this.runOne(def, ctx)));
+  }
+}
+
+/** ctx with ctx[name].health defaulted from the config (keyboard nests it under `timing`). */
+function withHealth(ctx, name, wrap = (h) => h) {
+  const own = ctx[name] || {};
+  return { ...ctx, [name]: { health: wrap(collectorHealthOptions(name)), ...own } };
+}
+
+/** Built-in collectors shipped with FLUQ. */
+export const BUILTIN_COLLECTORS = [
+  {
+    name: 'mouse',
+    description: 'Browser pointer movement sent to the node, or a replayed trace (src/collectors/mouseBridge.js)',
+    minEntropyBits: 32,
+    timeoutMs: 5000,
+    isAvailable: (ctx) => mouseBridge.isAvailable(ctx),
+    collect: (ctx) => mouseBridge.collect(withHealth(ctx, 'mouse'))
+  },
+  {
+    name: 'keyboard',
+    description: 'Keypress timings (src/collectors/keyboardCollector.js): background pool, interactive TTY or replay',
+    minEntropyBits: 32,
+    timeoutMs: 5000,
+    isAvailable: (ctx) => keyboardCollector.isAvailable(ctx),
+    collect: (ctx) => keyboardCollector.collect(withHealth(ctx, 'keyboard', (timing) => ({ timing })))
+  },
+  {
+    name: 'cpu',
+    description: 'CPU timing jitter via process.hrtime',
+    minEntropyBits: 64,
+    timeoutMs: 5000,
+    collect: (ctx) => cpuCollector.collect({ ...cpuCollectorOptions(), ...(ctx.cpu || {}), includeRaw: true })
+  },
+  {
+    name: 'crypto',
+    description: 'OS CSPRNG via crypto.randomBytes(32)',
+    minEntropyBits: 256,
+    timeoutMs: 2000,
+    collect: async (ctx) => {
+      const bytes = await cryptoCollector.collect(ctx.roundId ?? null);
+      return { bytes, raw: bytes };
+    }
+  }
+];
+
+/**
+ * createDefaultRegistry(options)
+ * Registry with the built-in collectors, configured from options or the
+ * collectors section of the config (FLUQ_COLLECTORS / FLUQ_DISABLED_COLLECTORS).
+ */
+export function createDefaultRegistry(options = {}) {
+  const config = getConfig().collectors;
+  const registry = new CollectorRegistry({
+    enabled: options.enabled ?? config.enabled,
+    disabled: options.disabled ?? config.disabled,
+    fallback: options.fallback ?? config.fallback
+  });
+  for (const spec of BUILTIN_COLLECTORS) registry.register(spec);
+  return registry;
+}
@@ -1,8 +1,10 @@
 // src/collectors/cpuNoiseCollector.js
 // ES module version for FLUQ Alpha 1.0
 // Exports: async function collect(options = {}) -> returns Buffer (sha512 digest of raw timing samples)
+// Raw deltas pass the repetition count / adaptive proportion health tests before hashing.
 
 import crypto from 'crypto';
+import { runHealthTests } from './healthTests.js';
 
 /**
  * Collect CPU timing jitter and return a fixed-size entropy blob as a Buffer.
@@ -13,12 +15,18 @@ import crypto from 'crypto';
  *   - durationMs: maximum time to sample (default 2000 ms)
  *   - sampleTarget: desired number of raw timing samples (default 4096)
  *   - busyWork: inner-loop iterations to create measurable jitter (default 20)
+ *   - includeRaw: when true, return { bytes, raw, health } where raw holds the low byte
+ *     of every timing delta (for min-entropy estimation before hashing)
+ *   - health: options for runHealthTests() on the raw deltas (default { H: 1 });
+ *     pass false to skip. Without includeRaw an unhealthy run throws (code 'EHEALTH').
  */
 export async function collect(options = {}) {
   const {
     durationMs = 2000,
     sampleTarget = 4096,
-    busyWork = 20
+    busyWork = 20,
+    includeRaw = false,
+    health: healthOptions = {}
   } = options;
 
   const startTime = process.hrtime.bigint();
@@ -49,6 +57,9 @@ export async function collect(options = {}) {
   const endMs = Date.now();
   const actualDurationMs = endMs - startMs;
 
+  // Health tests on the unconditioned deltas: a stuck timer still hashes to perfect-looking output
+  const health = healthOptions === false ? null : runHealthTests(samples, { H: 1, ...healthOptions });
+
   // Pack samples into a Buffer (little-endian 64-bit per sample)
   const buf = Buffer.allocUnsafe(samples.length * 8);
   for (let i = 0; i < samples.length; i++) {
@@ -60,6 +71,19 @@ export async function collect(options = {}) {
   const hashAlgo = 'sha512';
   const digest = crypto.createHash(hashAlgo).update(buf).digest(); // Buffer (64 bytes)
 
+  if (includeRaw) {
+    const raw = Buffer.allocUnsafe(samples.length);
+    for (let i = 0; i < samples.length; i++) raw[i] = samples[i] & 0xff;
+    return { bytes: digest, raw, health };
+  }
+
+  if (health && !health.healthy) {
+    const err = new Error(`cpuNoiseCollector: health test failed (${health.failures.join('; ')})`);
+    err.code = 'EHEALTH';
+    err.health = health;
+    throw err;
+  }
+
   // Note: we return the raw digest Buffer so the index/safeCollect normalization handles it
   return digest;
 }
@@ -109,9 +133,11 @@ export async function collectDetailed(options = {}) {
   const E_i_hex = crypto.createHash(hashAlgo).update(buf).digest('hex');
 
   const stats = computeStats(samples);
+  const health = options.health === false ? null : runHealthTests(samples, { H: 1, ...(options.health || {}) });
 
   return {
     E_i: '0x' + E_i_hex,
+    health,
     rawSampleCount: samples.length,
     durationMs: actualDurationMs,
     rawSamplesPreview: samples.slice(0, Math.min(200, samples.length)),
@@ -2,6 +2,7 @@
 // Node.js module that collects secure entropy from the OS CSPRNG (ES module)
 
 import crypto from 'crypto';
+import { fileURLToPath } from 'url';
 
 /**
  * collectCryptoEntropy(roundId)
@@ -41,7 +42,8 @@ export function getRandomBufferSync(size = 32) {
 }
 
 /* CLI test runner */
-if (import.meta.url === `file://${process.cwd()}/src/collectors/cryptoCollector.js` || import.meta.url.endsWith('/src/collectors/cryptoCollector.js')) {
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
   (async () => {
     try {
       const sample = await collectCryptoEntropy(`test-round-${Date.now()}`);
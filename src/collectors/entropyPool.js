@@ -0,0 +1,353 @@
+// src/collectors/entropyPool.js
+// ESM version for FLUQ Alpha 1.0
+// Long-lived entropy pool in the style of Fortuna (Ferguson & Schneier,
+// "Practical Cryptography", ch. 10), built on Node crypto only.
+//
+//   - Collectors keep feeding events; each source spreads its events
+//     round-robin over 32 pools (running SHA-256 hashes).
+//   - Reseed number r drains pool i only when 2^i divides r, so pool i is used
+//     every 2^i reseeds. A source that is compromised or weak can fill the low
+//     pools, but the higher pools keep accumulating honest input until one
+//     reseed carries enough of it to recover.
+//   - Reseeds happen when a draw finds pool 0 holding at least minPoolSize
+//     bytes and at least reseedIntervalMs have passed since the last one.
+//   - The generator is AES-256-CTR keyed by K = SHA-256d(K || pool digests);
+//     K is replaced after every request, so earlier output cannot be recovered.
+//   - A seed file ($FLUQ_DATA_DIR/entropy-pool.seed) carries generator state
+//     across restarts and is rewritten on every load and draw.
+//
+// createPoolFeeder() polls every active collector on its own timer, so a slow
+// source (keyboard, mouse) never holds back a round; draw() reports what each
+// source fed in since the previous draw.
+//
+// Usage (CLI):
+//   node src/collectors/entropyPool.js status
+//   node src/collectors/entropyPool.js draw [nBytes] [feedMs]
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { defaultDataDir } from '../ledger/roundLedger.js';
+import { createDefaultRegistry } from './collectorRegistry.js';
+
+const POOL_COUNT = 32;
+const BLOCK = 16;
+const MAX_REQUEST_BYTES = 2 ** 20;
+const SEED_FILE_BYTES = 64;
+const RAW_KEEP_BYTES = 4096;   // raw samples kept per source between draws, for min-entropy estimates
+
+const DEFAULTS = {
+  minPoolSize: 64,
+  reseedIntervalMs: 100
+};
+
+function sha256d(...parts) {
+  const inner = crypto.createHash('sha256');
+  for (const p of parts) inner.update(p);
+  return crypto.createHash('sha256').update(inner.digest()).digest();
+}
+
+function lp(x) {
+  const b = Buffer.isBuffer(x) ? x : Buffer.from(String(x), 'utf8');
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(b.length, 0);
+  return Buffer.concat([len, b]);
+}
+
+function emptySourceStats() {
+  return { events: 0, bytes: 0, claimedBits: 0, digest: crypto.createHash('sha256'), raw: [], rawBytes: 0, health: null, lastAt: null };
+}
+
+/**
+ * EntropyPool
+ */
+export class EntropyPool {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.minPoolSize=64] - bytes pool 0 needs before a reseed
+   * @param {number} [options.reseedIntervalMs=100] - minimum time between reseeds
+   * @param {string|null} [options.seedFile] - default $FLUQ_DATA_DIR/entropy-pool.seed; null disables it
+   * @param {() => number} [options.now]
+   */
+  constructor(options = {}) {
+    this.minPoolSize = options.minPoolSize ?? DEFAULTS.minPoolSize;
+    this.reseedIntervalMs = options.reseedIntervalMs ?? DEFAULTS.reseedIntervalMs;
+    this.seedFile = options.seedFile === null ? null : (options.seedFile || path.join(defaultDataDir(), 'entropy-pool.seed'));
+    this.now = typeof options.now === 'function' ? options.now : Date.now;
+
+    this.pools = Array.from({ length: POOL_COUNT }, () => ({ hash: crypto.createHash('sha256'), length: 0 }));
+    this.key = Buffer.alloc(32, 0);
+    this.counter = 0n;               // 0 means the generator is not seeded yet
+    this.reseeds = 0;
+    this.lastReseedAt = null;
+    this.lastPoolsUsed = [];
+    this.sourceCounters = new Map(); // source -> events so far (picks the next pool)
+    this.sources = new Map();        // source -> stats since the last draw
+    this.totals = new Map();         // source -> { events, bytes } since start
+    this.draws = 0;
+  }
+
+  /** True once the generator has been reseeded from the pools or a seed file. */
+  isSeeded() {
+    return this.counter !== 0n;
+  }
+
+  /** True when randomData() can succeed: seeded already, or pool 0 is full enough to seed. */
+  canDraw() {
+    return this.isSeeded() || this.pools[0].length >= this.minPoolSize;
+  }
+
+  /**
+   * addRandomEvent(source, data, info)
+   * @param {string} source - collector name
+   * @param {Buffer} data
+   * @param {{ claimedBits?: number, raw?: Buffer, health?: object }} [info] - kept for the draw report
+   */
+  addRandomEvent(source, data, info = {}) {
+    if (typeof source !== 'string' || !source) throw new TypeError('addRandomEvent: source must be a non-empty string');
+    if (!Buffer.isBuffer(data) || data.length === 0) throw new TypeError('addRandomEvent: data must be a non-empty Buffer');
+
+    const n = this.sourceCounters.get(source) || 0;
+    this.sourceCounters.set(source, n + 1);
+    const pool = this.pools[n % POOL_COUNT];
+    const event = Buffer.concat([lp(source), lp(data)]);
+    pool.hash.update(event);
+    pool.length += event.length;
+
+    if (!this.sources.has(source)) this.sources.set(source, emptySourceStats());
+    const s = this.sources.get(source);
+    s.events++;
+    s.bytes += data.length;
+    s.claimedBits += info.claimedBits || 0;
+    s.digest.update(data);
+    s.lastAt = this.now();
+    if (info.health) s.health = info.health;
+    if (info.raw && info.raw.length) {
+      s.raw.push(info.raw);
+      s.rawBytes += info.raw.length;
+      while (s.rawBytes - s.raw[0].length >= RAW_KEEP_BYTES) s.rawBytes -= s.raw.shift().length;
+    }
+
+    const t = this.totals.get(source) || { events: 0, bytes: 0 };
+    t.events++;
+    t.bytes += data.length;
+    this.totals.set(source, t);
+  }
+
+  _reseedGenerator(seed) {
+    this.key = sha256d(this.key, seed);
+    this.counter += 1n;
+  }
+
+  _reseedFromPools() {
+    this.reseeds++;
+    const parts = [];
+    const used = [];
+    for (let i = 0; i < POOL_COUNT; i++) {
+      if (this.reseeds % 2 ** i !== 0) break;
+      const pool = this.pools[i];
+      parts.push(crypto.createHash('sha256').update(pool.hash.digest()).digest());
+      this.pools[i] = { hash: crypto.createHash('sha256'), length: 0 };
+      used.push(i);
+    }
+    this._reseedGenerator(Buffer.concat(parts));
+    this.lastReseedAt = this.now();
+    this.lastPoolsUsed = used;
+  }
+
+  _generateBlocks(k) {
+    const iv = Buffer.alloc(BLOCK);
+    iv.writeBigUInt64BE(this.counter >> 64n, 0);
+    iv.writeBigUInt64BE(this.counter & 0xffffffffffffffffn, 8);
+    const cipher = crypto.createCipheriv('aes-256-ctr', this.key, iv);
+    const out = Buffer.concat([cipher.update(Buffer.alloc(k * BLOCK)), cipher.final()]);
+    this.counter += BigInt(k);
+    return out;
+  }
+
+  /**
+   * randomData(n)
+   * Reseeds first when pool 0 is full enough, then generates n bytes and rekeys.
+   * @returns {Buffer}
+   * @throws {Error} while the generator has never been seeded
+   */
+  randomData(n) {
+    if (!Number.isInteger(n) || n < 0 || n > MAX_REQUEST_BYTES) {
+      throw new RangeError(`randomData: n must be an integer in [0, ${MAX_REQUEST_BYTES}]`);
+    }
+    const due = this.lastReseedAt === null || this.now() - this.lastReseedAt >= this.reseedIntervalMs;
+    if (this.pools[0].length >= this.minPoolSize && due) this._reseedFromPools();
+    if (!this.isSeeded()) throw new Error('EntropyPool: not seeded yet (pool 0 needs more events)');
+    const out = this._generateBlocks(Math.ceil(n / BLOCK)).subarray(0, n);
+    this.key = this._generateBlocks(2);
+    return Buffer.from(out);
+  }
+
+  /**
+   * draw(n)
+   * randomData(n) plus what each source fed in since the previous draw.
+   * @returns {{ bytes: Buffer, sources: Array<object>, reseeds: number, pools_used: number[] }}
+   *   sources: [{ name, events, bytes, claimed_bits, digest, raw, health, last_at }]
+   */
+  draw(n = 64) {
+    const bytes = this.randomData(n);
+    const sources = [...this.sources.entries()].map(([name, s]) => ({
+      name,
+      events: s.events,
+      bytes: s.bytes,
+      claimed_bits: s.claimedBits,
+      digest: s.digest.digest('hex'),
+      raw: s.raw.length ? Buffer.concat(s.raw) : null,
+      health: s.health,
+      last_at: s.lastAt
+    }));
+    this.sources = new Map();
+    this.draws++;
+    if (this.seedFile) this.saveSeedFile();
+    return { bytes, sources, reseeds: this.reseeds, pools_used: this.lastPoolsUsed.slice() };
+  }
+
+  /** Resolves once pool 0 can seed the generator (or it already is). */
+  async waitUntilSeeded({ timeoutMs = 10000, pollMs = 50 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (!this.canDraw()) {
+      if (Date.now() >= deadline) return false;
+      await new Promise(r => setTimeout(r, pollMs));
+    }
+    return true;
+  }
+
+  /** Writes fresh generator output to the seed file (mode 0600). */
+  saveSeedFile() {
+    if (!this.seedFile || !this.isSeeded()) return false;
+    fs.mkdirSync(path.dirname(this.seedFile), { recursive: true });
+    const tmp = `${this.seedFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, this.randomData(SEED_FILE_BYTES), { mode: 0o600 });
+    fs.renameSync(tmp, this.seedFile);
+    return true;
+  }
+
+  /**
+   * loadSeedFile()
+   * Reseeds the generator from the seed file and overwrites it straight away,
+   * so the same seed is never used twice.
+   * @returns {boolean} whether a seed file was found
+   */
+  loadSeedFile() {
+    if (!this.seedFile || !fs.existsSync(this.seedFile)) return false;
+    const seed = fs.readFileSync(this.seedFile);
+    if (seed.length !== SEED_FILE_BYTES) throw new Error(`EntropyPool: ${this.seedFile} must hold ${SEED_FILE_BYTES} bytes`);
+    this._reseedGenerator(seed);
+    this.saveSeedFile();
+    return true;
+  }
+
+  status() {
+    return {
+      seeded: this.isSeeded(),
+      reseeds: this.reseeds,
+      draws: this.draws,
+      last_reseed_at: this.lastReseedAt ? new Date(this.lastReseedAt).toISOString() : null,
+      pool0_bytes: this.pools[0].length,
+      pool_bytes: this.pools.map(p => p.length),
+      sources: Object.fromEntries(this.totals)
+    };
+  }
+}
+
+/** Convenience: pool with the default seed file, restored from it when present. */
+export function openEntropyPool(options = {}) {
+  const pool = new EntropyPool(options);
+  pool.loadSeedFile();
+  return pool;
+}
+
+/**
+ * createPoolFeeder(pool, registry, options)
+ * Polls every active collector on its own timer and feeds healthy output into
+ * the pool. Fallback bytes are never fed in. Timers are unref'd.
+ * @param {EntropyPool} pool
+ * @param {import('./collectorRegistry.js').CollectorRegistry} [registry] - default registry when omitted
+ * @param {{ intervalMs?: number, intervals?: Record<string, number>, ctx?: object }} [options]
+ *   intervals overrides the poll interval per collector name
+ * @returns {{ start(): void, stop(): Promise<void>, feedOnce(): Promise<number>, running: () => boolean }}
+ */
+export function createPoolFeeder(pool, registry = createDefaultRegistry(), options = {}) {
+  const intervalMs = options.intervalMs || 1000;
+  const ctx = { roundId: null, nodeId: 'pool', ...(options.ctx || {}) };
+  const timers = new Map();
+  const inFlight = new Set();
+  let running = false;
+
+  async function feed(def) {
+    const r = await registry.runOne(def, ctx);
+    if (r.status !== 'ok' || !r.buffer) return 0;
+    pool.addRandomEvent(def.name, r.buffer, { claimedBits: r.claimedBits, raw: r.raw, health: r.health });
+    return 1;
+  }
+
+  function schedule(def, delay) {
+    if (!running) return;
+    const t = setTimeout(() => {
+      const p = feed(def).catch(() => 0).finally(() => {
+        inFlight.delete(p);
+        schedule(def, (options.intervals && options.intervals[def.name]) || intervalMs);
+      });
+      inFlight.add(p);
+    }, delay);
+    t.unref?.();
+    timers.set(def.name, t);
+  }
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      for (const def of registry.active()) schedule(def, 0);
+    },
+    async stop() {
+      running = false;
+      for (const t of timers.values()) clearTimeout(t);
+      timers.clear();
+      await Promise.all([...inFlight]);
+    },
+    /** One pass over every active collector; resolves to the number of events fed. */
+    async feedOnce() {
+      const fed = await Promise.all(registry.active().map(def => feed(def).catch(() => 0)));
+      return fed.reduce((a, b) => a + b, 0);
+    },
+    running: () => running
+  };
+}
+
+/* -------------------- CLI -------------------- */
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  const [cmd, a, b] = process.argv.slice(2);
+  (async () => {
+    const pool = openEntropyPool();
+    if (cmd === 'status') {
+      console.log(JSON.stringify({ seed_file: pool.seedFile, ...pool.status() }, null, 2));
+    } else if (cmd === 'draw') {
+      const feeder = createPoolFeeder(pool, createDefaultRegistry(), { intervalMs: 200 });
+      feeder.start();
+      await new Promise(r => setTimeout(r, parseInt(b || '1000', 10)));
+      await pool.waitUntilSeeded();
+      await feeder.stop();
+      const out = pool.draw(parseInt(a || '64', 10));
+      console.log(JSON.stringify({
+        hex: out.bytes.toString('hex'),
+        reseeds: out.reseeds,
+        pools_used: out.pools_used,
+        sources: out.sources.map(s => ({ name: s.name, events: s.events, bytes: s.bytes, claimed_bits: s.claimed_bits }))
+      }, null, 2));
+    } else {
+      console.log('Usage: node src/collectors/entropyPool.js <status|draw [nBytes] [feedMs]>');
+    }
+  })().catch(err => {
+    console.error('Error (entropyPool CLI):', err?.message ?? err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,141 @@
+// src/collectors/healthTests.js
+// ES module version for FLUQ Alpha 1.0
+// Continuous health tests for raw collector samples (NIST SP 800-90B, section 4.4).
+// Run these on unconditioned samples, BEFORE hashing: a stuck timer or a
+// replayed keystroke pattern still hashes to output that looks perfect.
+//
+// Exports:
+//   repetitionCountCutoff(H, alpha)            -> C for the repetition count test
+//   adaptiveProportionCutoff(H, window, alpha) -> C for the adaptive proportion test
+//   repetitionCountTest(samples, options)
+//   adaptiveProportionTest(samples, options)
+//   runHealthTests(samples, options)           -> { healthy, rct, apt, ... }
+//
+// Cutoffs are derived from the assessed min-entropy per sample H and the
+// false-positive probability alpha (default 2^-20), unless given explicitly.
+
+const DEFAULT_ALPHA = 2 ** -20;
+const DEFAULT_WINDOW = 512;
+
+/** Samples may be numbers, bigints, strings or Buffers; compare them by value. */
+function key(x) {
+  if (typeof x === 'bigint') return x.toString();
+  if (Buffer.isBuffer(x)) return x.toString('hex');
+  return x;
+}
+
+/**
+ * repetitionCountCutoff(H, alpha)
+ * C = 1 + ceil(-log2(alpha) / H)
+ */
+export function repetitionCountCutoff(H, alpha = DEFAULT_ALPHA) {
+  if (!(H > 0)) throw new RangeError('repetitionCountCutoff: H must be > 0');
+  return 1 + Math.ceil(-Math.log2(alpha) / H);
+}
+
+/**
+ * adaptiveProportionCutoff(H, window, alpha)
+ * C = 1 + CRITBINOM(window, 2^-H, 1 - alpha), i.e. one more than the smallest k
+ * with P(X <= k) >= 1 - alpha for X ~ Binomial(window, 2^-H).
+ */
+export function adaptiveProportionCutoff(H, window = DEFAULT_WINDOW, alpha = DEFAULT_ALPHA) {
+  if (!(H > 0)) throw new RangeError('adaptiveProportionCutoff: H must be > 0');
+  const p = Math.min(1, 2 ** -H);
+  const n = window;
+  if (p >= 1) return window;
+
+  // Binomial pmf in log space, accumulated from the upper tail down
+  const logP = Math.log(p);
+  const logQ = Math.log1p(-p);
+  const logPmf = new Float64Array(n + 1);
+  let logChoose = 0;
+  for (let k = 0; k <= n; k++) {
+    if (k > 0) logChoose += Math.log(n - k + 1) - Math.log(k);
+    logPmf[k] = logChoose + k * logP + (n - k) * logQ;
+  }
+  let tail = 0;
+  for (let k = n; k >= 0; k--) {
+    tail += Math.exp(logPmf[k]);
+    if (tail > alpha) {
+      // P(X > k) <= alpha while P(X > k - 1) > alpha: k is CRITBINOM
+      return Math.min(window, k + 1);
+    }
+  }
+  return 1;
+}
+
+/**
+ * repetitionCountTest(samples, { cutoff, H, alpha })
+ * Fails if any value repeats `cutoff` or more times in a row.
+ * @returns {{ passed: boolean, cutoff: number, longestRun: number, failedAt: number|null }}
+ */
+export function repetitionCountTest(samples, options = {}) {
+  const cutoff = options.cutoff ?? repetitionCountCutoff(options.H ?? 1, options.alpha ?? DEFAULT_ALPHA);
+  let run = 0;
+  let longest = 0;
+  let prev;
+  let failedAt = null;
+  for (let i = 0; i < samples.length; i++) {
+    const k = key(samples[i]);
+    run = (i > 0 && k === prev) ? run + 1 : 1;
+    prev = k;
+    if (run > longest) longest = run;
+    if (failedAt === null && run >= cutoff) failedAt = i;
+  }
+  return { passed: failedAt === null, cutoff, longestRun: longest, failedAt };
+}
+
+/**
+ * adaptiveProportionTest(samples, { window, cutoff, H, alpha })
+ * Non-overlapping windows; fails if the first value of a window occurs
+ * `cutoff` or more times within that window. A trailing partial window is ignored.
+ * @returns {{ passed: boolean, cutoff: number, window: number, maxCount: number, windows: number, failedAt: number|null }}
+ */
+export function adaptiveProportionTest(samples, options = {}) {
+  const window = options.window ?? DEFAULT_WINDOW;
+  const cutoff = options.cutoff ?? adaptiveProportionCutoff(options.H ?? 1, window, options.alpha ?? DEFAULT_ALPHA);
+  let maxCount = 0;
+  let windows = 0;
+  let failedAt = null;
+  for (let start = 0; start + window <= samples.length; start += window) {
+    windows++;
+    const a = key(samples[start]);
+    let b = 1;
+    for (let i = start + 1; i < start + window; i++) {
+      if (key(samples[i]) === a) b++;
+    }
+    if (b > maxCount) maxCount = b;
+    if (failedAt === null && b >= cutoff) failedAt = start;
+  }
+  return { passed: failedAt === null, cutoff, window, maxCount, windows, failedAt };
+}
+
+/**
+ * runHealthTests(samples, options)
+ * Options:
+ *   - H: assessed min-entropy per sample in bits (default 1)
+ *   - alpha: false-positive probability per test (default 2^-20)
+ *   - rctCutoff / aptCutoff: explicit cutoffs (override H/alpha)
+ *   - window: adaptive proportion window (default 512)
+ * @returns {{ healthy: boolean, sampleCount: number, rct: object, apt: object, failures: string[] }}
+ */
+export function runHealthTests(samples, options = {}) {
+  const H = options.H ?? 1;
+  const alpha = options.alpha ?? DEFAULT_ALPHA;
+  const list = Array.isArray(samples) ? samples : Array.from(samples || []);
+
+  const rct = repetitionCountTest(list, { cutoff: options.rctCutoff, H, alpha });
+  const apt = adaptiveProportionTest(list, { cutoff: options.aptCutoff, window: options.window, H, alpha });
+
+  const failures = [];
+  if (!rct.passed) failures.push(`repetition count: ${rct.longestRun} identical samples in a row (cutoff ${rct.cutoff})`);
+  if (!apt.passed) failures.push(`adaptive proportion: ${apt.maxCount}/${apt.window} samples equal (cutoff ${apt.cutoff})`);
+
+  return {
+    healthy: failures.length === 0,
+    sampleCount: list.length,
+    rct,
+    apt,
+    failures
+  };
+}
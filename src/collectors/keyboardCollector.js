@@ -2,16 +2,44 @@
 // ESM Node.js keyboard entropy collector for FLUQ Alpha 1.0
 // Usage (module): import { collectKeyboardEntropy } from './collectors/keyboardCollector.js'
 // Usage (CLI):  node src/collectors/keyboardCollector.js
+//               node src/collectors/keyboardCollector.js record <file> [samples]
+//               node src/collectors/keyboardCollector.js replay <file> [round_id]
+// options.health: { timing: {...}, keys: {...} } runHealthTests() options for the raw
+// inter-key timings and key bytes, or false to skip. The result carries `health`.
+//
+// collect(ctx) is the registry entry point. It never holds stdin for longer
+// than captureMs, and picks one of three modes (ctx.keyboard.mode or FLUQ_KEYBOARD_MODE):
+//   background (default)  a raw-mode stdin listener keeps filling a pool across
+//                         rounds; collect() drains it at once. Long-running
+//                         processes start the listener explicitly
+//                         (startConfiguredCapture(), the daemon does); until
+//                         then the collector is unavailable
+//   interactive           capture keypresses on the TTY for up to captureMs
+//   replay                inter-key timings recorded to a file (FLUQ_KEYBOARD_REPLAY_FILE);
+//                         not fresh entropy, so replayed results claim 0 bits
+// Only inter-key timing is used unless includeKeys is set, so what was typed
+// does not end up in a digest. Every result carries a `report` with the mode,
+// sample count, capture duration, interval statistics and how many bytes of
+// each sample are timing versus key content.
 
 import crypto from 'crypto';
+import fs from 'fs';
 import { fileURLToPath } from 'url';
 import path from 'path';
+import { runHealthTests } from './healthTests.js';
+import { getConfig } from '../config/config.js';
+
+const hrNow = () => {
+  try { return process.hrtime.bigint(); }
+  catch (e) { return BigInt(Date.now()) * 1000000n; }
+};
 
 export async function collectKeyboardEntropy(roundId = 'round-0', options = {}) {
   const {
     sampleCount = 64,
     maxDurationMs = 15000,
-    interactive = false
+    interactive = false,
+    health: healthOptions = {}
   } = options;
 
   if (interactive) {
@@ -22,13 +50,8 @@ export async function collectKeyboardEntropy(roundId = 'round-0', options = {})
 
   const samples = [];
 
-  const nowNs = () => {
-    try { return process.hrtime.bigint(); }
-    catch (e) { return BigInt(Date.now()) * 1000000n; }
-  };
-
   return new Promise((resolve, reject) => {
-    let lastTs = nowNs();
+    let lastTs = hrNow();
 
     function finish(reason = 'done') {
       try {
@@ -57,11 +80,28 @@ export async function collectKeyboardEntropy(roundId = 'round-0', options = {})
       }
 
       const digest = hash.digest(); // Buffer (64 bytes)
+
+      // Health tests on the raw samples (before the sha512 above can hide anything):
+      // inter-key timing in microseconds, and the key content itself.
+      let health = null;
+      if (healthOptions !== false) {
+        const timing = runHealthTests(samples.map(s => Number(s.delta / 1000n)), { H: 1, ...(healthOptions.timing || {}) });
+        const keys = runHealthTests(samples.map(s => (s.key ? Buffer.from(s.key).toString('hex') : '')), { H: 0.5, ...(healthOptions.keys || {}) });
+        health = {
+          healthy: timing.healthy && keys.healthy,
+          sampleCount: samples.length,
+          timing,
+          keys,
+          failures: [...timing.failures.map(f => `timing ${f}`), ...keys.failures.map(f => `keys ${f}`)]
+        };
+      }
+
       resolve({
         roundId,
         bytes: digest,
         hex: digest.toString('hex'),
-        samplesCount: samples.length
+        samplesCount: samples.length,
+        health
       });
     }
 
@@ -74,7 +114,7 @@ export async function collectKeyboardEntropy(roundId = 'round-0', options = {})
       process.stdin.resume();
 
       process.stdin.on('data', (chunk) => {
-        const ts = nowNs();
+        const ts = hrNow();
         const delta = ts - lastTs;
         lastTs = ts;
         samples.push({ ts, delta, key: Buffer.from(String(chunk)) });
@@ -99,7 +139,7 @@ export async function collectKeyboardEntropy(roundId = 'round-0', options = {})
 
     function onData(chunk) {
       try {
-        const ts = nowNs();
+        const ts = hrNow();
         const delta = ts - lastTs;
         lastTs = ts;
         const buf = Buffer.from(String(chunk), 'binary');
@@ -140,11 +180,314 @@ export async function collectKeyboardEntropy(roundId = 'round-0', options = {})
   });
 }
 
+export const KEYBOARD_MODES = Object.freeze(['background', 'interactive', 'replay']);
+
+const KEYBOARD_DEFAULTS = {
+  captureMs: 3000,        // interactive: stays under the registry's 5 s timeout
+  sampleCount: 64,        // interactive: stop early after this many keypresses
+  minSamples: 16,         // background/replay: fewer samples than this is not enough
+  maxPoolSamples: 4096,   // background: oldest samples are dropped beyond this
+  replaySamples: 64,      // replay: samples used per round
+  includeKeys: false
+};
+
+const TIMING_BYTES = 8;   // each sample contributes a u64 inter-key interval in ns
+
+function keyboardOptions(ctx = {}) {
+  const k = ctx.keyboard || {};
+  return {
+    ...KEYBOARD_DEFAULTS,
+    mode: getConfig().collectors.keyboard.mode,
+    file: getConfig().collectors.keyboard.replay_file,
+    ...k
+  };
+}
+
+/**
+ * Samples are { delta: bigint ns, key: Buffer|null }. Digest, raw bytes,
+ * health and report are built the same way in every mode. A replayed digest
+ * depends only on the round, the node and the recorded timings.
+ */
+function buildKeyboardResult(mode, samples, ctx, options, durationMs) {
+  const includeKeys = !!options.includeKeys;
+  const replay = mode === 'replay';
+  const hash = crypto.createHash('sha512');
+  hash.update(`FLUQ-KBD|${ctx.roundId ?? ''}|${ctx.nodeId ?? ''}|${replay ? 'replay' : hrNow()}`);
+  const delta = Buffer.alloc(TIMING_BYTES);
+  let keyBytes = 0;
+  for (const s of samples) {
+    delta.writeBigUInt64BE(s.delta < 0n ? 0n : s.delta);
+    hash.update(delta);
+    if (includeKeys && s.key) {
+      hash.update(s.key);
+      keyBytes += s.key.length;
+    }
+  }
+
+  // Raw bytes for the estimator: low byte of each interval in microseconds
+  const micros = samples.map(s => Number(s.delta / 1000n));
+  const raw = Buffer.from(micros.map(us => us & 0xff));
+
+  let health = null;
+  if (options.health !== false && samples.length > 0) {
+    const timing = runHealthTests(micros, { H: 1, ...((options.health && options.health.timing) || {}) });
+    health = { healthy: timing.healthy, sampleCount: samples.length, timing, failures: timing.failures.map(f => `timing ${f}`) };
+  }
+
+  const ms = micros.map(us => us / 1000).sort((a, b) => a - b);
+  const round2 = (x) => Number(x.toFixed(2));
+  const timingTotal = samples.length * TIMING_BYTES;
+  return {
+    bytes: hash.digest(),
+    raw,
+    health,
+    report: {
+      mode,
+      samples: samples.length,
+      duration_ms: Math.round(durationMs),
+      interval_ms: ms.length
+        ? { min: round2(ms[0]), median: round2(ms[Math.floor(ms.length / 2)]), max: round2(ms[ms.length - 1]) }
+        : null,
+      sample_bytes: {
+        timing: TIMING_BYTES,
+        key: samples.length ? round2(keyBytes / samples.length) : 0
+      },
+      timing_fraction: timingTotal + keyBytes > 0 ? round2(timingTotal / (timingTotal + keyBytes)) : 1
+    },
+    ...(replay ? { claimedBits: 0 } : {})
+  };
+}
+
+/** In raw mode Ctrl+C arrives as a byte instead of SIGINT; hand it back to the process. */
+function forwardInterrupt(buf) {
+  if (buf.includes(0x03)) {
+    stopBackgroundCapture();
+    process.kill(process.pid, 'SIGINT');
+    return true;
+  }
+  return false;
+}
+
+const pool = {
+  running: false,
+  listener: null,
+  lastTs: null,
+  startedAt: null,
+  samples: [],
+  drained: 0
+};
+let interactiveBusy = false;
+
+/**
+ * startBackgroundCapture(options)
+ * Listens on stdin in raw mode and pools keypress timings until
+ * stopBackgroundCapture(). stdin is unref'd, so the listener never keeps the
+ * process alive.
+ * @returns {boolean} false when stdin is not a TTY
+ */
+export function startBackgroundCapture(options = {}) {
+  if (pool.running) return true;
+  if (!process.stdin || !process.stdin.isTTY) return false;
+  const maxPoolSamples = options.maxPoolSamples || KEYBOARD_DEFAULTS.maxPoolSamples;
+  pool.lastTs = hrNow();
+  pool.startedAt = Date.now();
+  pool.listener = (chunk) => {
+    const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), 'binary');
+    if (forwardInterrupt(buf)) return;
+    const ts = hrNow();
+    pool.samples.push({ delta: ts - pool.lastTs, key: buf });
+    pool.lastTs = ts;
+    if (pool.samples.length > maxPoolSamples) pool.samples.shift();
+  };
+  process.stdin.setRawMode && process.stdin.setRawMode(true);
+  process.stdin.on('data', pool.listener);
+  process.stdin.resume();
+  process.stdin.unref && process.stdin.unref();
+  pool.running = true;
+  process.stderr.write('FLUQ keyboard: pooling keypress timings in the background (key content is not used)\n');
+  return true;
+}
+
+/**
+ * startConfiguredCapture(config)
+ * Starts the background listener when the config runs the keyboard collector
+ * in background mode. For long-running processes, called once at start.
+ * @returns {boolean} whether the listener is running
+ */
+export function startConfiguredCapture(config = getConfig()) {
+  const c = config.collectors;
+  const active = (!c.enabled || c.enabled.includes('keyboard')) && !c.disabled.includes('keyboard');
+  if (!active || c.keyboard.mode !== 'background') return false;
+  return startBackgroundCapture();
+}
+
+/** Stops the background listener and restores the terminal. Pooled samples are kept. */
+export function stopBackgroundCapture() {
+  if (!pool.running) return;
+  process.stdin.removeListener('data', pool.listener);
+  try {
+    process.stdin.setRawMode && process.stdin.setRawMode(false);
+    process.stdin.pause();
+  } catch (e) { /* ignore */ }
+  pool.listener = null;
+  pool.running = false;
+}
+
+/** @returns {{ running: boolean, pooled: number, drained: number, since: string|null }} */
+export function backgroundStatus() {
+  return {
+    running: pool.running,
+    pooled: pool.samples.length,
+    drained: pool.drained,
+    since: pool.startedAt ? new Date(pool.startedAt).toISOString() : null
+  };
+}
+
+/** Interactive capture: up to sampleCount keypresses or captureMs, whichever comes first. */
+function captureInteractive(options) {
+  return new Promise((resolve) => {
+    const samples = [];
+    const started = Date.now();
+    let lastTs = hrNow();
+    let timer = null;
+
+    const finish = () => {
+      clearTimeout(timer);
+      process.stdin.removeListener('data', onData);
+      try {
+        process.stdin.setRawMode && process.stdin.setRawMode(false);
+        process.stdin.pause();
+      } catch (e) { /* ignore */ }
+      resolve({ samples, durationMs: Date.now() - started });
+    };
+
+    function onData(chunk) {
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), 'binary');
+      if (buf.includes(0x03)) {
+        finish();
+        process.kill(process.pid, 'SIGINT');
+        return;
+      }
+      if (buf.includes(0x1b)) return finish();
+      const ts = hrNow();
+      samples.push({ delta: ts - lastTs, key: buf });
+      lastTs = ts;
+      if (samples.length >= options.sampleCount) finish();
+    }
+
+    process.stderr.write(`FLUQ keyboard: type for up to ${Math.round(options.captureMs / 1000)}s (ESC to stop)\n`);
+    process.stdin.setRawMode && process.stdin.setRawMode(true);
+    process.stdin.on('data', onData);
+    process.stdin.resume();
+    timer = setTimeout(finish, options.captureMs);
+  });
+}
+
+/**
+ * loadKeystrokeTimings(file)
+ * One { "delta_us": n } object per line (or a JSON array of numbers), as
+ * written by the `record` CLI command. Key content is never stored.
+ * @returns {number[]} inter-key intervals in microseconds
+ */
+export function loadKeystrokeTimings(file) {
+  const text = fs.readFileSync(file, 'utf8').trim();
+  const list = text.startsWith('[')
+    ? JSON.parse(text)
+    : text.split('\n').filter(l => l.trim()).map(l => JSON.parse(l).delta_us);
+  list.forEach((us, i) => {
+    if (!Number.isFinite(us) || us < 0) throw new TypeError(`loadKeystrokeTimings: ${file}: entry ${i} is not a non-negative number`);
+  });
+  return list;
+}
+
+const replayCursors = new Map();
+
+function replayWindow(file, count) {
+  const list = loadKeystrokeTimings(file);
+  if (list.length === 0) return [];
+  const start = replayCursors.get(file) || 0;
+  const n = Math.min(count, list.length);
+  const out = [];
+  for (let i = 0; i < n; i++) out.push(list[(start + i) % list.length]);
+  replayCursors.set(file, (start + n) % list.length);
+  return out;
+}
+
+/**
+ * isAvailable(ctx)
+ * background is available once the listener runs and minSamples keypresses
+ * are pooled; interactive needs a TTY; replay a file.
+ */
+export function isAvailable(ctx = {}) {
+  const o = keyboardOptions(ctx);
+  if (o.mode === 'replay') return !!o.file && fs.existsSync(o.file);
+  if (o.mode === 'interactive') return !!(process.stdin && process.stdin.isTTY) && !pool.running && !interactiveBusy;
+  if (o.mode === 'background') return pool.running && pool.samples.length >= o.minSamples;
+  return false;
+}
+
+/**
+ * collect(ctx)
+ * @param {object} ctx - { roundId, nodeId, keyboard?: { mode, file, captureMs, sampleCount, minSamples, includeKeys, health } }
+ * @returns {Promise<{ bytes: Buffer, raw: Buffer, health: object|null, report: object, claimedBits?: number }>}
+ */
+export async function collect(ctx = {}) {
+  const o = keyboardOptions(ctx);
+  if (!KEYBOARD_MODES.includes(o.mode)) {
+    throw new Error(`keyboardCollector: unknown mode '${o.mode}' (use ${KEYBOARD_MODES.join(', ')})`);
+  }
+
+  if (o.mode === 'replay') {
+    if (!o.file) throw new Error('keyboardCollector: replay mode needs FLUQ_KEYBOARD_REPLAY_FILE');
+    const micros = replayWindow(o.file, o.replaySamples);
+    if (micros.length < o.minSamples) throw new Error(`keyboardCollector: only ${micros.length} recorded timings in ${o.file}`);
+    const samples = micros.map(us => ({ delta: BigInt(Math.round(us)) * 1000n, key: null }));
+    const span = micros.reduce((a, b) => a + b, 0) / 1000;
+    return buildKeyboardResult('replay', samples, ctx, o, span);
+  }
+
+  if (o.mode === 'background') {
+    if (!pool.running) throw new Error('keyboardCollector: background capture is not running (startBackgroundCapture())');
+    if (pool.samples.length < o.minSamples) {
+      throw new Error(`keyboardCollector: only ${pool.samples.length} keypress(es) pooled, need ${o.minSamples}`);
+    }
+    // Each pooled keypress is used by one collect() only
+    const samples = pool.samples.splice(0, pool.samples.length);
+    pool.drained += samples.length;
+    const span = samples.reduce((a, s) => a + Number(s.delta / 1000n), 0) / 1000;
+    return buildKeyboardResult('background', samples, ctx, o, span);
+  }
+
+  if (!process.stdin || !process.stdin.isTTY) throw new Error('keyboardCollector: interactive mode needs a TTY');
+  if (interactiveBusy) throw new Error('keyboardCollector: an interactive capture is already running');
+  interactiveBusy = true;
+  try {
+    const { samples, durationMs } = await captureInteractive(o);
+    if (samples.length === 0) throw new Error('keyboardCollector: no keys pressed');
+    return buildKeyboardResult('interactive', samples, ctx, o, durationMs);
+  } finally {
+    interactiveBusy = false;
+  }
+}
+
 // If run directly with `node src/collectors/keyboardCollector.js`, run demo
 const __filename = fileURLToPath(import.meta.url);
 if (process.argv[1] === __filename) {
+  const [cmd, file, arg] = process.argv.slice(2);
   (async () => {
     try {
+      if (cmd === 'record' && file) {
+        // Store intervals only, never the keys themselves
+        const res = await captureInteractive({ ...KEYBOARD_DEFAULTS, sampleCount: parseInt(arg || '256', 10), captureMs: 120000 });
+        fs.writeFileSync(file, res.samples.map(s => JSON.stringify({ delta_us: Number(s.delta / 1000n) })).join('\n') + '\n');
+        console.log(JSON.stringify({ file, samples: res.samples.length, duration_ms: res.durationMs }, null, 2));
+        process.exit(0);
+      }
+      if (cmd === 'replay' && file) {
+        const res = await collect({ roundId: arg || 'replay', keyboard: { mode: 'replay', file } });
+        console.log(JSON.stringify({ hex: res.bytes.toString('hex'), healthy: res.health ? res.health.healthy : null, report: res.report }, null, 2));
+        process.exit(0);
+      }
       const res = await collectKeyboardEntropy('demo-round', { sampleCount: 64, maxDurationMs: 15000, interactive: true });
       console.log('\n\nEntropy (hex):', res.hex);
       console.log('Bytes length:', res.bytes.length);
@@ -0,0 +1,303 @@
+// src/collectors/mouseBridge.js
+// ESM version for FLUQ Alpha 1.0
+// Node-side adapter for the browser mouse collector (src/collectors/mouseCollector.js).
+//
+// Two sources, chosen by ctx.mouse.mode or FLUQ_MOUSE_SOURCE:
+//   bridge (default)  browsers POST chunks built by getEntropyChunk() to the
+//                     node (POST /collectors/mouse, src/server/httpServer.js);
+//                     they wait in mouseChunkPool and each one is used once,
+//                     only in the round it was built for (round_id) if any
+//   replay            pointer traces recorded to a file (FLUQ_MOUSE_REPLAY_FILE)
+//                     are fed through the same collector code, a window of
+//                     events per round; for tests and demos, not fresh entropy,
+//                     so replayed chunks claim 0 bits (claimedBits)
+//
+// Either way collect(ctx) returns { bytes, raw, health, report } like the other
+// collectors: bytes is the 64-byte chunk, raw the movement bytes (movementBytes()),
+// report the mode and sample count.
+//
+// Trace files hold one { "x", "y", "t" } object per line (or a JSON array),
+// t in milliseconds. syntheticPointerTrace() and feedPointerEvents() make and
+// dispatch traces without a DOM.
+//
+// Usage (CLI):
+//   node src/collectors/mouseBridge.js synthetic <file> [events]
+//   node src/collectors/mouseBridge.js replay <file> [round_id]
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+import { createMouseCollector, movementBytes } from './mouseCollector.js';
+import { runHealthTests } from './healthTests.js';
+import { getConfig } from '../config/config.js';
+
+const CHUNK_PATTERN = /^(0x)?[0-9a-f]{128}$/i;
+const DEFAULT_EVENTS_PER_CHUNK = 256;
+
+/**
+ * MouseChunkPool
+ * Chunks submitted by browsers, waiting for the next collect(). A chunk bound
+ * to a node_id is only handed to that node, and one bound to a round_id only
+ * to that round: it is dropped once another round collects. Expired chunks
+ * are dropped too.
+ */
+export class MouseChunkPool {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxChunks=64] - oldest chunks are dropped beyond this
+   * @param {number} [options.maxAgeMs=300000] - chunks older than this are never used
+   * @param {() => number} [options.now]
+   */
+  constructor(options = {}) {
+    this.maxChunks = options.maxChunks || 64;
+    this.maxAgeMs = options.maxAgeMs || 5 * 60 * 1000;
+    this.now = typeof options.now === 'function' ? options.now : Date.now;
+    this.chunks = [];
+    this.received = 0;
+    this.used = 0;
+  }
+
+  _expire() {
+    const cutoff = this.now() - this.maxAgeMs;
+    this.chunks = this.chunks.filter(c => c.received_at >= cutoff);
+  }
+
+  /**
+   * push({ chunk, samples?, raw?, node_id?, round_id? })
+   * @returns {{ queued: number }} chunks now waiting
+   * @throws {TypeError} when chunk is not a 512-bit hex digest or raw is not hex
+   */
+  push(submission = {}) {
+    const { chunk, samples = 0, raw = null, node_id: nodeId = null, round_id: roundId = null } = submission;
+    if (typeof chunk !== 'string' || !CHUNK_PATTERN.test(chunk)) {
+      throw new TypeError('chunk must be a 128-char hex SHA-512 digest');
+    }
+    if (raw !== null && (typeof raw !== 'string' || !/^([0-9a-f]{2})*$/i.test(raw))) {
+      throw new TypeError('raw must be a hex string');
+    }
+    this._expire();
+    this.chunks.push({
+      chunk: chunk.replace(/^0x/i, '').toLowerCase(),
+      samples: Math.max(0, parseInt(samples, 10) || 0),
+      raw: raw ? Buffer.from(raw, 'hex') : null,
+      node_id: nodeId ? String(nodeId) : null,
+      round_id: roundId ? String(roundId) : null,
+      received_at: this.now()
+    });
+    if (this.chunks.length > this.maxChunks) this.chunks.shift();
+    this.received++;
+    return { queued: this.chunks.length };
+  }
+
+  _index(nodeId, roundId) {
+    this._expire();
+    // A chunk built for another round can never be used again
+    if (roundId) this.chunks = this.chunks.filter(c => !c.round_id || c.round_id === roundId);
+    // Prefer a chunk bound to this node, then to this round, newest first;
+    // without a round only chunks bound to no round qualify
+    let best = -1;
+    let bestRank = -1;
+    for (let i = this.chunks.length - 1; i >= 0; i--) {
+      const c = this.chunks[i];
+      if (c.node_id && c.node_id !== nodeId) continue;
+      if (c.round_id && c.round_id !== roundId) continue;
+      const rank = (c.node_id ? 2 : 0) + (c.round_id ? 1 : 0);
+      if (rank > bestRank) {
+        best = i;
+        bestRank = rank;
+      }
+    }
+    return best;
+  }
+
+  /** True when take(nodeId, roundId) would return a chunk. */
+  has(nodeId = null, roundId = null) {
+    return this._index(nodeId, roundId) >= 0;
+  }
+
+  /** Remove and return the chunk for a node in a round, or null. */
+  take(nodeId = null, roundId = null) {
+    const i = this._index(nodeId, roundId);
+    if (i < 0) return null;
+    this.used++;
+    return this.chunks.splice(i, 1)[0];
+  }
+
+  status() {
+    this._expire();
+    return {
+      queued: this.chunks.length,
+      received: this.received,
+      used: this.used,
+      max_age_ms: this.maxAgeMs,
+      nodes: [...new Set(this.chunks.map(c => c.node_id || '*'))]
+    };
+  }
+}
+
+/** Pool shared by the HTTP server and the built-in 'mouse' collector. */
+export const mouseChunkPool = new MouseChunkPool();
+
+/**
+ * loadPointerTrace(file)
+ * @returns {Array<{ x: number, y: number, t: number }>}
+ */
+export function loadPointerTrace(file) {
+  const text = fs.readFileSync(file, 'utf8').trim();
+  const events = text.startsWith('[')
+    ? JSON.parse(text)
+    : text.split('\n').filter(l => l.trim()).map(l => JSON.parse(l));
+  events.forEach((e, i) => {
+    if (![e.x, e.y, e.t].every(Number.isFinite)) throw new TypeError(`loadPointerTrace: ${file}: event ${i} needs numeric x, y, t`);
+  });
+  return events;
+}
+
+/**
+ * syntheticPointerTrace(count, options)
+ * Random-walk pointer movement at roughly 60 Hz with jitter, for tests.
+ * @param {number} count
+ * @param {{ width?: number, height?: number, random?: (n: number) => number }} [options]
+ *   random(n) returns an integer in [0, n) (default crypto.randomInt); pass a
+ *   seeded one (src/mixer/seedExpander.js createSeedRng().randomInt) for a fixed trace
+ */
+export function syntheticPointerTrace(count, options = {}) {
+  const { width = 1920, height = 1080 } = options;
+  const random = options.random || ((n) => crypto.randomInt(n));
+  const trace = [];
+  let x = random(width);
+  let y = random(height);
+  let t = 0;
+  for (let i = 0; i < count; i++) {
+    x = Math.max(0, Math.min(width - 1, x + random(41) - 20));
+    y = Math.max(0, Math.min(height - 1, y + random(41) - 20));
+    t += 8 + random(17);
+    trace.push({ x, y, t });
+  }
+  return trace;
+}
+
+/**
+ * feedPointerEvents(target, trace)
+ * Dispatches one 'pointermove' Event per trace entry on an EventTarget.
+ * Events carry clientX, clientY and t (read back through the collector's timeOf option).
+ * @returns {number} events dispatched
+ */
+export function feedPointerEvents(target, trace) {
+  for (const p of trace) {
+    target.dispatchEvent(Object.assign(new Event('pointermove'), { clientX: p.x, clientY: p.y, t: p.t }));
+  }
+  return trace.length;
+}
+
+/**
+ * Health tests on movement bytes. The default H of 1 bit per byte (out of 8)
+ * is deliberately low for human movement (collectors.mouse.health.h).
+ */
+function movementHealth(raw, options = {}) {
+  if (options === false || raw.length === 0) return null;
+  return runHealthTests(Array.from(raw), { H: 1, ...options });
+}
+
+/**
+ * chunkFromTrace(trace, { roundId, secret })
+ * Runs a trace through createMouseCollector() and getEntropyChunk().
+ * @returns {Promise<{ chunk: string, samples: number, raw: Buffer }>}
+ */
+export async function chunkFromTrace(trace, { roundId = '', secret = '' } = {}) {
+  const target = new EventTarget();
+  const collector = createMouseCollector({ target, timeOf: (ev) => ev.t, includeDeviceFingerprint: false });
+  collector.start();
+  feedPointerEvents(target, trace);
+  collector.stop();
+  const samples = collector.getSamples();
+  const chunk = await collector.getEntropyChunk(roundId, secret);
+  return { chunk: chunk.replace(/^0x/, ''), samples: samples.length, raw: Buffer.from(movementBytes(samples)) };
+}
+
+const replayCursors = new Map();   // file -> next event index
+const replayTraces = new Map();    // file -> parsed trace
+
+function replayWindow(file, count) {
+  if (!replayTraces.has(file)) replayTraces.set(file, loadPointerTrace(file));
+  const trace = replayTraces.get(file);
+  if (trace.length === 0) return [];
+  const start = replayCursors.get(file) || 0;
+  const n = Math.min(count, trace.length);
+  const out = [];
+  for (let i = 0; i < n; i++) out.push(trace[(start + i) % trace.length]);
+  replayCursors.set(file, (start + n) % trace.length);
+  return out;
+}
+
+function resolveOptions(ctx = {}) {
+  const m = ctx.mouse || {};
+  return {
+    mode: m.mode || getConfig().collectors.mouse.source,
+    file: m.file || getConfig().collectors.mouse.replay_file,
+    eventsPerChunk: m.eventsPerChunk || DEFAULT_EVENTS_PER_CHUNK,
+    pool: m.pool || mouseChunkPool,
+    health: m.health
+  };
+}
+
+/** Whether collect(ctx) can produce a chunk right now. */
+export function isAvailable(ctx = {}) {
+  const o = resolveOptions(ctx);
+  if (o.mode === 'replay') return !!o.file && fs.existsSync(o.file);
+  if (o.mode === 'bridge') return o.pool.has(ctx.nodeId ?? null, ctx.roundId ?? null);
+  return false;
+}
+
+/**
+ * collect(ctx)
+ * @param {object} ctx - { roundId, nodeId, mouse?: { mode, file, eventsPerChunk, pool, health } }
+ * @returns {Promise<{ bytes: Buffer, raw: Buffer|null, health: object|null, report: { mode: string, samples: number }, claimedBits?: number }>}
+ */
+export async function collect(ctx = {}) {
+  const o = resolveOptions(ctx);
+  if (o.mode === 'replay') {
+    if (!o.file) throw new Error('mouseBridge: replay mode needs FLUQ_MOUSE_REPLAY_FILE');
+    const trace = replayWindow(o.file, o.eventsPerChunk);
+    const res = await chunkFromTrace(trace, { roundId: ctx.roundId ?? '', secret: crypto.randomBytes(16).toString('hex') });
+    // A recorded trace is known to anyone holding the file: it claims no entropy
+    return { bytes: Buffer.from(res.chunk, 'hex'), raw: res.raw, health: movementHealth(res.raw, o.health), report: { mode: 'replay', samples: res.samples }, claimedBits: 0 };
+  }
+  if (o.mode !== 'bridge') throw new Error(`mouseBridge: unknown mode '${o.mode}' (use bridge or replay)`);
+
+  const entry = o.pool.take(ctx.nodeId ?? null, ctx.roundId ?? null);
+  if (!entry) throw new Error('mouseBridge: no browser chunk waiting');
+  return {
+    bytes: Buffer.from(entry.chunk, 'hex'),
+    raw: entry.raw,
+    health: entry.raw ? movementHealth(entry.raw, o.health) : null,
+    report: { mode: 'bridge', samples: entry.samples }
+  };
+}
+
+/* -------------------- CLI -------------------- */
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  const [cmd, file, arg] = process.argv.slice(2);
+  (async () => {
+    if (cmd === 'synthetic' && file) {
+      const trace = syntheticPointerTrace(parseInt(arg || '1024', 10));
+      fs.writeFileSync(file, trace.map(e => JSON.stringify(e)).join('\n') + '\n');
+      console.log(JSON.stringify({ file, events: trace.length }, null, 2));
+    } else if (cmd === 'replay' && file) {
+      const res = await collect({ roundId: arg || 'replay', nodeId: null, mouse: { mode: 'replay', file } });
+      console.log(JSON.stringify({
+        hex: res.bytes.toString('hex'),
+        samples: res.report.samples,
+        raw_bytes: res.raw.length,
+        healthy: res.health ? res.health.healthy : null
+      }, null, 2));
+    } else {
+      console.log('Usage: node src/collectors/mouseBridge.js <synthetic <file> [events]|replay <file> [round_id]>');
+    }
+  })().catch(err => {
+    console.error('Error (mouseBridge CLI):', err?.message ?? err);
+    process.exit(1);
+  });
+}
@@ -2,62 +2,43 @@
 // ESM browser mouse/pointer entropy collector for FLUQ Alpha 1.0
 // Usage in browser:
 //   <script type="module">
-//     import { startMouseCollector, stopMouseCollector, getEntropyChunk } from './src/collectors/mouseCollector.js';
+//     import { startMouseCollector, stopMouseCollector, getEntropyChunk, submitEntropyChunk } from './src/collectors/mouseCollector.js';
 //     startMouseCollector();
 //     // later:
 //     const hex = await getEntropyChunk('round-123', 'optional-secret');
+//     // or hand a chunk to a local FLUQ node (src/collectors/mouseBridge.js):
+//     await submitEntropyChunk('http://127.0.0.1:8787/collectors/mouse', { roundId: 'round-123', nodeId: 'local-node-0' });
 //   </script>
+//
+// Nothing here needs a DOM: createMouseCollector({ target }) listens on any
+// EventTarget, so Node can drive it with synthetic events (mouseBridge.js).
 
 const DEFAULT_OPTIONS = {
   sampleLimit: 5000,
   sampleMinDeltaMs: 0,
   minSamplesForChunk: 16,
   includeDeviceFingerprint: true,
+  target: null,   // EventTarget to listen on (default: window)
+  timeOf: null    // (event) => ms timestamp of a sample (default: performance.now())
 };
 
-let opts = { ...DEFAULT_OPTIONS };
-let samples = [];
-let running = false;
-let pointerHandler = null;
-
-export function startMouseCollector(options = {}) {
-  if (running) return;
-  opts = { ...DEFAULT_OPTIONS, ...options };
-  samples = [];
-
-  pointerHandler = (ev) => {
-    try {
-      const t = performance.now();
-      const x = (ev.clientX !== undefined) ? ev.clientX : (ev.touches && ev.touches[0] && ev.touches[0].clientX) || 0;
-      const y = (ev.clientY !== undefined) ? ev.clientY : (ev.touches && ev.touches[0] && ev.touches[0].clientY) || 0;
-      if (opts.sampleMinDeltaMs > 0 && samples.length) {
-        const last = samples[samples.length - 1];
-        if ((t - last.t) < opts.sampleMinDeltaMs) return;
-      }
-      samples.push({ x: Math.round(x), y: Math.round(y), t: Math.round(t) });
-      if (samples.length > opts.sampleLimit) samples.shift();
-    } catch (e) {
-      // ignore
-    }
-  };
-
-  window.addEventListener('pointermove', pointerHandler, { passive: true });
-  running = true;
-}
-
-export function stopMouseCollector() {
-  if (!running) return;
-  window.removeEventListener('pointermove', pointerHandler, { passive: true });
-  pointerHandler = null;
-  running = false;
-}
-
-export function getSampleCount() {
-  return samples.length;
-}
-
-export function clearSamples() {
-  samples = [];
+/**
+ * movementBytes(samples)
+ * Unconditioned bytes for min-entropy estimation: the low byte of dx, dy and
+ * dt between consecutive samples. Sent by browsers alongside a chunk.
+ * @param {Array<{ x: number, y: number, t: number }>} samples
+ * @returns {Uint8Array}
+ */
+export function movementBytes(samples) {
+  const out = new Uint8Array(Math.max(0, samples.length - 1) * 3);
+  for (let i = 1; i < samples.length; i++) {
+    const a = samples[i - 1];
+    const b = samples[i];
+    out[(i - 1) * 3] = (b.x - a.x) & 0xff;
+    out[(i - 1) * 3 + 1] = (b.y - a.y) & 0xff;
+    out[(i - 1) * 3 + 2] = (b.t - a.t) & 0xff;
+  }
+  return out;
 }
 
 function strToArrayBuffer(str) {
@@ -82,61 +63,165 @@ function bufToHex(buffer) {
   return '0x' + hex;
 }
 
-export async function getEntropyChunk(roundId = '', secret = '') {
-  const snap = samples.slice();
-  if (snap.length < Math.max(4, opts.minSamplesForChunk)) {
-    console.warn(`mouseCollector: only ${snap.length} samples available when creating entropy chunk. More movement recommended.`);
+/**
+ * createMouseCollector(options)
+ * Independent collector instance; the module-level functions below share one default instance.
+ * @returns {{ start, stop, getSampleCount, getSamples, clearSamples, getEntropyChunk }}
+ */
+export function createMouseCollector(defaults = {}) {
+  let opts = { ...DEFAULT_OPTIONS, ...defaults };
+  let samples = [];
+  let running = false;
+  let pointerHandler = null;
+  let target = null;
+
+  function start(options = {}) {
+    if (running) return;
+    opts = { ...DEFAULT_OPTIONS, ...defaults, ...options };
+    samples = [];
+    target = opts.target || globalThis.window;
+    if (!target || typeof target.addEventListener !== 'function') {
+      throw new Error('mouseCollector: no window or EventTarget to listen on');
+    }
+    const timeOf = typeof opts.timeOf === 'function' ? opts.timeOf : () => performance.now();
+
+    pointerHandler = (ev) => {
+      try {
+        const t = timeOf(ev);
+        const x = (ev.clientX !== undefined) ? ev.clientX : (ev.touches && ev.touches[0] && ev.touches[0].clientX) || 0;
+        const y = (ev.clientY !== undefined) ? ev.clientY : (ev.touches && ev.touches[0] && ev.touches[0].clientY) || 0;
+        if (opts.sampleMinDeltaMs > 0 && samples.length) {
+          const last = samples[samples.length - 1];
+          if ((t - last.t) < opts.sampleMinDeltaMs) return;
+        }
+        samples.push({ x: Math.round(x), y: Math.round(y), t: Math.round(t) });
+        if (samples.length > opts.sampleLimit) samples.shift();
+      } catch (e) {
+        // ignore
+      }
+    };
+
+    target.addEventListener('pointermove', pointerHandler, { passive: true });
+    running = true;
   }
 
-  const buffers = [];
-  buffers.push(strToArrayBuffer(`round:${roundId}`));
-  buffers.push(strToArrayBuffer(`secret:${secret}`));
+  function stop() {
+    if (!running) return;
+    target.removeEventListener('pointermove', pointerHandler, { passive: true });
+    pointerHandler = null;
+    target = null;
+    running = false;
+  }
 
-  const now = performance.now();
-  const nowBuf = new ArrayBuffer(8);
-  new DataView(nowBuf).setFloat64(0, now);
-  buffers.push(nowBuf);
+  async function getEntropyChunk(roundId = '', secret = '') {
+    const snap = samples.slice();
+    if (snap.length < Math.max(4, opts.minSamplesForChunk)) {
+      console.warn(`mouseCollector: only ${snap.length} samples available when creating entropy chunk. More movement recommended.`);
+    }
+
+    const buffers = [];
+    buffers.push(strToArrayBuffer(`round:${roundId}`));
+    buffers.push(strToArrayBuffer(`secret:${secret}`));
+
+    const now = performance.now();
+    const nowBuf = new ArrayBuffer(8);
+    new DataView(nowBuf).setFloat64(0, now);
+    buffers.push(nowBuf);
+
+    if (opts.includeDeviceFingerprint) {
+      try {
+        const fp = [
+          navigator.userAgent || '',
+          navigator.platform || '',
+          screen?.width || 0,
+          screen?.height || 0,
+          navigator.hardwareConcurrency || 0,
+          Intl?.DateTimeFormat()?.resolvedOptions()?.timeZone || ''
+        ].join('|');
+        buffers.push(strToArrayBuffer(`fp:${fp}`));
+      } catch (e) { /* ignore */ }
+    }
+
+    if (snap.length > 0) {
+      const firstT = snap[0].t || 0;
+      const perSampleSize = 2 + 2 + 4;
+      const slab = new ArrayBuffer(snap.length * perSampleSize);
+      const dv = new DataView(slab);
+      for (let i = 0; i < snap.length; i++) {
+        const s = snap[i];
+        const x = Math.max(-32768, Math.min(32767, s.x || 0));
+        const y = Math.max(-32768, Math.min(32767, s.y || 0));
+        const dt = Math.max(0, Math.round((s.t || 0) - firstT));
+        dv.setInt16(i * perSampleSize + 0, x, true);
+        dv.setInt16(i * perSampleSize + 2, y, true);
+        dv.setUint32(i * perSampleSize + 4, dt, true);
+      }
+      buffers.push(slab);
+    }
 
-  if (opts.includeDeviceFingerprint) {
     try {
-      const fp = [
-        navigator.userAgent || '',
-        navigator.platform || '',
-        screen?.width || 0,
-        screen?.height || 0,
-        navigator.hardwareConcurrency || 0,
-        Intl?.DateTimeFormat()?.resolvedOptions()?.timeZone || ''
-      ].join('|');
-      buffers.push(strToArrayBuffer(`fp:${fp}`));
+      const jitterBuf = new ArrayBuffer(8);
+      new DataView(jitterBuf).setFloat64(0, performance.now());
+      buffers.push(jitterBuf);
     } catch (e) { /* ignore */ }
-  }
 
-  if (snap.length > 0) {
-    const firstT = snap[0].t || 0;
-    const perSampleSize = 2 + 2 + 4;
-    const slab = new ArrayBuffer(snap.length * perSampleSize);
-    const dv = new DataView(slab);
-    for (let i = 0; i < snap.length; i++) {
-      const s = snap[i];
-      const x = Math.max(-32768, Math.min(32767, s.x || 0));
-      const y = Math.max(-32768, Math.min(32767, s.y || 0));
-      const dt = Math.max(0, Math.round((s.t || 0) - firstT));
-      dv.setInt16(i * perSampleSize + 0, x, true);
-      dv.setInt16(i * perSampleSize + 2, y, true);
-      dv.setUint32(i * perSampleSize + 4, dt, true);
-    }
-    buffers.push(slab);
+    const blob = concatArrayBuffers(buffers);
+
+    // Web Crypto API — available in browsers and as globalThis.crypto in Node 19+. Returns ArrayBuffer.
+    const hashBuffer = await crypto.subtle.digest('SHA-512', blob);
+    return bufToHex(hashBuffer);
   }
 
-  try {
-    const jitterBuf = new ArrayBuffer(8);
-    new DataView(jitterBuf).setFloat64(0, performance.now());
-    buffers.push(jitterBuf);
-  } catch (e) { /* ignore */ }
+  return {
+    start,
+    stop,
+    getSampleCount: () => samples.length,
+    getSamples: () => samples.slice(),
+    clearSamples: () => { samples = []; },
+    getEntropyChunk
+  };
+}
+
+const defaultCollector = createMouseCollector();
+
+export function startMouseCollector(options = {}) {
+  defaultCollector.start(options);
+}
+
+export function stopMouseCollector() {
+  defaultCollector.stop();
+}
+
+export function getSampleCount() {
+  return defaultCollector.getSampleCount();
+}
+
+export function clearSamples() {
+  defaultCollector.clearSamples();
+}
 
-  const blob = concatArrayBuffers(buffers);
+export async function getEntropyChunk(roundId = '', secret = '') {
+  return defaultCollector.getEntropyChunk(roundId, secret);
+}
 
-  // Web Crypto API — available in browsers. Returns ArrayBuffer.
-  const hashBuffer = await crypto.subtle.digest('SHA-512', blob);
-  return bufToHex(hashBuffer);
+/**
+ * submitEntropyChunk(url, { roundId, nodeId, secret })
+ * Builds a chunk from the default collector and POSTs it to a FLUQ node
+ * (POST /collectors/mouse, see src/server/httpServer.js). The samples are
+ * cleared afterwards so the next chunk never reuses movement.
+ * @returns {Promise<object>} the node's JSON reply
+ */
+export async function submitEntropyChunk(url, { roundId = '', nodeId = null, secret = '' } = {}) {
+  const samples = defaultCollector.getSamples();
+  const chunk = await defaultCollector.getEntropyChunk(roundId, secret);
+  defaultCollector.clearSamples();
+  const raw = bufToHex(movementBytes(samples).buffer).slice(2);
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ chunk, samples: samples.length, raw, round_id: roundId || null, node_id: nodeId })
+  });
+  const body = await res.json();
+  if (!res.ok) throw new Error(`submitEntropyChunk: ${res.status} ${body.error || ''}`.trim());
+  return body;
 }
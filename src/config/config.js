@@ -0,0 +1,516 @@
+// src/config/config.js
+// ESM version for FLUQ Alpha 1.0
+// Layered configuration: schema defaults < config file < environment < command line.
+//
+//   file  fluq.config.json / .yaml / .yml in the working directory, or the
+//         file named by FLUQ_CONFIG or --config <file>. YAML files use a
+//         small subset: nested maps by indentation, scalars, [a, b] lists,
+//         "- item" lists and # comments.
+//   env   FLUQ_<SECTION>_<KEY> for every setting (FLUQ_DETECTOR_REPETITION_RATIO),
+//         plus the older names listed in src/config/schema.js (FLUQ_LOCAL_NODES)
+//   cli   --set <path>=<value>, repeatable (--set scoring.max_bits=4096)
+//
+// Every layer is checked against the schema; unknown keys, wrong types and
+// out-of-range values are all reported together (error.code 'ECONFIG').
+// The effective config hashes to config_hash = sha256(canonical JSON), which
+// each round record carries; persistRound() keeps a copy of every config a
+// round ran with under $FLUQ_DATA_DIR/configs/<config_hash>.json.
+//
+// getConfig() loads once per process from process.env and process.argv;
+// the fluq CLI and tests install their own with setConfig().
+
+import fs from 'fs';
+import path from 'path';
+
+import { CONFIG_SCHEMA, isField } from './schema.js';
+import { defaultDataDir } from '../ledger/roundLedger.js';
+import { validatePolicy } from '../token/rewardPolicy.js';
+import { sha256, canonicalJson } from '../utils/hash.js';
+
+const DEFAULT_FILES = ['fluq.config.json', 'fluq.config.yaml', 'fluq.config.yml'];
+
+function configError(message, issues = []) {
+  return Object.assign(new Error(issues.length ? `${message}:\n  ${issues.join('\n  ')}` : message), { code: 'ECONFIG', issues });
+}
+
+/* -------------------- Schema walking -------------------- */
+
+/** Every setting as { path, field }, in schema order. */
+export function schemaFields(schema = CONFIG_SCHEMA, prefix = '') {
+  const out = [];
+  for (const [key, node] of Object.entries(schema)) {
+    const p = prefix ? `${prefix}.${key}` : key;
+    if (isField(node)) out.push({ path: p, field: node });
+    else out.push(...schemaFields(node, p));
+  }
+  return out;
+}
+
+const FIELDS = new Map(schemaFields().map(f => [f.path, f.field]));
+
+/** Environment variables that set a path: the generated name, then the older one. */
+export function envNames(p) {
+  const f = FIELDS.get(p);
+  const names = [`FLUQ_${p.replace(/\./g, '_').toUpperCase()}`];
+  if (f && f.env && !names.includes(f.env)) names.push(f.env);
+  return names;
+}
+
+function getPath(target, p) {
+  return p.split('.').reduce((o, k) => (o === undefined || o === null ? undefined : o[k]), target);
+}
+
+function setPath(target, p, value) {
+  const keys = p.split('.');
+  let o = target;
+  for (const k of keys.slice(0, -1)) o = (o[k] ??= {});
+  o[keys[keys.length - 1]] = value;
+}
+
+/** Flatten a nested layer into path -> value, reporting keys the schema does not know. */
+function flattenLayer(layer, source, issues, prefix = '') {
+  const out = [];
+  if (!layer || typeof layer !== 'object' || Array.isArray(layer)) {
+    issues.push(`${prefix || '(root)'}: expected a section (${source})`);
+    return out;
+  }
+  for (const [key, value] of Object.entries(layer)) {
+    const p = prefix ? `${prefix}.${key}` : key;
+    if (FIELDS.has(p)) {
+      out.push({ path: p, value });
+    } else if ([...FIELDS.keys()].some(k => k.startsWith(`${p}.`))) {
+      out.push(...flattenLayer(value, source, issues, p));
+    } else {
+      issues.push(`${p}: unknown setting (${source})`);
+    }
+  }
+  return out;
+}
+
+/* -------------------- Values -------------------- */
+
+const TRUE = ['1', 'true', 'yes', 'on'];
+const FALSE = ['0', 'false', 'no', 'off'];
+
+/**
+ * parseValue(field, text)
+ * Converts an environment or --set string to the field's type.
+ * @throws {Error} with the reason when the text cannot be converted
+ */
+export function parseValue(f, text) {
+  const s = String(text).trim();
+  if (s === '' || s === 'null') {
+    if (f.type === 'list') return [];
+    return null;
+  }
+  switch (f.type) {
+    case 'integer':
+      if (!/^[-+]?\d+$/.test(s)) throw new Error(`'${s}' is not an integer`);
+      return Number(s);
+    case 'number':
+      if (!Number.isFinite(Number(s))) throw new Error(`'${s}' is not a number`);
+      return Number(s);
+    case 'boolean':
+      if (TRUE.includes(s.toLowerCase())) return true;
+      if (FALSE.includes(s.toLowerCase())) return false;
+      throw new Error(`'${s}' is not a boolean (use true/false)`);
+    case 'list':
+      return s.replace(/^\[|\]$/g, '').split(',').map(x => x.trim()).filter(Boolean);
+    case 'object':
+      try {
+        return JSON.parse(s);
+      } catch (e) {
+        throw new Error(`not valid JSON (${e.message})`);
+      }
+    default:
+      return s;
+  }
+}
+
+/** @returns {string|null} why value does not fit the field, or null */
+function checkValue(f, value) {
+  if (value === null) return f.default === null ? null : 'must not be null';
+  switch (f.type) {
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number (got ${JSON.stringify(value)})`;
+      if (f.type === 'integer' && !Number.isInteger(value)) return `must be an integer (got ${value})`;
+      if (f.min !== undefined && value < f.min) return `must be >= ${f.min} (got ${value})`;
+      if (f.max !== undefined && value > f.max) return `must be <= ${f.max} (got ${value})`;
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `must be true or false (got ${JSON.stringify(value)})`;
+    case 'string':
+      return typeof value === 'string' ? null : `must be a string (got ${JSON.stringify(value)})`;
+    case 'enum':
+      return f.values.includes(value) ? null : `must be one of ${f.values.join(', ')} (got ${JSON.stringify(value)})`;
+    case 'list':
+      return Array.isArray(value) && value.every(v => typeof v === 'string') ? null : 'must be a list of names';
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    default:
+      return `has unknown schema type ${f.type}`;
+  }
+}
+
+/** Checks that span several settings, run on the merged result. */
+const CROSS_CHECKS = [
+  (c) => {
+    const sum = Object.values(c.scoring.weights).reduce((a, b) => a + b, 0);
+    return Math.abs(sum - 1) > 1e-6 ? `scoring.weights: must sum to 1 (got ${Number(sum.toFixed(6))})` : null;
+  },
+  (c) => {
+    if (!c.reward.policy) return null;
+    try {
+      validatePolicy(c.reward.policy);
+      return null;
+    } catch (e) {
+      return `reward.policy: ${e.message}`;
+    }
+  }
+];
+
+function deepFreeze(o) {
+  if (o && typeof o === 'object' && !Object.isFrozen(o)) {
+    Object.freeze(o);
+    Object.values(o).forEach(deepFreeze);
+  }
+  return o;
+}
+
+/** Schema defaults as a nested object. */
+export function defaultConfig() {
+  const out = {};
+  for (const [p, f] of FIELDS) setPath(out, p, structuredClone(f.default));
+  return out;
+}
+
+/* -------------------- Config files -------------------- */
+
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+function parseScalar(text, where) {
+  const s = text.trim();
+  if (s === '' || s === '~' || s === 'null') return null;
+  if (s === 'true') return true;
+  if (s === 'false') return false;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(s)) return Number(s);
+  if (s.startsWith('"')) {
+    try {
+      return JSON.parse(s);
+    } catch (e) {
+      throw configError(`${where}: bad quoted string`);
+    }
+  }
+  if (s.startsWith("'") && s.endsWith("'") && s.length >= 2) return s.slice(1, -1).replace(/''/g, "'");
+  if (s.startsWith('[') && s.endsWith(']')) {
+    const inner = s.slice(1, -1).trim();
+    return inner ? inner.split(',').map(x => parseScalar(x, where)) : [];
+  }
+  if (s.startsWith('{')) {
+    try {
+      return JSON.parse(s);
+    } catch (e) {
+      throw configError(`${where}: inline maps must be JSON`);
+    }
+  }
+  return s;
+}
+
+/**
+ * parseConfigText(text, name)
+ * JSON when the text starts with '{', otherwise the YAML subset described above.
+ * @param {string} text
+ * @param {string} [name] - file name for error messages
+ * @returns {object}
+ */
+export function parseConfigText(text, name = 'config') {
+  if (text.trim().startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw configError(`${name}: invalid JSON (${e.message})`);
+    }
+  }
+
+  const root = {};
+  // Frames: { indent, value } for open maps/lists; a key with no value yet has value null
+  const stack = [{ indent: -1, value: root }];
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const where = `${name}:${i + 1}`;
+    const line = stripComment(rawLine).replace(/\s+$/, '');
+    if (!line.trim()) return;
+    const lead = line.match(/^[ \t]*/)[0];
+    if (lead.includes('\t')) throw configError(`${where}: indent with spaces, not tabs`);
+    const indent = lead.length;
+    const body = line.trim();
+
+    while (stack.length > 1 && indent <= stack[stack.length - 1].indent) stack.pop();
+    const frame = stack[stack.length - 1];
+
+    // First child of a bare "key:" decides between a map and a list
+    if (frame.value === null) {
+      frame.value = body.startsWith('-') ? [] : {};
+      frame.owner[frame.key] = frame.value;
+    }
+
+    if (body === '-' || body.startsWith('- ')) {
+      if (!Array.isArray(frame.value)) throw configError(`${where}: list item outside a list`);
+      frame.value.push(parseScalar(body.slice(1), where));
+      return;
+    }
+    const m = body.match(/^([A-Za-z0-9_.-]+)\s*:(?:\s+(.*))?$/);
+    if (!m) throw configError(`${where}: expected 'key: value'`);
+    if (Array.isArray(frame.value)) throw configError(`${where}: key inside a list`);
+    const [, key, rest] = m;
+    if (Object.prototype.hasOwnProperty.call(frame.value, key)) throw configError(`${where}: duplicate key '${key}'`);
+    if (rest === undefined || rest.trim() === '') {
+      frame.value[key] = null;
+      stack.push({ indent, owner: frame.value, key, value: null });
+    } else {
+      frame.value[key] = parseScalar(rest, where);
+    }
+  });
+  return root;
+}
+
+/** Config file to read: explicit, FLUQ_CONFIG, or the first default name present in cwd. */
+export function findConfigFile({ file = null, env = process.env, cwd = process.cwd() } = {}) {
+  if (file) return path.resolve(cwd, file);
+  if (env.FLUQ_CONFIG) return path.resolve(cwd, env.FLUQ_CONFIG);
+  for (const name of DEFAULT_FILES) {
+    const p = path.join(cwd, name);
+    if (fs.existsSync(p)) return p;
+  }
+  return null;
+}
+
+/** @returns {object} parsed config file */
+export function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw configError(`cannot read config file ${file}: ${e.message}`);
+  }
+  return parseConfigText(text, path.basename(file));
+}
+
+/**
+ * configArgs(argv)
+ * Picks --config <file> and --set <path>=<value> out of a command line.
+ * @returns {{ file: string|null, sets: string[] }}
+ */
+export function configArgs(argv = []) {
+  let file = null;
+  const sets = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--config' && i + 1 < argv.length) file = argv[++i];
+    else if (a.startsWith('--config=')) file = a.slice('--config='.length);
+    else if (a === '--set' && i + 1 < argv.length) sets.push(argv[++i]);
+    else if (a.startsWith('--set=')) sets.push(a.slice('--set='.length));
+  }
+  return { file, sets };
+}
+
+/* -------------------- Loading -------------------- */
+
+/** sha256 of the canonical JSON of a config: equal settings, equal hash. */
+export function hashConfig(config) {
+  return sha256(canonicalJson(config));
+}
+
+/**
+ * loadConfig(options)
+ * @param {object} [options]
+ * @param {string|null} [options.file] - config file (default: FLUQ_CONFIG or fluq.config.* in cwd)
+ * @param {object} [options.values] - extra layer between file and env (nested, like a file)
+ * @param {Record<string, string|undefined>} [options.env=process.env]
+ * @param {string[]} [options.sets] - "path=value" overrides, applied last
+ * @param {string} [options.cwd]
+ * @returns {{ config: object, hash: string, file: string|null, sources: Record<string, string> }}
+ *   config is deep-frozen; sources names the layer each non-default value came from
+ * @throws {Error} code 'ECONFIG' with every issue found
+ */
+export function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const issues = [];
+  const config = defaultConfig();
+  const sources = {};
+
+  const apply = (entries, source) => {
+    for (const { path: p, value, label = source } of entries) {
+      const bad = checkValue(FIELDS.get(p), value);
+      if (bad) {
+        issues.push(`${p}: ${bad} (${label})`);
+        continue;
+      }
+      setPath(config, p, structuredClone(value));
+      sources[p] = label;
+    }
+  };
+
+  const file = findConfigFile({ file: options.file || null, env, cwd: options.cwd });
+  if (file) apply(flattenLayer(readConfigFile(file), `file ${file}`, issues), `file ${file}`);
+  if (options.values) apply(flattenLayer(options.values, 'options', issues), 'options');
+
+  const fromText = (p, text, label) => {
+    try {
+      return [{ path: p, value: parseValue(FIELDS.get(p), text), label }];
+    } catch (e) {
+      issues.push(`${p}: ${e.message} (${label})`);
+      return [];
+    }
+  };
+
+  for (const p of FIELDS.keys()) {
+    // The generated name wins over the older one when both are set
+    const name = envNames(p).find(n => env[n] !== undefined && env[n] !== '');
+    if (name) apply(fromText(p, env[name], `env ${name}`), null);
+  }
+
+  for (const s of options.sets || []) {
+    const eq = s.indexOf('=');
+    const p = eq > 0 ? s.slice(0, eq).trim() : s.trim();
+    if (eq <= 0) issues.push(`--set ${s}: expected <path>=<value>`);
+    else if (!FIELDS.has(p)) issues.push(`${p}: unknown setting (--set)`);
+    else apply(fromText(p, s.slice(eq + 1), `--set ${p}`), null);
+  }
+
+  if (issues.length === 0) {
+    for (const check of CROSS_CHECKS) {
+      const bad = check(config);
+      if (bad) issues.push(bad);
+    }
+  }
+  if (issues.length) throw configError('Invalid configuration', issues);
+
+  deepFreeze(config);
+  return { config, hash: hashConfig(config), file, sources };
+}
+
+/**
+ * validateConfigFile(file)
+ * Checks one file on its own (no env or command line).
+ * @returns {{ ok: boolean, file: string, issues: string[] }}
+ */
+export function validateConfigFile(file) {
+  try {
+    loadConfig({ file, env: {} });
+    return { ok: true, file, issues: [] };
+  } catch (e) {
+    if (e.code !== 'ECONFIG') throw e;
+    return { ok: false, file, issues: e.issues.length ? e.issues : [e.message] };
+  }
+}
+
+/* -------------------- Process-wide config -------------------- */
+
+let loaded = null;
+
+/** Config of this process: loaded on first use from process.env and process.argv. */
+export function loadedConfig() {
+  if (!loaded) {
+    const { file, sets } = configArgs(process.argv.slice(2));
+    loaded = loadConfig({ file, sets });
+  }
+  return loaded;
+}
+
+/** Effective settings (deep-frozen). */
+export function getConfig() {
+  return loadedConfig().config;
+}
+
+/** Install a loadConfig() result as the process config (null: reload on next use). */
+export function setConfig(next) {
+  loaded = next;
+  return next;
+}
+
+/** Setting at a dotted path, e.g. configValue('detector.repetition_ratio'). */
+export function configValue(p, config = getConfig()) {
+  return getPath(config, p);
+}
+
+/**
+ * saveConfigSnapshot(loadedConfig, dir)
+ * Writes the config to <dir>/<hash>.json once, so a round's config_hash can be
+ * resolved back to its settings.
+ * @returns {string} snapshot path
+ */
+export function saveConfigSnapshot(current = loadedConfig(), dir = path.join(defaultDataDir(), 'configs')) {
+  const file = path.join(dir, `${current.hash}.json`);
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(current.config, null, 2));
+    fs.renameSync(tmp, file);
+  }
+  return file;
+}
+
+/* -------------------- Module options -------------------- */
+// Modules keep their plain options objects; these map config sections onto them.
+
+/** Options for cheatDetector.detectCheating() / detectRound(). */
+export function cheatDetectorOptions(config = getConfig()) {
+  const d = config.detector;
+  return {
+    repetitionRatio: d.repetition_ratio,
+    similarityPercent: d.similarity_percent,
+    minEntropyBits: d.min_entropy_bits,
+    nearDuplicateRatio: d.near_duplicate_ratio,
+    correlationZ: d.correlation_z,
+    minCorrelationBits: d.min_correlation_bits
+  };
+}
+
+/** Options for withholdingDetector.detectWithholding(). */
+export function withholdingOptions(config = getConfig()) {
+  const w = config.detector.withholding;
+  return {
+    baselineRate: w.baseline_rate,
+    alpha: w.alpha,
+    minWithholds: w.min_withholds,
+    minCoWithholds: w.min_co_withholds,
+    groupOverlap: w.group_overlap,
+    penalties: { ...w.penalties }
+  };
+}
+
+/** Options for uniquenessScore.computeUniquenessScore(). */
+export function scoringOptions(config = getConfig()) {
+  const { weights, max_bits: maxBits } = config.scoring;
+  return {
+    weights: { entropy: weights.entropy, nonRepeat: weights.non_repeat, amount: weights.amount, variation: weights.variation },
+    maxBits
+  };
+}
+
+/** runHealthTests() options for a collector with a health section (cpu, keyboard, mouse). */
+export function collectorHealthOptions(name, config = getConfig()) {
+  const h = config.collectors[name].health;
+  return { H: h.h, alpha: h.alpha, window: h.window };
+}
+
+/** Options for cpuNoiseCollector.collect(). */
+export function cpuCollectorOptions(config = getConfig()) {
+  const c = config.collectors.cpu;
+  return { durationMs: c.duration_ms, sampleTarget: c.sample_target, busyWork: c.busy_work, health: collectorHealthOptions('cpu', config) };
+}
@@ -0,0 +1,134 @@
+// src/config/schema.js
+// ESM version for FLUQ Alpha 1.0
+// Every configurable setting: type, default, bounds and environment variable.
+// Loaded and validated by src/config/config.js.
+//
+// Each setting can also be set through FLUQ_<SECTION>_<KEY> (the path
+// upper-cased, dots as underscores). Settings that had an environment
+// variable before the config subsystem keep that name as well (`env`).
+// The module defaults are repeated here on purpose: the schema is the
+// reference for what a round ran with, and config_hash covers all of it.
+
+const FIELD = Symbol('config field');
+
+function field(type, def, opts = {}) {
+  return { [FIELD]: true, type, default: def, ...opts };
+}
+
+const int = (def, opts) => field('integer', def, opts);
+const num = (def, opts) => field('number', def, opts);
+const bool = (def, opts) => field('boolean', def, opts);
+const str = (def, opts) => field('string', def, opts);
+const oneOf = (values, def, opts) => field('enum', def, { values, ...opts });
+const list = (def, opts) => field('list', def, opts);
+const obj = (def, opts) => field('object', def, opts);
+
+/** True for leaves of the schema tree. */
+export function isField(node) {
+  return !!(node && node[FIELD]);
+}
+
+/** Health test settings for a collector's raw samples (src/collectors/healthTests.js). */
+const health = (h) => ({
+  h: num(h, { min: 0.01, doc: 'assessed min-entropy per raw sample in bits (H); sets the cutoffs' }),
+  alpha: num(2 ** -20, { min: 1e-12, max: 0.5, doc: 'false-positive rate of each test' }),
+  window: int(512, { min: 2, doc: 'adaptive proportion test window in samples' })
+});
+
+export const CONFIG_SCHEMA = Object.freeze({
+  round: {
+    local_nodes: int(1, { min: 1, env: 'FLUQ_LOCAL_NODES', doc: 'in-process participants per round' }),
+    commit_window_ms: int(10000, { min: 1 }),
+    reveal_window_ms: int(10000, { min: 1 }),
+    min_reveals: int(1, { min: 1, doc: 'valid reveals needed to finalize' }),
+    // Names from src/mixer/mixRandomness.js MIX_CONSTRUCTIONS
+    mix_construction: oneOf(['sha256', 'hkdf-extract', 'xor-then-hash', 'blake2b', 'keccak256'], 'sha256', { env: 'FLUQ_MIX_CONSTRUCTION' }),
+    vrf: bool(false, { env: 'FLUQ_VRF' }),
+    vrf_key_file: str(null, { env: 'FLUQ_VRF_KEY_FILE', doc: 'default $FLUQ_DATA_DIR/coordinator-ed25519.pem' })
+  },
+  scheduler: {
+    interval_ms: int(60000, { min: 0, env: 'FLUQ_ROUND_INTERVAL_MS', doc: '0 runs rounds only on demand' }),
+    overlap: oneOf(['skip', 'queue'], 'skip', { env: 'FLUQ_ROUND_OVERLAP' }),
+    round_timeout_ms: int(0, { min: 0, env: 'FLUQ_ROUND_TIMEOUT_MS', doc: '0 never aborts' }),
+    shutdown_grace_ms: int(30000, { min: 0, env: 'FLUQ_SHUTDOWN_GRACE_MS' })
+  },
+  collectors: {
+    enabled: list(null, { env: 'FLUQ_COLLECTORS', doc: 'only these collectors, in this order (null: all)' }),
+    disabled: list([], { env: 'FLUQ_DISABLED_COLLECTORS' }),
+    fallback: bool(true, { doc: 'substitute OS random bytes for a failed collector' }),
+    cpu: {
+      duration_ms: int(2000, { min: 1 }),
+      sample_target: int(4096, { min: 1 }),
+      busy_work: int(20, { min: 0 }),
+      health: health(1)
+    },
+    keyboard: {
+      // src/collectors/keyboardCollector.js KEYBOARD_MODES
+      mode: oneOf(['background', 'interactive', 'replay'], 'background', { env: 'FLUQ_KEYBOARD_MODE' }),
+      replay_file: str(null, { env: 'FLUQ_KEYBOARD_REPLAY_FILE' }),
+      health: health(1)     // inter-key timings
+    },
+    mouse: {
+      source: oneOf(['bridge', 'replay'], 'bridge', { env: 'FLUQ_MOUSE_SOURCE' }),
+      replay_file: str(null, { env: 'FLUQ_MOUSE_REPLAY_FILE' }),
+      health: health(1)
+    }
+  },
+  pool: {
+    enabled: bool(false, { env: 'FLUQ_ENTROPY_POOL' }),
+    interval_ms: int(1000, { min: 1, env: 'FLUQ_POOL_INTERVAL_MS', doc: 'how often each collector feeds the pool' }),
+    min_pool_size: int(64, { min: 1, doc: 'bytes in pool 0 before a reseed' }),
+    reseed_interval_ms: int(100, { min: 0 })
+  },
+  detector: {
+    repetition_ratio: num(0.5, { min: 0, max: 1, doc: 'flag when one byte value exceeds this share' }),
+    similarity_percent: num(85, { min: 0, max: 100, doc: 'flag when this many bytes match the previous round' }),
+    min_entropy_bits: num(4.0, { min: 0, max: 8, doc: 'Shannon bits per byte below which a buffer is flagged' }),
+    near_duplicate_ratio: num(0.35, { min: 0, max: 1 }),
+    correlation_z: num(5, { min: 0 }),
+    min_correlation_bits: int(2048, { min: 1 }),
+    history_window: int(32, { min: 1, doc: 'rounds kept per node in data/node-history.json' }),
+    withholding: {
+      baseline_rate: num(0.05, { min: 0, max: 1 }),
+      alpha: num(0.001, { min: 0, max: 1 }),
+      min_withholds: int(2, { min: 1 }),
+      min_co_withholds: int(2, { min: 1 }),
+      group_overlap: num(0.8, { min: 0, max: 1 }),
+      penalties: {
+        withheld_reveal: num(1, { min: 0 }),
+        withholding_pattern: num(5, { min: 0 }),
+        collusion: num(5, { min: 0 })
+      }
+    }
+  },
+  scoring: {
+    weights: {
+      entropy: num(0.4, { min: 0, max: 1 }),
+      non_repeat: num(0.25, { min: 0, max: 1 }),
+      amount: num(0.2, { min: 0, max: 1 }),
+      variation: num(0.15, { min: 0, max: 1 })
+    },
+    max_bits: int(2048, { min: 1, doc: 'input size that earns the full amount sub-score' })
+  },
+  reward: {
+    policy_file: str(null, { env: 'FLUQ_REWARD_POLICY', doc: 'reward policy JSON (src/token/rewardPolicy.js)' }),
+    policy: obj(null, { doc: 'inline reward policy; wins over policy_file' })
+  },
+  staking: {
+    min_stake: num(0, { min: 0, env: 'FLUQ_MIN_STAKE' }),
+    slash_destination: oneOf(['burn', 'redistribute'], 'burn', { env: 'FLUQ_SLASH_DESTINATION' })
+  },
+  server: {
+    host: str('127.0.0.1'),
+    port: int(8787, { min: 0, max: 65535, env: 'FLUQ_PORT' }),
+    commit_window_ms: int(30000, { min: 1 }),
+    reveal_window_ms: int(30000, { min: 1 })
+  },
+  metrics: {
+    port: int(0, { min: 0, max: 65535, doc: 'daemon /metrics endpoint; 0 turns it off' }),
+    host: str('127.0.0.1'),
+    file: str(null, { doc: 'Prometheus text dump, default $FLUQ_DATA_DIR/metrics.prom' }),
+    dump_interval_ms: int(60000, { min: 0, doc: 'how often the daemon rewrites the dump (0: on shutdown only)' }),
+    accumulate: bool(true, { doc: 'continue counters from the previous dump' })
+  }
+});
@@ -0,0 +1,157 @@
+// src/coordinator/localParticipant.js
+// ESM version for FLUQ Alpha 1.0
+// In-process participant: runs the registered collectors, builds E_i and s_i, and
+// answers the coordinator's commit and reveal phases.
+// Shared by the CLI runner (src/index.js) and the HTTP server.
+
+import crypto from 'crypto';
+
+import { createDefaultRegistry } from '../collectors/collectorRegistry.js';
+import { estimateMinEntropy } from '../scoring/minEntropy.js';
+import { computeCommit } from './roundCoordinator.js';
+import { signCommit, signReveal } from '../identity/nodeIdentity.js';
+import * as hashUtils from '../utils/hash.js';
+import * as logger from '../utils/logger.js';
+
+let defaultRegistry = null;
+
+/** Lazily built registry of the built-in collectors (env-configured). */
+function getDefaultRegistry() {
+  if (!defaultRegistry) defaultRegistry = createDefaultRegistry();
+  return defaultRegistry;
+}
+
+/**
+ * Run the 90B-style estimators on a collector's raw samples (before hashing).
+ * Returns null when the collector exposes no raw samples.
+ */
+function summarizeMinEntropy(raw) {
+  if (!raw || raw.length === 0) return null;
+  const est = estimateMinEntropy(raw);
+  return {
+    samples: est.sampleCount,
+    per_sample: est.minEntropyPerSample,
+    total_bits: est.totalMinEntropyBits,
+    limiting: est.limitingEstimator,
+    estimates: est.estimates
+  };
+}
+
+/**
+ * Draw E_i from a long-lived entropy pool (src/collectors/entropyPool.js).
+ * The collector report lists what each source fed into the pool since the
+ * previous draw, in the same shape collectEntropy() reports.
+ */
+function drawFromPool(log, pool) {
+  const out = pool.draw(64);
+  log.info(`Drew E_i from the entropy pool (${out.reseeds} reseeds, pools ${out.pools_used.join(',') || 'none'} last)`);
+  return {
+    E_i: out.bytes.toString('hex'),
+    collectors: out.sources.map(s => ({
+      name: s.name,
+      status: s.events > 0 ? 'ok' : 'idle',
+      contributed: s.events > 0,
+      digest: s.digest,
+      fallback: false,
+      claimed_bits: Math.min(512, s.claimed_bits),
+      min_entropy: summarizeMinEntropy(s.raw),
+      health: s.health,
+      duration_ms: null,
+      report: { mode: 'pool', events: s.events, bytes: s.bytes, reseeds: out.reseeds, pools_used: out.pools_used },
+      reason: null
+    }))
+  };
+}
+
+/**
+ * Collect from every active collector and condense the pieces into E_i (512-bit hex).
+ * @param {string} nodeId
+ * @param {object} [options]
+ * @param {string} [options.roundId]
+ * @param {import('../collectors/collectorRegistry.js').CollectorRegistry} [options.registry]
+ * @param {import('../collectors/entropyPool.js').EntropyPool} [options.pool] - draw E_i from this
+ *   pool once it is seeded instead of calling the collectors
+ * @returns {Promise<{ E_i: string, collectors: Array<object> }>} collectors is the per-collector report
+ */
+async function collectEntropy(nodeId, options = {}) {
+  const log = logger.child({ node_id: nodeId, ...(options.roundId ? { round_id: options.roundId } : {}) });
+  if (options.pool) {
+    if (options.pool.canDraw()) return drawFromPool(log, options.pool);
+    log.warn('Entropy pool not seeded yet — collecting directly this round.');
+  }
+
+  const registry = options.registry || getDefaultRegistry();
+  const names = registry.active().map(c => c.name);
+  log.info(`Collecting entropy from collectors (${names.join(', ')})...`);
+
+  const results = await registry.collectAll({ roundId: options.roundId ?? null, nodeId });
+
+  for (const r of results) {
+    if (r.status !== 'ok') {
+      log.warn(`${r.name}: ${r.status} (${r.reason})${r.fallback ? ' — using fallback random bytes.' : ' — skipped.'}`);
+    }
+  }
+
+  // Convert to hex strings for deterministic concatenation (registry order)
+  const pieces = results.filter(r => r.buffer);
+  if (pieces.length === 0) throw new Error('no collector produced entropy and fallback is disabled');
+  const collected = pieces.map(r => ({
+    name: r.name,
+    hex: r.buffer.toString('hex').padEnd(64, '0').slice(0, 64)   // normalize length to avoid empty concat surprises
+  }));
+
+  log.info('Collected pieces:', collected.map(c => `${c.name}:${c.hex.slice(0,10)}...`).join(' | '));
+
+  // Build E_i: deterministic ordered concat then sha512 to produce fixed 512-bit hex string
+  const concatenatedHex = collected.map(c => c.hex).join('');
+  return {
+    E_i: hashUtils.sha512(concatenatedHex), // hex string (128 hex chars for 512 bits)
+    collectors: results.map(r => ({
+      name: r.name,
+      status: r.status,
+      contributed: r.status === 'ok',
+      // digest of the contribution, so repeated collector output can be spotted across rounds
+      digest: r.status === 'ok' && r.buffer ? hashUtils.sha256(r.buffer) : null,
+      fallback: r.fallback,
+      claimed_bits: r.claimedBits,
+      min_entropy: summarizeMinEntropy(r.raw),
+      health: r.health,
+      duration_ms: r.durationMs,
+      report: r.report,
+      reason: r.reason
+    }))
+  };
+}
+
+/**
+ * Build an in-process participant for the coordinator.
+ * The secret s_i never leaves the participant until reveal().
+ * With options.identity (src/identity/nodeIdentity.js) the commit and the
+ * reveal are signed with the node's key; with options.pool E_i comes from the
+ * entropy pool.
+ */
+function createLocalParticipant(nodeId, roundId, options = {}) {
+  const identity = options.identity || null;
+  let E_i = null;
+  let s_i = null;
+  let commit = null;
+  let collectors = [];
+  const log = logger.child({ node_id: nodeId, round_id: roundId });
+  return {
+    node_id: nodeId,
+    async commit() {
+      ({ E_i, collectors } = await collectEntropy(nodeId, { roundId, registry: options.registry, pool: options.pool }));
+      s_i = crypto.randomBytes(32).toString('hex'); // 256-bit hex
+      log.info(`E_i (512-bit hex prefix): ${E_i.slice(0,24)}...`);
+      commit = computeCommit(E_i, s_i, roundId);
+      log.info(`Commit (sha256): ${commit}`);
+      return identity ? { commit, signature: signCommit(identity, roundId, commit) } : commit;
+    },
+    async reveal() {
+      const signature = identity ? signReveal(identity, roundId, E_i, commit) : undefined;
+      return { E_i, s_i, signature, meta: { collectors } };
+    }
+  };
+}
+
+export { collectEntropy, createLocalParticipant };
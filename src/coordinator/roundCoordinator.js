@@ -0,0 +1,397 @@
+// src/coordinator/roundCoordinator.js
+// ESM version for FLUQ Alpha 1.0
+// Multi-participant commit-reveal coordinator.
+//
+// Flow for one round:
+//  1) openCommitPhase()   -> participants submit commit = H(E_i || s_i || round_id)
+//  2) closeCommitPhase()  -> reveal phase opens (automatically at the commit deadline)
+//  3) submitReveal()      -> each reveal is checked against the stored commit
+//  4) finalize()          -> only valid reveals are fed into mixer.mixRandomness
+//
+// Late, duplicate, unknown or mismatching submissions are rejected and kept
+// in `rejected` so callers (cheat detection, scoring) can see them.
+// With a node registry (src/identity/nodeRegistry.js), commits and reveals
+// must also carry a valid Ed25519 signature from the node's registered key.
+
+import * as mixer from '../mixer/mixRandomness.js';
+import * as hashUtils from '../utils/hash.js';
+import { VRF_ALG, roundVrfInput, vrfProve, publicKeyToHex } from '../mixer/vrf.js';
+
+export const PHASES = Object.freeze({
+  PENDING: 'pending',
+  COMMIT: 'commit',
+  REVEAL: 'reveal',
+  FINALIZED: 'finalized'
+});
+
+const DEFAULT_OPTIONS = {
+  commitWindowMs: 10000,
+  revealWindowMs: 10000,
+  minReveals: 1
+};
+
+/**
+ * computeCommit(E_i, s_i, roundId)
+ * Commitment used by every participant: sha256(E_i || s_i || round_id).
+ * @param {string} E_i - hex entropy
+ * @param {string} s_i - hex secret
+ * @param {string} roundId
+ * @returns {string} hex digest
+ */
+export function computeCommit(E_i, s_i, roundId) {
+  return hashUtils.sha256(String(E_i) + String(s_i) + String(roundId));
+}
+
+/**
+ * RoundCoordinator
+ * Holds the commit and reveal state of a single round for N participants.
+ */
+export class RoundCoordinator {
+  /**
+   * @param {object} params
+   * @param {string} params.roundId
+   * @param {string} [params.prevRoundHash] - hex hash of the previous round (default 64 zeros)
+   * @param {string[]} [params.participants] - expected node ids; null accepts any node
+   * @param {number} [params.commitWindowMs]
+   * @param {number} [params.revealWindowMs]
+   * @param {number} [params.minReveals] - valid reveals required by finalize()
+   * @param {() => number} [params.now] - clock, injectable for tests
+   * @param {{ privateKey: import('crypto').KeyObject }} [params.vrfKey] - coordinator Ed25519 key;
+   *   when set, R_round is the VRF output over the mixed hash (see src/mixer/vrf.js)
+   * @param {string} [params.construction='sha256'] - mixing construction (see MIX_CONSTRUCTIONS)
+   * @param {(nodeId: string) => string|null} [params.admit] - admission check run on every
+   *   commit (e.g. minimum stake); returns a rejection reason, or null to accept
+   * @param {import('../identity/nodeRegistry.js').NodeRegistry} [params.registry] - when set,
+   *   only registered nodes may take part and every commit and reveal must be signed
+   */
+  constructor(params = {}) {
+    if (typeof params.roundId !== 'string' || params.roundId.length === 0) {
+      throw new TypeError('RoundCoordinator: roundId must be a non-empty string');
+    }
+
+    const opts = { ...DEFAULT_OPTIONS, ...params };
+
+    this.roundId = params.roundId;
+    this.prevRoundHash = params.prevRoundHash || '0'.repeat(64);
+    this.participants = Array.isArray(params.participants) ? params.participants.slice() : null;
+    this.commitWindowMs = opts.commitWindowMs;
+    this.revealWindowMs = opts.revealWindowMs;
+    this.minReveals = opts.minReveals;
+    this.now = typeof params.now === 'function' ? params.now : Date.now;
+    this.vrfKey = params.vrfKey || null;
+    this.construction = mixer.resolveConstruction(params.construction);
+    this.admit = typeof params.admit === 'function' ? params.admit : null;
+    this.registry = params.registry || null;
+
+    this.phase = PHASES.PENDING;
+    this.commitDeadline = null;
+    this.revealDeadline = null;
+
+    this.commits = new Map();   // node_id -> { node_id, commit, signature, committedAt }
+    this.reveals = new Map();   // node_id -> { node_id, E_i, s_i, commit, commit_signature, signature, public_key, meta, revealedAt }
+    this.rejected = [];         // { node_id, phase, reason, at }
+    this.result = null;
+  }
+
+  /** Start accepting commits. The commit deadline is relative to now. */
+  openCommitPhase() {
+    if (this.phase !== PHASES.PENDING) {
+      throw new Error(`RoundCoordinator: cannot open commit phase from '${this.phase}'`);
+    }
+    this.phase = PHASES.COMMIT;
+    this.commitDeadline = this.now() + this.commitWindowMs;
+    return this.commitDeadline;
+  }
+
+  /** Stop accepting commits and start accepting reveals. */
+  closeCommitPhase() {
+    if (this.phase !== PHASES.COMMIT) {
+      throw new Error(`RoundCoordinator: cannot close commit phase from '${this.phase}'`);
+    }
+    this.phase = PHASES.REVEAL;
+    this.revealDeadline = this.now() + this.revealWindowMs;
+    return this.revealDeadline;
+  }
+
+  /** Advance the phase if its deadline has passed. */
+  tick() {
+    const t = this.now();
+    if (this.phase === PHASES.COMMIT && t > this.commitDeadline) {
+      this.closeCommitPhase();
+    }
+    return this.phase;
+  }
+
+  /** Record a rejection and return a uniform { accepted: false } result. */
+  _reject(nodeId, phase, reason) {
+    const entry = { node_id: nodeId ?? null, phase, reason, at: this.now() };
+    this.rejected.push(entry);
+    return { accepted: false, reason };
+  }
+
+  _isKnown(nodeId) {
+    return this.participants === null || this.participants.includes(nodeId);
+  }
+
+  /**
+   * submitCommit({ node_id, commit, signature? })
+   * signature is required when the coordinator has a registry.
+   * @returns {{ accepted: boolean, reason?: string }}
+   */
+  submitCommit(submission = {}) {
+    const { node_id: nodeId, commit, signature } = submission;
+    this.tick();
+
+    if (this.phase !== PHASES.COMMIT) {
+      return this._reject(nodeId, PHASES.COMMIT, `commit phase is not open (phase=${this.phase})`);
+    }
+    if (typeof nodeId !== 'string' || nodeId.length === 0) {
+      return this._reject(nodeId, PHASES.COMMIT, 'node_id must be a non-empty string');
+    }
+    if (!this._isKnown(nodeId)) {
+      return this._reject(nodeId, PHASES.COMMIT, 'unknown participant');
+    }
+    if (typeof commit !== 'string' || !/^[0-9a-f]{64}$/.test(commit)) {
+      return this._reject(nodeId, PHASES.COMMIT, 'commit must be a 64-char lowercase hex sha256');
+    }
+    if (this.registry) {
+      const bad = this.registry.checkCommit(this.roundId, { node_id: nodeId, commit, signature });
+      if (bad) return this._reject(nodeId, PHASES.COMMIT, bad);
+    }
+    if (this.commits.has(nodeId)) {
+      return this._reject(nodeId, PHASES.COMMIT, 'duplicate commit');
+    }
+    const denied = this.admit ? this.admit(nodeId) : null;
+    if (denied) {
+      return this._reject(nodeId, PHASES.COMMIT, denied);
+    }
+
+    this.commits.set(nodeId, { node_id: nodeId, commit, signature: signature ?? null, committedAt: this.now() });
+    return { accepted: true };
+  }
+
+  /**
+   * submitReveal({ node_id, E_i, s_i, signature?, meta? })
+   * Rejects reveals without a commit, after the deadline, or whose
+   * sha256(E_i || s_i || round_id) does not match the commit.
+   * The signature is checked before the commit, so a forged reveal can never
+   * be recorded as the node's own mismatch.
+   * `meta` (e.g. the collector report) is kept as-is; it is covered by neither
+   * the commit nor the signature.
+   * @returns {{ accepted: boolean, reason?: string }}
+   */
+  submitReveal(submission = {}) {
+    const { node_id: nodeId, E_i, s_i, signature, meta } = submission;
+    this.tick();
+
+    if (this.phase !== PHASES.REVEAL) {
+      return this._reject(nodeId, PHASES.REVEAL, `reveal phase is not open (phase=${this.phase})`);
+    }
+    if (this.now() > this.revealDeadline) {
+      return this._reject(nodeId, PHASES.REVEAL, 'reveal deadline passed');
+    }
+    const stored = this.commits.get(nodeId);
+    if (!stored) {
+      return this._reject(nodeId, PHASES.REVEAL, 'no commit on record for node');
+    }
+    if (this.reveals.has(nodeId)) {
+      return this._reject(nodeId, PHASES.REVEAL, 'duplicate reveal');
+    }
+    if (typeof E_i !== 'string' || typeof s_i !== 'string') {
+      return this._reject(nodeId, PHASES.REVEAL, 'E_i and s_i must be hex strings');
+    }
+    if (this.registry) {
+      const bad = this.registry.checkReveal(this.roundId, { node_id: nodeId, E_i, commit: stored.commit, signature });
+      if (bad) return this._reject(nodeId, PHASES.REVEAL, bad);
+    }
+
+    const recomputed = computeCommit(E_i, s_i, this.roundId);
+    if (recomputed !== stored.commit) {
+      return this._reject(nodeId, PHASES.REVEAL, 'reveal does not match commit');
+    }
+
+    this.reveals.set(nodeId, {
+      node_id: nodeId,
+      E_i,
+      s_i,
+      commit: stored.commit,
+      commit_signature: stored.signature,
+      signature: signature ?? null,
+      public_key: this.registry ? this.registry.publicKeyOf(nodeId) : null,
+      meta: (meta && typeof meta === 'object' && !Array.isArray(meta)) ? meta : null,
+      revealedAt: this.now()
+    });
+    return { accepted: true };
+  }
+
+  /** Node ids that committed but never produced a valid reveal. */
+  missingReveals() {
+    return [...this.commits.keys()].filter(id => !this.reveals.has(id));
+  }
+
+  /** Valid reveals in commit order. */
+  validReveals() {
+    return [...this.commits.keys()].filter(id => this.reveals.has(id)).map(id => this.reveals.get(id));
+  }
+
+  /**
+   * finalize()
+   * Mix the valid reveals in deterministic mode, so the published transcript
+   * (result.mix.transcript) reproduces the seed.
+   * @returns {Promise<object>} { round_id, R_round, vrf, reveals, missing, rejected, mix }
+   */
+  async finalize() {
+    if (this.phase === PHASES.COMMIT) this.closeCommitPhase();
+    if (this.phase !== PHASES.REVEAL) {
+      throw new Error(`RoundCoordinator: cannot finalize from '${this.phase}'`);
+    }
+
+    const valid = this.validReveals();
+    if (valid.length < this.minReveals) {
+      throw new Error(`RoundCoordinator: only ${valid.length} valid reveal(s), need ${this.minReveals}`);
+    }
+
+    const mix = await mixer.mixRandomness(
+      valid.map(r => ({ node_id: r.node_id, E_i: r.E_i })),
+      { mode: 'deterministic', construction: this.construction, roundId: this.roundId, prevHash: this.prevRoundHash }
+    );
+
+    // VRF mode: the mixed hash becomes the VRF input and R_round the verifiable output
+    let seed = mix.finalHash;
+    let vrf = null;
+    if (this.vrfKey) {
+      const alpha = roundVrfInput(this.roundId, this.prevRoundHash, mix.finalHash);
+      const proved = vrfProve(this.vrfKey.privateKey, alpha);
+      seed = proved.output;
+      vrf = {
+        alg: VRF_ALG,
+        public_key: publicKeyToHex(this.vrfKey.publicKey || this.vrfKey.privateKey),
+        mix_hash: mix.finalHash,
+        proof: proved.proof
+      };
+    }
+    this.phase = PHASES.FINALIZED;
+
+    this.result = {
+      round_id: this.roundId,
+      prev_root_hash: this.prevRoundHash,
+      R_round: seed,
+      vrf,
+      reveals: valid,
+      missing: this.missingReveals(),
+      rejected: this.rejected.slice(),
+      mix
+    };
+    return this.result;
+  }
+
+  /** Plain-object view of the round state (safe to JSON.stringify). */
+  toJSON() {
+    return {
+      round_id: this.roundId,
+      prev_root_hash: this.prevRoundHash,
+      phase: this.phase,
+      construction: this.construction,
+      participants: this.participants,
+      commit_deadline: this.commitDeadline,
+      reveal_deadline: this.revealDeadline,
+      commits: [...this.commits.values()].map(c => ({ node_id: c.node_id, commit: c.commit })),
+      revealed: [...this.reveals.keys()],
+      missing: this.phase === PHASES.COMMIT ? [] : this.missingReveals(),
+      rejected: this.rejected.slice(),
+      R_round: this.result ? this.result.R_round : null
+    };
+  }
+}
+
+/** A participant's commit() may return the bare commit or { commit, signature }. */
+export function commitSubmission(result) {
+  return (result && typeof result === 'object') ? { commit: result.commit, signature: result.signature } : { commit: result };
+}
+
+/**
+ * Resolve once every promise settles, the coordinator's deadline passes or the
+ * signal aborts, whichever comes first. Returns the still-pending node ids.
+ */
+async function settleBy(coordinator, entries, deadline, signal) {
+  const pending = new Set(entries.map(e => e.node_id));
+  const all = Promise.all(entries.map(e => e.promise.finally(() => pending.delete(e.node_id))));
+  let timer = null;
+  let onAbort = null;
+  const cutoff = new Promise((resolve) => {
+    timer = setTimeout(resolve, Math.max(0, deadline - coordinator.now()) + 1);
+    if (signal) {
+      onAbort = resolve;
+      if (signal.aborted) resolve();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+  try {
+    await Promise.race([all, cutoff]);
+  } finally {
+    clearTimeout(timer);
+    if (signal && onAbort) signal.removeEventListener('abort', onAbort);
+  }
+  return [...pending];
+}
+
+/**
+ * runCommitReveal(coordinator, participants)
+ * Drive a full round for in-process participants. Each participant is
+ *   { node_id, commit: async () => string | { commit, signature }, reveal: async () => { E_i, s_i, signature? } }
+ * In-process participants settle immediately, so each phase closes as soon as
+ * every participant has answered. A phase never waits past its deadline: a
+ * participant still collecting then is rejected as late and whatever it
+ * submits afterwards is ignored.
+ * @param {object} [options]
+ * @param {boolean} [options.finalize=true] - false leaves finalize() to the caller
+ * @param {AbortSignal} [options.signal] - stop waiting for participants and throw the abort reason
+ * @returns {Promise<object>} coordinator.finalize() result, or the coordinator
+ */
+export async function runCommitReveal(coordinator, participants, options = {}) {
+  const { signal } = options;
+  signal?.throwIfAborted();
+  coordinator.openCommitPhase();
+
+  const late = new Set();
+  const commits = participants.map(p => ({
+    node_id: p.node_id,
+    promise: (async () => {
+      try {
+        const submission = commitSubmission(await p.commit());
+        if (!late.has(p.node_id)) coordinator.submitCommit({ node_id: p.node_id, ...submission });
+      } catch (err) {
+        if (!late.has(p.node_id)) coordinator._reject(p.node_id, PHASES.COMMIT, `commit failed: ${err?.message ?? err}`);
+      }
+    })()
+  }));
+  for (const nodeId of await settleBy(coordinator, commits, coordinator.commitDeadline, signal)) {
+    late.add(nodeId);
+    coordinator._reject(nodeId, PHASES.COMMIT, 'late: commit window closed before the participant answered');
+  }
+  signal?.throwIfAborted();
+  coordinator.tick();
+  if (coordinator.phase === PHASES.COMMIT) coordinator.closeCommitPhase();
+
+  const reveals = participants.filter(p => coordinator.commits.has(p.node_id)).map(p => ({
+    node_id: p.node_id,
+    promise: (async () => {
+      try {
+        const reveal = await p.reveal();
+        if (!late.has(p.node_id)) coordinator.submitReveal({ node_id: p.node_id, ...reveal });
+      } catch (err) {
+        if (!late.has(p.node_id)) coordinator._reject(p.node_id, PHASES.REVEAL, `reveal failed: ${err?.message ?? err}`);
+      }
+    })()
+  }));
+  for (const nodeId of await settleBy(coordinator, reveals, coordinator.revealDeadline, signal)) {
+    late.add(nodeId);
+    coordinator._reject(nodeId, PHASES.REVEAL, 'late: reveal window closed before the participant answered');
+  }
+  signal?.throwIfAborted();
+
+  if (options.finalize === false) return coordinator;
+  return coordinator.finalize();
+}
+
+export default RoundCoordinator;
@@ -0,0 +1,279 @@
+// src/coordinator/roundPipeline.js
+// ESM version for FLUQ Alpha 1.0
+// Post-reveal half of a round: mix -> detect -> score -> reward -> record.
+// Used by both the CLI runner (src/index.js) and the HTTP server so a round
+// produces the same record regardless of how commits and reveals arrived.
+
+import path from 'path';
+
+import * as cheatDetector from '../detector/cheatDetector.js';
+import { detectWithholding } from '../detector/withholdingDetector.js';
+import { slashingEventsForRound, settleRound, settlePendingRounds } from '../token/staking.js';
+import * as uniquenessScore from '../scoring/uniquenessScore.js';
+import * as rewardEngine from '../token/rewardEngine.js';
+import * as logger from '../utils/logger.js';
+import { defaultDataDir } from '../ledger/roundLedger.js';
+import { loadOrCreateVrfKey, publicKeyToHex } from '../mixer/vrf.js';
+import { loadedConfig, cheatDetectorOptions, withholdingOptions, scoringOptions, saveConfigSnapshot } from '../config/config.js';
+import { recordRound } from '../metrics/metrics.js';
+
+/**
+ * collectorSummary(reveals)
+ * Per-node view of which collectors contributed and which fell back, taken
+ * from each reveal's meta.collectors (absent for remote nodes that send none).
+ */
+function collectorSummary(reveals) {
+  const out = {};
+  for (const r of reveals) {
+    const list = r.meta && Array.isArray(r.meta.collectors) ? r.meta.collectors : null;
+    if (!list) continue;
+    // Conservative per-collector figure: the lower of the declared claim and the
+    // 90B-style estimate on raw samples (when the collector exposes them)
+    const measured = list.filter(c => c.contributed).map(c => ({
+      name: c.name,
+      claimed_bits: c.claimed_bits || 0,
+      estimated_bits: c.min_entropy ? c.min_entropy.total_bits : null,
+      limiting: c.min_entropy ? c.min_entropy.limiting : null
+    }));
+    out[r.node_id] = {
+      contributed: list.filter(c => c.contributed).map(c => c.name),
+      fell_back: list.filter(c => !c.contributed).map(c => ({ name: c.name, status: c.status, reason: c.reason })),
+      unhealthy: list.filter(c => c.status === 'unhealthy').map(c => c.name),
+      sources: list.length,
+      claimed_bits: list.reduce((s, c) => s + (c.claimed_bits || 0), 0),
+      outputs: Object.fromEntries(list.filter(c => c.contributed && c.digest).map(c => [c.name, c.digest])),
+      reports: Object.fromEntries(list.filter(c => c.contributed && c.report).map(c => [c.name, c.report])),
+      min_entropy: measured,
+      min_entropy_bits: Math.min(512, measured.reduce((s, m) => s + (m.estimated_bits === null ? m.claimed_bits : Math.min(m.claimed_bits, m.estimated_bits)), 0))
+    };
+  }
+  return out;
+}
+
+/**
+ * withheldReveals(roundResult)
+ * Committed nodes that never put a reveal before the coordinator in time.
+ * A reveal that arrived but was rejected (bad signature, commit mismatch) is
+ * not a withhold: a mismatch is slashed as commit_mismatch, and a bad
+ * signature proves nothing about the registered node. Late reveals still
+ * count, since revealing after the others is the withholding attack.
+ */
+function withheldReveals(roundResult) {
+  const late = (reason) => reason === 'reveal deadline passed' || /^reveal phase is not open/.test(reason);
+  const attempted = new Set(roundResult.rejected.filter(r => r.phase === 'reveal' && !late(r.reason)).map(r => r.node_id));
+  return roundResult.missing.filter(id => !attempted.has(id));
+}
+
+/**
+ * finalizeRound(coordinator, { history })
+ * Finalizes the coordinator (mixing only valid reveals), then runs cheat
+ * detection, uniqueness scoring and reward allocation.
+ *
+ * @param {import('./roundCoordinator.js').RoundCoordinator} coordinator
+ * @param {object} [options]
+ * @param {import('../detector/nodeHistory.js').NodeHistory} [options.history] - per-node
+ *   submissions of earlier rounds for cross-round cheat detection
+ * @param {object} [options.rewardPolicy] - reward policy (default: loadRewardPolicy())
+ * @param {number} [options.roundIndex=0] - ledger position of this round, drives the emission schedule
+ * @param {import('../identity/nodeRegistry.js').NodeRegistry} [options.registry] - node keys for
+ *   signature checks (default: the coordinator's registry)
+ * @param {number|null} [options.epoch] - sequential round number (src/coordinator/roundScheduler.js), recorded when set
+ * @param {{ config: object, hash: string }} [options.config] - loadConfig() result for detector and
+ *   scoring thresholds; its hash is recorded as config_hash (default: the process config)
+ * @returns {Promise<object>} round record
+ */
+async function finalizeRound(coordinator, { history = null, rewardPolicy = null, roundIndex = 0, registry = coordinator.registry, epoch = null, config = loadedConfig() } = {}) {
+  const settings = config.config;
+  const roundResult = await coordinator.finalize();
+  const roundId = roundResult.round_id;
+  const log = logger.child({ round_id: roundId, ...(epoch !== null ? { epoch } : {}) });
+
+  for (const r of roundResult.rejected) {
+    log.warn(`Rejected ${r.phase} from ${r.node_id}: ${r.reason}`);
+  }
+  if (roundResult.missing.length > 0) {
+    log.warn(`Committed but not revealed: ${roundResult.missing.join(', ')}`);
+  }
+  log.info(`Valid reveals: ${roundResult.reveals.length}/${coordinator.commits.size}`);
+
+  const reveals = roundResult.reveals.map(r => ({ ...r, round_id: roundId }));
+  const E_list = reveals.map(r => r.E_i);
+  const roundSeed = roundResult.R_round;
+  log.info(`R_round (final seed) prefix: ${roundSeed.slice(0,16)}...`);
+
+  const collectors = collectorSummary(reveals);
+
+  // Collector health failures (raw samples failed RCT/APT) go to both detector and scorer
+  const healthFailures = [];
+  for (const r of reveals) {
+    const list = r.meta && Array.isArray(r.meta.collectors) ? r.meta.collectors : [];
+    for (const c of list) {
+      if (c.status === 'unhealthy') {
+        healthFailures.push({ node_id: r.node_id, collector: c.name, failures: c.health ? c.health.failures : [c.reason] });
+      }
+    }
+  }
+  for (const f of healthFailures) log.warn(`Health test failed: ${f.node_id}/${f.collector}: ${f.failures.join('; ')}`);
+
+  // Cheat detection, per node, against this round and the node history window
+  const cheatResult = cheatDetector.detectRound(reveals, { ...cheatDetectorOptions(settings), history, healthFailures, roundId, registry });
+  if (cheatResult.cheated) {
+    log.warn(`Cheating detected: ${cheatResult.reason}`);
+  } else {
+    log.info('No cheating detected.');
+  }
+
+  // Withholding: committed nodes that never revealed, their history and groups that withhold together
+  // (nodes whose reveal was rejected take no part in this round's outcomes)
+  const withheld = withheldReveals(roundResult);
+  const revealed = new Set(roundResult.reveals.map(r => r.node_id));
+  const withholding = detectWithholding(
+    { round_id: roundId, committed: [...coordinator.commits.keys()].filter(id => revealed.has(id) || withheld.includes(id)), withheld },
+    { ...withholdingOptions(settings), history }
+  );
+  for (const g of withholding.groups) log.warn(`Withholding group: ${g.nodes.join(', ')} (${g.co_withheld} rounds together)`);
+  for (const ev of withholding.events) log.warn(`Slashing ${ev.node_id}: ${ev.amount} FLQ for ${ev.reason}`);
+
+  // Uniqueness scoring
+  const scoreOptions = {
+    ...scoringOptions(settings),
+    minEntropyBits: Object.values(collectors).map(c => c.min_entropy_bits),
+    health: {
+      sources: Object.values(collectors).reduce((s, c) => s + c.sources, 0),
+      unhealthy: healthFailures.length
+    }
+  };
+  const scoreResult = (typeof uniquenessScore.evaluate === 'function') ? uniquenessScore.evaluate(E_list, scoreOptions) : (typeof uniquenessScore.default === 'function' ? uniquenessScore.default(E_list, scoreOptions) : { score: 50, category: 'Unknown' });
+  log.info(`Uniqueness score: ${scoreResult.score} (${scoreResult.category})`);
+  if (scoreResult.breakdown && scoreResult.breakdown.minEntropy) {
+    log.info(`Conservative min-entropy: ${scoreResult.breakdown.minEntropy.totalBits} bits`);
+  }
+
+  // Per-node scores: each contributor scored on its own E_i, collectors and health
+  const nodeScores = reveals.map(r => {
+    const c = collectors[r.node_id];
+    const unhealthy = healthFailures.filter(f => f.node_id === r.node_id).length;
+    const res = uniquenessScore.evaluate([r.E_i], {
+      ...scoringOptions(settings),
+      minEntropyBits: c ? [c.min_entropy_bits] : undefined,
+      health: c ? { sources: c.sources, unhealthy } : undefined
+    });
+    return { node_id: r.node_id, score: res.score, eligible: !cheatResult.nodes[r.node_id].flagged };
+  });
+
+  // Reward allocation under the configured policy (src/token/rewardPolicy.js)
+  const allocation = rewardEngine.allocate(nodeScores, { policy: rewardPolicy || undefined, roundIndex });
+  log.info(`Tokens awarded this round: ${allocation.total} FLQ (${allocation.policy_version})`);
+
+  // Construct round record (for rolling log)
+  return {
+    round_id: roundId,
+    ...(epoch !== null ? { epoch } : {}),
+    // Settings the round ran with: $FLUQ_DATA_DIR/configs/<config_hash>.json
+    config_hash: config.hash,
+    prev_root_hash: roundResult.prev_root_hash,
+    timestamp: new Date().toISOString(),
+    // Signatures let anyone re-check who contributed (nodeRegistry.js verify <round_id>)
+    reveals: reveals.map(r => ({
+      node_id: r.node_id,
+      commit: r.commit,
+      ...(r.public_key ? { public_key: r.public_key, commit_signature: r.commit_signature, reveal_signature: r.signature } : {})
+    })),
+    collectors,
+    min_entropy_bits: scoreResult.breakdown?.minEntropy?.totalBits ?? null,
+    health_failures: healthFailures,
+    missing_reveals: roundResult.missing,
+    withheld_reveals: withheld,
+    rejected: roundResult.rejected.map(r => ({ node_id: r.node_id, phase: r.phase, reason: r.reason })),
+    R_round: roundSeed,
+    mix: roundResult.mix.transcript,
+    ...(roundResult.vrf ? { vrf: roundResult.vrf } : {}),
+    score: scoreResult.score,
+    cheated: cheatResult.cheated,
+    cheat: cheatResult.nodes,
+    withholding: { nodes: withholding.nodes, groups: withholding.groups },
+    slashing: [
+      ...withholding.events,
+      ...slashingEventsForRound({ roundId, rejected: roundResult.rejected, cheat: cheatResult.nodes })
+    ],
+    reward: {
+      policy_version: allocation.policy_version,
+      policy_type: allocation.policy_type,
+      round_index: allocation.round_index,
+      emission: allocation.emission,
+      unallocated: allocation.unallocated
+    },
+    awarded: allocation.total,
+    // Awards name the verified key behind each node_id
+    awards: allocation.awards.map(a => {
+      const key = reveals.find(r => r.node_id === a.node_id)?.public_key;
+      return key ? { ...a, public_key: key } : a;
+    })
+  };
+}
+
+/**
+ * loadVrfKeyFromEnv(config)
+ * round.vrf (FLUQ_VRF=1) enables VRF seeds with the coordinator key at
+ * round.vrf_key_file (FLUQ_VRF_KEY_FILE, default $FLUQ_DATA_DIR/coordinator-ed25519.pem).
+ * @returns {object|null} key pair, or null when VRF mode is off
+ */
+function loadVrfKeyFromEnv(config = loadedConfig().config) {
+  if (!config.round.vrf) return null;
+  const file = config.round.vrf_key_file || path.join(defaultDataDir(), 'coordinator-ed25519.pem');
+  const key = loadOrCreateVrfKey(file);
+  logger.info(`VRF mode on; coordinator public key ${publicKeyToHex(key.publicKey)}`);
+  return key;
+}
+
+/**
+ * persistRound(record, { ledger, store, history, slashDestination, config })
+ * Appends the record to the round ledger first (at seq record.epoch when the
+ * round has one, failing with code 'ESEQ' otherwise), then settles the round in
+ * the balance store in one atomic write: awards are credited, record.slashing
+ * is taken from stakes (and balances), and slashed tokens are burned or shared
+ * among honest participants. Every transaction points at a round that
+ * already exists in the ledger. Settlement is idempotent per round, and
+ * ledger rounds left unsettled by an earlier failure (a crash after the
+ * append) are settled first, oldest first. Finally adds the round's submissions and
+ * reveal outcomes to the node history and the round to the metrics
+ * (src/metrics/metrics.js). With a config whose hash the record carries, a
+ * snapshot of it is kept under $FLUQ_DATA_DIR/configs.
+ *
+ * @param {'burn'|'redistribute'} [slashDestination='burn']
+ * @returns {{ entry: object|null, transactions: object[], settlement: object|null }}
+ */
+function persistRound(record, { ledger = null, store = null, history = null, slashDestination = 'burn', config = null } = {}) {
+  const log = logger.child({ round_id: record.round_id });
+  // A round numbered by epoch must land at that seq; if another process took it, nothing is written
+  const entry = ledger ? ledger.append(record, { expectedSeq: record.epoch ?? null }) : null;
+  if (entry) log.info(`Ledger: appended seq ${entry.seq} (${entry.hash.slice(0,16)}...) to ${ledger.file}`);
+  if (entry && config && config.hash === record.config_hash) saveConfigSnapshot(config, path.join(path.dirname(ledger.file), 'configs'));
+
+  let settlement = null;
+  if (store) {
+    const pending = ledger ? settlePendingRounds(store, ledger, { destination: slashDestination }) : [];
+    for (const p of pending) {
+      if (p.round_id === record.round_id) settlement = p.settlement;
+      else log.warn(`Balances: settled pending round ${p.round_id} (seq ${p.seq}) left over from an earlier run`);
+    }
+    // Stores written before settlement tracking report no pending rounds
+    if (!settlement) settlement = settleRound(store, record, { destination: slashDestination, seq: entry ? entry.seq : null });
+
+    if (settlement.credits.length) log.info(`Balances: credited ${settlement.credits.length} award(s) to ${store.file}`);
+    for (const s of settlement.slashed) {
+      log.warn(`Slashed ${s.node_id} for ${s.reason}: ${s.from_stake} FLQ from stake, ${s.from_balance} FLQ from balance`);
+    }
+    if (settlement.redistributed.length) log.info(`Slashed tokens shared among ${settlement.redistributed.length} honest participant(s)`);
+    if (settlement.burned > 0) log.info(`Burned ${settlement.burned} FLQ`);
+  }
+  if (history) history.recordRound(record);
+  recordRound(record, settlement);
+  return {
+    entry,
+    transactions: settlement ? [...settlement.credits, ...settlement.redistributed] : [],
+    settlement
+  };
+}
+
+export { finalizeRound, persistRound, loadVrfKeyFromEnv };
@@ -0,0 +1,316 @@
+// src/coordinator/roundScheduler.js
+// ESM version for FLUQ Alpha 1.0
+// Runs rounds one after another for a long-lived node (`node src/index.js --daemon`).
+//
+// Epochs: rounds are numbered by their position in the ledger, round id
+// `round-<epoch>`. The next epoch is always ledger.tip().seq + 1, so a
+// restarted node resumes after the last persisted round, and a round that was
+// aborted (never persisted) is run again under the same number.
+//
+// Triggers: every intervalMs (start to start) and on demand through trigger()
+// (SIGUSR2 to the daemon). A trigger that arrives while a round is running is
+// skipped and counted (overlap 'skip', the default) or remembered and run as
+// soon as the round ends ('queue').
+//
+// Every round gets an AbortSignal. roundTimeoutMs aborts a round that overruns;
+// stop() gives the in-flight round graceMs to finish, then aborts it. runRound
+// must check the signal before persisting, so the ledger only ever holds
+// complete rounds.
+//
+// State for operators goes to $FLUQ_DATA_DIR/scheduler.json (pid, status, the
+// running epoch, the last result and counters), written through temp + rename.
+//
+// Usage (CLI):
+//   node src/coordinator/roundScheduler.js status
+//   node src/coordinator/roundScheduler.js trigger
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { defaultDataDir, openLedger } from '../ledger/roundLedger.js';
+import * as logger from '../utils/logger.js';
+import { recordSchedulerRound } from '../metrics/metrics.js';
+
+export const OVERLAP_POLICIES = Object.freeze(['skip', 'queue']);
+
+/** Signal the daemon listens on for an on-demand round. */
+export const TRIGGER_SIGNAL = 'SIGUSR2';
+
+/** Round id of an epoch. */
+export function epochRoundId(epoch) {
+  return `round-${epoch}`;
+}
+
+/** Epoch of the next round: one past the ledger tip (0 for an empty ledger). */
+export function nextEpoch(ledger = openLedger()) {
+  return ledger.tip().seq + 1;
+}
+
+/** Default state file location. */
+export function defaultStateFile() {
+  return path.join(defaultDataDir(), 'scheduler.json');
+}
+
+/** @returns {object|null} last state written by a scheduler, or null */
+export function readSchedulerState(file = defaultStateFile()) {
+  if (!file || !fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function abortError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * RoundScheduler
+ * Never runs two rounds at once; runRound results and failures only update
+ * the counters and the state file.
+ */
+export class RoundScheduler {
+  /**
+   * @param {object} options
+   * @param {(round: { epoch: number, roundId: string, signal: AbortSignal }) => Promise<object>} options.runRound
+   *   runs and persists one round, returning its record
+   * @param {number} [options.intervalMs=0] - time between round starts; 0 runs rounds only on trigger()
+   * @param {'skip'|'queue'} [options.overlap='skip'] - what a trigger does while a round is running
+   * @param {number} [options.roundTimeoutMs=0] - abort rounds running longer than this (0: never)
+   * @param {number} [options.graceMs=30000] - how long stop() waits for the in-flight round
+   * @param {boolean} [options.runOnStart] - start a round straight away (default: when intervalMs > 0)
+   * @param {string|null} [options.stateFile] - state JSON (default $FLUQ_DATA_DIR/scheduler.json, null: none)
+   * @param {() => import('../ledger/roundLedger.js').RoundLedger} [options.openLedger] - fresh ledger view for epoch numbering
+   */
+  constructor(options = {}) {
+    if (typeof options.runRound !== 'function') throw new TypeError('RoundScheduler: runRound must be a function');
+    this.runRound = options.runRound;
+    this.intervalMs = Math.max(0, Number(options.intervalMs) || 0);
+    this.overlap = options.overlap || 'skip';
+    if (!OVERLAP_POLICIES.includes(this.overlap)) {
+      throw new TypeError(`RoundScheduler: overlap must be one of ${OVERLAP_POLICIES.join(', ')}`);
+    }
+    this.roundTimeoutMs = Math.max(0, Number(options.roundTimeoutMs) || 0);
+    this.graceMs = options.graceMs ?? 30000;
+    this.runOnStart = options.runOnStart ?? this.intervalMs > 0;
+    this.stateFile = options.stateFile === null ? null : (options.stateFile || defaultStateFile());
+    this.openLedger = options.openLedger || (() => openLedger());
+
+    this.status = 'stopped';   // stopped | running | stopping
+    this.timer = null;
+    this.current = null;       // { epoch, round_id, reason, started_at, controller, promise }
+    this.queued = false;
+    this.last = null;
+    this.counts = { completed: 0, failed: 0, aborted: 0, skipped: 0 };
+    this.startedAt = null;
+  }
+
+  /**
+   * start()
+   * Refuses to start while another live process owns the state file, and warns
+   * when the previous process stopped in the middle of a round.
+   * @returns {RoundScheduler}
+   */
+  start() {
+    if (this.status !== 'stopped') return this;
+    const previous = readSchedulerState(this.stateFile);
+    if (previous && previous.status !== 'stopped' && previous.pid !== process.pid && isAlive(previous.pid)) {
+      throw new Error(`RoundScheduler: another scheduler (pid ${previous.pid}) is running on ${this.stateFile}`);
+    }
+    if (previous && previous.current) {
+      logger.warn(`Epoch ${previous.current.epoch} was interrupted before it was persisted; it will run again`);
+    }
+    if (previous && previous.counts) this.counts = { ...this.counts, ...previous.counts };
+
+    this.status = 'running';
+    this.startedAt = new Date().toISOString();
+    logger.info(`Scheduler started at epoch ${nextEpoch(this.openLedger())} (${this.intervalMs > 0 ? `every ${this.intervalMs} ms` : 'on demand'})`);
+    if (this.intervalMs > 0) this.timer = setInterval(() => this.trigger('interval'), this.intervalMs);
+    this._writeState();
+    if (this.runOnStart) this.trigger('start');
+    return this;
+  }
+
+  /**
+   * trigger(reason)
+   * @returns {{ started: boolean, epoch?: number, queued?: boolean, skipped?: boolean, error?: string }}
+   */
+  trigger(reason = 'manual') {
+    if (this.status !== 'running') return { started: false };
+    if (this.current) {
+      if (this.overlap === 'queue') {
+        this.queued = true;
+        return { started: false, queued: true };
+      }
+      this.counts.skipped++;
+      logger.warn(`Epoch ${this.current.epoch} is still running; ${reason} trigger skipped`);
+      this._writeState();
+      return { started: false, skipped: true };
+    }
+    const epoch = this._run(reason);
+    return epoch === null ? { started: false, error: this.last.error } : { started: true, epoch };
+  }
+
+  /** Starts the next epoch; returns its number, or null if it could not be numbered (e.g. damaged ledger). */
+  _run(reason) {
+    let epoch;
+    try {
+      epoch = nextEpoch(this.openLedger());
+    } catch (err) {
+      this.counts.failed++;
+      this.last = { epoch: null, round_id: null, status: 'failed', error: err?.message ?? String(err), finished_at: new Date().toISOString(), duration_ms: 0 };
+      logger.error(`Could not start a round (${reason}):`, err);
+      recordSchedulerRound('failed', 0);
+      this._writeState();
+      return null;
+    }
+    const roundId = epochRoundId(epoch);
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    let timeout = null;
+    if (this.roundTimeoutMs > 0) {
+      timeout = setTimeout(() => controller.abort(abortError(`round timed out after ${this.roundTimeoutMs}ms`, 'ETIMEOUT')), this.roundTimeoutMs);
+    }
+
+    const log = logger.child({ round_id: roundId, epoch });
+    log.info(`Epoch ${epoch}: starting ${roundId} (${reason})`);
+    const promise = Promise.resolve()
+      .then(() => this.runRound({ epoch, roundId, signal: controller.signal }))
+      .then((record) => {
+        this.counts.completed++;
+        this.last = { epoch, round_id: roundId, status: 'completed', R_round: record?.R_round ?? null };
+        log.info(`Epoch ${epoch}: ${roundId} persisted`);
+      }, (err) => {
+        const aborted = controller.signal.aborted;
+        this.counts[aborted ? 'aborted' : 'failed']++;
+        const message = aborted ? (controller.signal.reason?.message ?? 'aborted') : (err?.message ?? String(err));
+        this.last = { epoch, round_id: roundId, status: aborted ? 'aborted' : 'failed', error: message };
+        if (aborted) log.warn(`Epoch ${epoch}: ${roundId} aborted: ${message}`);
+        else log.error(`Epoch ${epoch}: ${roundId} failed:`, err);
+      })
+      .finally(() => {
+        clearTimeout(timeout);
+        this.last.finished_at = new Date().toISOString();
+        this.last.duration_ms = Date.now() - startedAt;
+        recordSchedulerRound(this.last.status, this.last.duration_ms);
+        this.current = null;
+        this._writeState();
+        if (this.queued && this.status === 'running') {
+          this.queued = false;
+          this._run('queued');
+        }
+      });
+
+    this.current = { epoch, round_id: roundId, reason, started_at: new Date(startedAt).toISOString(), controller, promise };
+    this._writeState();
+    return epoch;
+  }
+
+  /** Abort the in-flight round now; it is not persisted. */
+  abortCurrent(reason = 'aborted') {
+    if (!this.current) return false;
+    this.current.controller.abort(abortError(reason, 'EABORT'));
+    return true;
+  }
+
+  /**
+   * stop({ graceMs })
+   * Stops triggering, lets the in-flight round finish within graceMs and
+   * aborts it otherwise.
+   * @returns {Promise<{ finished: boolean, aborted: boolean }>} what happened to the in-flight round
+   */
+  async stop({ graceMs = this.graceMs } = {}) {
+    if (this.status === 'stopped') return { finished: false, aborted: false };
+    this.status = 'stopping';
+    clearInterval(this.timer);
+    this.timer = null;
+    this.queued = false;
+    this._writeState();
+
+    const result = { finished: false, aborted: false };
+    const current = this.current;
+    if (current) {
+      logger.info(`Waiting up to ${graceMs} ms for epoch ${current.epoch} to finish`);
+      result.finished = await Promise.race([current.promise.then(() => true), sleep(graceMs).then(() => false)]);
+      if (!result.finished) {
+        current.controller.abort(abortError('scheduler shutting down', 'ESHUTDOWN'));
+        result.aborted = true;
+        await current.promise;
+      }
+    }
+    this.status = 'stopped';
+    this._writeState();
+    logger.info('Scheduler stopped');
+    return result;
+  }
+
+  /** Snapshot written to the state file. */
+  state() {
+    return {
+      pid: process.pid,
+      status: this.status,
+      mode: this.intervalMs > 0 ? 'interval' : 'on-demand',
+      interval_ms: this.intervalMs,
+      overlap: this.overlap,
+      round_timeout_ms: this.roundTimeoutMs,
+      started_at: this.startedAt,
+      current: this.current
+        ? { epoch: this.current.epoch, round_id: this.current.round_id, reason: this.current.reason, started_at: this.current.started_at }
+        : null,
+      queued: this.queued,
+      last: this.last,
+      counts: { ...this.counts },
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  _writeState() {
+    if (!this.stateFile) return;
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      const tmp = `${this.stateFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.state(), null, 2));
+      fs.renameSync(tmp, this.stateFile);
+    } catch (e) {
+      // The state file is informational; a failed write must not stop the rounds
+      logger.warn(`Scheduler: could not write ${this.stateFile}: ${e.message}`);
+    }
+  }
+}
+
+/* -------------------- CLI -------------------- */
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  const [cmd] = process.argv.slice(2);
+  const print = (x) => console.log(JSON.stringify(x, null, 2));
+
+  try {
+    const state = readSchedulerState();
+    if (cmd === 'status') {
+      print({ ...(state || { status: 'stopped' }), alive: !!(state && isAlive(state.pid)), next_epoch: nextEpoch() });
+    } else if (cmd === 'trigger') {
+      if (!state || state.status !== 'running' || !isAlive(state.pid)) {
+        console.error(`No running scheduler in ${defaultStateFile()}`);
+        process.exit(2);
+      }
+      process.kill(state.pid, TRIGGER_SIGNAL);
+      print({ pid: state.pid, signal: TRIGGER_SIGNAL, next_epoch: nextEpoch() });
+    } else {
+      console.log('Usage: node src/coordinator/roundScheduler.js <status|trigger>');
+    }
+  } catch (err) {
+    console.error('Error (roundScheduler CLI):', err?.message ?? err);
+    process.exit(1);
+  }
+}
@@ -6,6 +6,16 @@
  * 1. Too many repeated values
  * 2. Too similar to previous round
  * 3. Too little variation (low entropy)
+ * 4. Collector health test failures reported for the round
+ *
+ * detectRound() applies these per node and adds cross-round checks against a
+ * per-node_id history (src/detector/nodeHistory.js):
+ * 5. E_i equal to, or within a small Hamming distance of, the node's own past
+ *    submissions or any other node's (this round or in the history window)
+ * 6. E_i agreeing with the node's past submissions in more bits than chance allows
+ * 7. A collector output repeated from the node's history or another node
+ * 8. With a node registry: a commit or reveal that is unsigned or not signed
+ *    by the node's registered key (src/identity/nodeRegistry.js)
  */
 
 import crypto from "crypto"; // kept for parity with original (unused but OK)
@@ -46,11 +56,40 @@ function bufferSimilarity(buf1, buf2) {
     return (same / len) * 100; // return percentage
 }
 
+const SINGLE_DEFAULTS = {
+    repetitionRatio: 0.5,      // flag when one byte value is more than this share of the buffer
+    similarityPercent: 85,     // flag when more bytes than this match the previous round
+    minEntropyBits: 4.0        // flag below this many Shannon bits per byte
+};
+
 /**
- * detectCheating(currentRandomness, previousRandomness = null)
+ * detectCheating(currentRandomness, previousRandomness = null, options = {})
+ * options.healthFailures: [{ node_id, collector, failures }] from the raw-sample
+ * health tests (src/collectors/healthTests.js); any entry flags the round.
+ * options.repetitionRatio (0.5), options.similarityPercent (85) and
+ * options.minEntropyBits (4.0 bits per byte) set the thresholds below
+ * (detector.* in src/config/schema.js).
  */
-function detectCheating(currentRandomness, previousRandomness = null) {
+function detectCheating(currentRandomness, previousRandomness = null, options = {}) {
     const result = { cheated: false, reason: null };
+    const {
+        repetitionRatio = SINGLE_DEFAULTS.repetitionRatio,
+        similarityPercent = SINGLE_DEFAULTS.similarityPercent,
+        minEntropyBits = SINGLE_DEFAULTS.minEntropyBits
+    } = options;
+
+    // -------------------------------
+    // 0. Collector health failures
+    // -------------------------------
+    const healthFailures = Array.isArray(options.healthFailures) ? options.healthFailures : [];
+    if (healthFailures.length > 0) {
+        const who = healthFailures.map(f => `${f.node_id}/${f.collector}`).join(", ");
+        return {
+            cheated: true,
+            reason: `Collector health test failed (${who})`,
+            healthFailures
+        };
+    }
 
     // -------------------------------
     // 1. Repetition Check
@@ -58,7 +97,7 @@ function detectCheating(currentRandomness, previousRandomness = null) {
     const repetitions = {};
     for (const byte of currentRandomness) {
         repetitions[byte] = (repetitions[byte] || 0) + 1;
-        if (repetitions[byte] > currentRandomness.length * 0.5) {
+        if (repetitions[byte] > currentRandomness.length * repetitionRatio) {
             return {
                 cheated: true,
                 reason: "Too many repeated values (low randomness)"
@@ -72,7 +111,7 @@ function detectCheating(currentRandomness, previousRandomness = null) {
     if (previousRandomness) {
         const similarity = bufferSimilarity(currentRandomness, previousRandomness);
 
-        if (similarity > 85) {
+        if (similarity > similarityPercent) {
             return {
                 cheated: true,
                 reason: `Randomness is suspiciously similar to previous round (${similarity.toFixed(2)}%)`
@@ -85,7 +124,7 @@ function detectCheating(currentRandomness, previousRandomness = null) {
     // -------------------------------
     const entropy = calculateEntropy(currentRandomness);
 
-    if (entropy < 4.0) {
+    if (entropy < minEntropyBits) {
         return {
             cheated: true,
             reason: `Entropy too low (${entropy.toFixed(2)})`
@@ -96,7 +135,162 @@ function detectCheating(currentRandomness, previousRandomness = null) {
     return result;
 }
 
+/* -------------------- Cross-round, per-node detection -------------------- */
+
+const DEFAULTS = {
+    nearDuplicateRatio: 0.35,  // flag if fewer than 35% of bits differ (random inputs: ~50%)
+    correlationZ: 5,           // z-score of bit agreement with own history
+    minCorrelationBits: 2048,  // compared bits needed before the correlation check runs
+    ...SINGLE_DEFAULTS
+};
+
+const POPCOUNT = new Uint8Array(256);
+for (let i = 1; i < 256; i++) POPCOUNT[i] = POPCOUNT[i >> 1] + (i & 1);
+
+function toBytes(E_i) {
+    if (Buffer.isBuffer(E_i)) return E_i;
+    const s = String(E_i || "");
+    return /^[0-9a-fA-F]*$/.test(s) && s.length % 2 === 0 ? Buffer.from(s, "hex") : Buffer.from(s, "utf8");
+}
+
+/**
+ * hammingDistance(a, b)
+ * Differing bits over the common length.
+ * @returns {{ distance: number, bits: number }}
+ */
+function hammingDistance(a, b) {
+    const len = Math.min(a.length, b.length);
+    let distance = 0;
+    for (let i = 0; i < len; i++) distance += POPCOUNT[a[i] ^ b[i]];
+    return { distance, bits: len * 8 };
+}
+
+/** Outputs of collectors that actually contributed, as { name: digest }. */
+function contributedOutputs(reveal) {
+    const list = reveal.meta && Array.isArray(reveal.meta.collectors) ? reveal.meta.collectors : [];
+    const out = {};
+    for (const c of list) if (c.contributed && c.digest) out[c.name] = c.digest;
+    return out;
+}
+
+/**
+ * detectRound(reveals, options)
+ * @param {Array<{ node_id, E_i, commit?, signature?, commit_signature?, meta? }>} reveals - valid reveals of the round
+ * @param {object} [options]
+ * @param {import('./nodeHistory.js').NodeHistory} [options.history] - past submissions per node
+ * @param {string} [options.roundId] - current round; its own history entries are ignored
+ * @param {Array} [options.healthFailures] - [{ node_id, collector, failures }]
+ * @param {import('../identity/nodeRegistry.js').NodeRegistry} [options.registry] - when set,
+ *   every reveal must carry valid commit and reveal signatures
+ * @param {number} [options.nearDuplicateRatio=0.35]
+ * @param {number} [options.correlationZ=5]
+ * @param {number} [options.minCorrelationBits=2048]
+ * @param {number} [options.repetitionRatio=0.5] - single-buffer thresholds, see detectCheating()
+ * @param {number} [options.similarityPercent=85]
+ * @param {number} [options.minEntropyBits=4.0]
+ * @returns {{ cheated: boolean, reason: string|null, flagged: string[], nodes: Record<string, { flagged: boolean, reasons: object[] }> }}
+ */
+function detectRound(reveals, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const history = opts.history || null;
+    const healthFailures = Array.isArray(opts.healthFailures) ? opts.healthFailures : [];
+
+    const current = reveals.map(r => ({
+        node_id: r.node_id,
+        reveal: r,
+        bytes: toBytes(r.E_i),
+        outputs: contributedOutputs(r)
+    }));
+    const past = history
+        ? history.all().filter(e => e.round_id !== opts.roundId).map(e => ({ ...e, bytes: toBytes(e.E_i) }))
+        : [];
+
+    const nodes = {};
+    const flag = (nodeId, check, detail) => nodes[nodeId].reasons.push({ check, ...detail });
+
+    for (const c of current) {
+        nodes[c.node_id] = { flagged: false, reasons: [] };
+
+        // 0. Health failures for this node
+        for (const f of healthFailures.filter(f => f.node_id === c.node_id)) {
+            flag(c.node_id, "health", { collector: f.collector, detail: (f.failures || []).join("; ") });
+        }
+
+        // 8. Signatures from the registered key
+        if (opts.registry) {
+            const r = c.reveal;
+            const badCommit = opts.registry.checkCommit(opts.roundId, { node_id: c.node_id, commit: r.commit, signature: r.commit_signature });
+            const badReveal = opts.registry.checkReveal(opts.roundId, { node_id: c.node_id, E_i: r.E_i, commit: r.commit, signature: r.signature });
+            if (badCommit) flag(c.node_id, "signature", { phase: "commit", detail: badCommit });
+            if (badReveal) flag(c.node_id, "signature", { phase: "reveal", detail: badReveal });
+        }
+
+        // 1 + 3. Single-buffer checks on the submission itself
+        const single = detectCheating(c.bytes, null, {
+            repetitionRatio: opts.repetitionRatio,
+            similarityPercent: opts.similarityPercent,
+            minEntropyBits: opts.minEntropyBits
+        });
+        if (single.cheated) flag(c.node_id, "low_randomness", { detail: single.reason });
+
+        // 5. Near-duplicates: other nodes this round, then the history window
+        const candidates = [
+            ...current.filter(o => o.node_id !== c.node_id).map(o => ({ node_id: o.node_id, round_id: null, bytes: o.bytes })),
+            ...past
+        ];
+        for (const o of candidates) {
+            const { distance, bits } = hammingDistance(c.bytes, o.bytes);
+            if (bits === 0 || distance / bits >= opts.nearDuplicateRatio) continue;
+            const own = o.node_id === c.node_id;
+            flag(c.node_id, distance === 0 ? (own ? "replayed_entropy" : "copied_entropy") : "near_duplicate", {
+                other_node: o.node_id,
+                other_round: o.round_id,
+                hamming: distance,
+                bits
+            });
+        }
+
+        // 6. Bit agreement with own history: Binomial(N, 1/2) under independence
+        const own = past.filter(e => e.node_id === c.node_id);
+        let agree = 0;
+        let total = 0;
+        for (const e of own) {
+            const { distance, bits } = hammingDistance(c.bytes, e.bytes);
+            agree += bits - distance;
+            total += bits;
+        }
+        if (total >= opts.minCorrelationBits) {
+            const z = (agree - total / 2) / Math.sqrt(total / 4);
+            if (z > opts.correlationZ) {
+                flag(c.node_id, "correlated_history", { rounds: own.length, agreement: Number((agree / total).toFixed(4)), z: Number(z.toFixed(2)) });
+            }
+        }
+
+        // 7. Repeated collector output
+        for (const [name, digest] of Object.entries(c.outputs)) {
+            const sameRound = current.find(o => o.node_id !== c.node_id && Object.values(o.outputs).includes(digest));
+            const earlier = past.find(e => Object.values(e.outputs || {}).includes(digest));
+            const hit = sameRound ? { node_id: sameRound.node_id, round_id: null } : earlier;
+            if (hit) {
+                flag(c.node_id, "repeated_collector_output", { collector: name, other_node: hit.node_id, other_round: hit.round_id });
+            }
+        }
+
+        nodes[c.node_id].flagged = nodes[c.node_id].reasons.length > 0;
+    }
+
+    const flagged = Object.keys(nodes).filter(id => nodes[id].flagged);
+    return {
+        cheated: flagged.length > 0,
+        reason: flagged.length
+            ? flagged.map(id => `${id}: ${[...new Set(nodes[id].reasons.map(r => r.check))].join(", ")}`).join("; ")
+            : null,
+        flagged,
+        nodes
+    };
+}
+
 // Export as named ESM exports and provide alias `check` for compatibility
-export { detectCheating };
+export { detectCheating, detectRound, hammingDistance };
 export const check = detectCheating;
 export default detectCheating;
@@ -0,0 +1,224 @@
+// src/detector/nodeHistory.js
+// ESM version for FLUQ Alpha 1.0
+// Sliding-window history of what each node_id submitted, for cross-round
+// cheat detection (src/detector/cheatDetector.js).
+//
+// State lives in one JSON file ($FLUQ_DATA_DIR/node-history.json by default):
+//   { version, window,
+//     nodes: { node_id: [ { round_id, E_i, outputs }, ... ] },
+//     participation: { node_id: [ { round_id, revealed }, ... ] } }
+// outputs maps collector name -> sha256 of that collector's contribution.
+// participation lists every round the node committed to and whether it
+// revealed (src/detector/withholdingDetector.js).
+// Only the newest `window` entries per node are kept. Written through a temp
+// file + rename, like the balance store, and like it every read starts from
+// the file and every write merges into it under <file>.lock, so the HTTP
+// server, the daemon and single runs add to one history instead of
+// overwriting each other's rounds.
+//
+// Everything here is derived from round records, so rebuild(ledger) can
+// regenerate the file from the round ledger.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { defaultDataDir, openLedger } from '../ledger/roundLedger.js';
+import { withFileLock } from '../utils/fileLock.js';
+
+const STATE_VERSION = 1;
+const DEFAULT_WINDOW = 32;
+
+function emptyState(window) {
+  return { version: STATE_VERSION, window, nodes: {}, participation: {} };
+}
+
+/**
+ * Per-node submissions of one round record: E_i from the mixing transcript,
+ * collector output digests from record.collectors.
+ * @returns {Array<{ node_id, round_id, E_i, outputs }>}
+ */
+export function submissionsFromRecord(record) {
+  if (!record || !record.mix || !Array.isArray(record.mix.inputs)) return [];
+  const collectors = record.collectors || {};
+  return record.mix.inputs.map(c => ({
+    node_id: c.node_id,
+    round_id: record.round_id,
+    E_i: c.E_i,
+    outputs: (collectors[c.node_id] && collectors[c.node_id].outputs) || {}
+  }));
+}
+
+/**
+ * NodeHistory
+ * Synchronous file-backed store; pass `file: null` for an in-memory history.
+ */
+export class NodeHistory {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.file] - JSON path (default $FLUQ_DATA_DIR/node-history.json)
+   * @param {number} [options.window=32] - rounds kept per node
+   */
+  constructor(options = {}) {
+    this.file = options.file === null ? null : (options.file || path.join(defaultDataDir(), 'node-history.json'));
+    this.window = Math.max(1, options.window || DEFAULT_WINDOW);
+    if (this.file) fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this._memory = this.file ? null : emptyState(this.window);
+    this._load();
+  }
+
+  /** Current state, re-read from disk so rounds recorded by other processes are seen. */
+  get state() {
+    return this._memory || this._load();
+  }
+
+  _load() {
+    if (!this.file || !fs.existsSync(this.file)) return emptyState(this.window);
+    const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    if (!parsed || parsed.version !== STATE_VERSION) {
+      throw new Error(`NodeHistory: unsupported state file version in ${this.file}`);
+    }
+    parsed.window = this.window;
+    parsed.participation = parsed.participation || {};
+    return parsed;
+  }
+
+  _persist(next) {
+    if (!this.file) {
+      this._memory = next;
+      return;
+    }
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(next, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  /** Runs fn(state) on a fresh read, under the file lock when file-backed; fn persists. */
+  _update(fn) {
+    if (!this.file) return fn(this._memory);
+    return withFileLock(`${this.file}.lock`, () => fn(this._load()));
+  }
+
+  /** Past submissions of one node, oldest first. */
+  entries(nodeId) {
+    return (this.state.nodes[nodeId] || []).slice();
+  }
+
+  /** Node ids with any history. */
+  nodeIds() {
+    const { nodes, participation } = this.state;
+    return [...new Set([...Object.keys(nodes), ...Object.keys(participation)])];
+  }
+
+  /** Commit/reveal outcomes of one node, oldest first. */
+  participation(nodeId) {
+    return (this.state.participation[nodeId] || []).slice();
+  }
+
+  /** Commit/reveal outcomes of every node: { node_id: [ { round_id, revealed } ] }. */
+  allParticipation() {
+    const out = {};
+    for (const [nodeId, list] of Object.entries(this.state.participation)) out[nodeId] = list.slice();
+    return out;
+  }
+
+  /** Every stored submission, optionally excluding one node. */
+  all({ exclude = null } = {}) {
+    const out = [];
+    for (const [nodeId, list] of Object.entries(this.state.nodes)) {
+      if (nodeId === exclude) continue;
+      for (const e of list) out.push({ node_id: nodeId, ...e });
+    }
+    return out;
+  }
+
+  /**
+   * recordRound(record)
+   * Appends each node's submission from a finalized round record and trims
+   * every touched node to the window. Re-recording a round is a no-op.
+   * @returns {number} submissions added
+   */
+  recordRound(record) {
+    if (!record) return 0;
+    return this._update((state) => {
+      const { next, added } = this._withRound(state, record);
+      if (added) this._persist(next);
+      return added;
+    });
+  }
+
+  /** @returns {{ next: object, added: number }} state with one round record merged in */
+  _withRound(state, record) {
+    const subs = submissionsFromRecord(record);
+    const nodes = { ...state.nodes };
+    const participation = { ...state.participation };
+    let added = 0;
+    for (const s of subs) {
+      const list = (nodes[s.node_id] || []).slice();
+      if (list.some(e => e.round_id === s.round_id)) continue;
+      list.push({ round_id: s.round_id, E_i: s.E_i, outputs: s.outputs });
+      nodes[s.node_id] = list.slice(-this.window);
+      added++;
+    }
+
+    const outcomes = [
+      ...(record.reveals || []).map(r => [r.node_id, true]),
+      // Rejected reveals are neither; records from before withheld_reveals fall back to missing_reveals
+      ...(record.withheld_reveals || record.missing_reveals || []).map(id => [id, false])
+    ];
+    for (const [nodeId, revealed] of outcomes) {
+      const list = (participation[nodeId] || []).slice();
+      if (list.some(e => e.round_id === record.round_id)) continue;
+      list.push({ round_id: record.round_id, revealed });
+      participation[nodeId] = list.slice(-this.window);
+      added++;
+    }
+
+    return { next: { ...state, nodes, participation }, added };
+  }
+
+  /**
+   * rebuild(ledger)
+   * Replaces the history with the last `window` rounds per node from the ledger.
+   * @returns {number} rounds replayed
+   */
+  rebuild(ledger) {
+    return this._update(() => {
+      let next = emptyState(this.window);
+      let rounds = 0;
+      for (const record of ledger.records()) {
+        next = this._withRound(next, record).next;
+        rounds++;
+      }
+      this._persist(next);
+      return rounds;
+    });
+  }
+}
+
+/** Convenience: history at the default location. */
+export function openNodeHistory(options = {}) {
+  return new NodeHistory(options);
+}
+
+/* -------------------- CLI -------------------- */
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  const [cmd, arg] = process.argv.slice(2);
+  const history = openNodeHistory();
+
+  if (cmd === 'rebuild') {
+    const rounds = history.rebuild(openLedger());
+    console.log(JSON.stringify({ file: history.file, rounds, nodes: history.nodeIds().length }, null, 2));
+  } else if (cmd === 'show' && arg) {
+    console.log(JSON.stringify({ submissions: history.entries(arg), participation: history.participation(arg) }, null, 2));
+  } else if (cmd === 'nodes') {
+    console.log(JSON.stringify(history.nodeIds().map(id => ({
+      node_id: id,
+      rounds: history.entries(id).length,
+      withheld: history.participation(id).filter(p => !p.revealed).length
+    })), null, 2));
+  } else {
+    console.log('Usage: node src/detector/nodeHistory.js <rebuild|nodes|show <node_id>>');
+  }
+}
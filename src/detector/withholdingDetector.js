@@ -0,0 +1,168 @@
+// src/detector/withholdingDetector.js
+// ESM version for FLUQ Alpha 1.0
+// Withholding (last-revealer) and collusion detection for commit-reveal rounds.
+//
+// A participant that commits and then refuses to reveal can choose between
+// two seeds: the one with its reveal and the one without. Every withheld
+// reveal therefore costs a penalty, and patterns across rounds cost more:
+//   - withheld_reveal      committed this round but never sent a reveal in time
+//   - withholding_pattern  withheld far more often than the baseline rate
+//                          (one-sided binomial test over the history window)
+//   - collusion            part of a group of nodes that withhold together
+//
+// Outcomes per node come from the node history (src/detector/nodeHistory.js).
+// detectWithholding() returns per-node statistics, collusion groups and
+// slashing events; settleRound() (src/token/staking.js) takes them from stakes
+// and balances when the round is persisted.
+
+const DEFAULTS = {
+  baselineRate: 0.05,      // expected share of honest commits that never reveal (crashes, timeouts)
+  alpha: 1e-3,             // false-positive rate of the pattern test
+  minWithholds: 2,         // never call a pattern on fewer withheld reveals than this
+  minCoWithholds: 2,       // rounds two nodes must have withheld together
+  groupOverlap: 0.8,       // |A ∩ B| / |A ∪ B| of withheld rounds for a collusion pair
+  penalties: {
+    withheld_reveal: 1,
+    withholding_pattern: 5,
+    collusion: 5
+  }
+};
+
+/**
+ * binomialUpperTail(n, k, p)
+ * P(X >= k) for X ~ Binomial(n, p), summed in log space.
+ */
+export function binomialUpperTail(n, k, p) {
+  if (k <= 0) return 1;
+  if (k > n) return 0;
+  if (p <= 0) return 0;
+  if (p >= 1) return 1;
+  const logP = Math.log(p);
+  const logQ = Math.log1p(-p);
+  let logChoose = 0;
+  for (let i = 1; i <= k; i++) logChoose += Math.log(n - i + 1) - Math.log(i);
+  let tail = 0;
+  for (let i = k; i <= n; i++) {
+    if (i > k) logChoose += Math.log(n - i + 1) - Math.log(i);
+    tail += Math.exp(logChoose + i * logP + (n - i) * logQ);
+  }
+  return Math.min(1, tail);
+}
+
+/** Union-find over node ids. */
+function groupPairs(pairs) {
+  const parent = new Map();
+  const find = (x) => {
+    if (!parent.has(x)) parent.set(x, x);
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  for (const [a, b] of pairs) parent.set(find(a), find(b));
+  const groups = new Map();
+  for (const x of parent.keys()) {
+    const root = find(x);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(x);
+  }
+  return [...groups.values()].map(g => g.sort());
+}
+
+/**
+ * detectWithholding(round, options)
+ * @param {{ round_id: string, committed: string[], withheld: string[] }} round - the round being finalized
+ * @param {object} [options]
+ * @param {import('./nodeHistory.js').NodeHistory} [options.history] - earlier rounds' outcomes
+ * @param {number} [options.baselineRate=0.05]
+ * @param {number} [options.alpha=0.001]
+ * @param {number} [options.minWithholds=2]
+ * @param {number} [options.minCoWithholds=2]
+ * @param {number} [options.groupOverlap=0.8]
+ * @param {object} [options.penalties] - FLQ per event type
+ * @returns {{ nodes: object, groups: object[], events: object[] }}
+ */
+export function detectWithholding(round, options = {}) {
+  const opts = { ...DEFAULTS, ...options, penalties: { ...DEFAULTS.penalties, ...(options.penalties || {}) } };
+  const roundId = round.round_id;
+  const committed = [...new Set(round.committed || [])];
+  const withheldNow = new Set(round.withheld || []);
+
+  // Outcomes per node: history window (minus this round) plus this round
+  const outcomes = {};
+  const past = opts.history ? opts.history.allParticipation() : {};
+  for (const [nodeId, list] of Object.entries(past)) {
+    outcomes[nodeId] = list.filter(e => e.round_id !== roundId);
+  }
+  for (const nodeId of committed) {
+    outcomes[nodeId] = [...(outcomes[nodeId] || []), { round_id: roundId, revealed: !withheldNow.has(nodeId) }];
+  }
+
+  const withheldRounds = {};
+  for (const [nodeId, list] of Object.entries(outcomes)) {
+    withheldRounds[nodeId] = new Set(list.filter(e => !e.revealed).map(e => e.round_id));
+  }
+
+  // Collusion pairs: nodes whose withheld rounds overlap almost entirely
+  const ids = Object.keys(withheldRounds).filter(id => withheldRounds[id].size >= opts.minCoWithholds);
+  const pairs = [];
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) {
+      const a = withheldRounds[ids[i]];
+      const b = withheldRounds[ids[j]];
+      let both = 0;
+      for (const r of a) if (b.has(r)) both++;
+      const union = a.size + b.size - both;
+      if (both >= opts.minCoWithholds && both / union >= opts.groupOverlap) pairs.push([ids[i], ids[j]]);
+    }
+  }
+  const groups = groupPairs(pairs)
+    .filter(g => g.some(id => committed.includes(id)))
+    .map(g => {
+      const shared = [...withheldRounds[g[0]]].filter(r => g.every(id => withheldRounds[id].has(r)));
+      return { nodes: g, co_withheld: shared.length, rounds: shared };
+    });
+  const groupOf = new Map();
+  for (const g of groups) for (const id of g.nodes) groupOf.set(id, g);
+
+  const nodes = {};
+  const events = [];
+  const slash = (nodeId, type, evidence) => {
+    const amount = opts.penalties[type] || 0;
+    if (amount > 0) events.push({ type: 'slash', reason: type, node_id: nodeId, round_id: roundId, amount, evidence });
+  };
+
+  for (const nodeId of committed) {
+    const list = outcomes[nodeId];
+    const n = list.length;
+    const w = withheldRounds[nodeId].size;
+    const pValue = binomialUpperTail(n, w, opts.baselineRate);
+    const pattern = w >= opts.minWithholds && pValue < opts.alpha;
+    const group = groupOf.get(nodeId) || null;
+    const reasons = [];
+    if (withheldNow.has(nodeId)) reasons.push('withheld_reveal');
+    if (pattern) reasons.push('withholding_pattern');
+    if (group) reasons.push('collusion');
+
+    nodes[nodeId] = {
+      commits: n,
+      withheld: w,
+      rate: Number((w / n).toFixed(4)),
+      p_value: Number(pValue.toPrecision(4)),
+      group: group ? group.nodes : null,
+      flagged: reasons.length > 0,
+      reasons
+    };
+
+    // Penalties only fall on rounds where the node actually withheld
+    if (!withheldNow.has(nodeId)) continue;
+    slash(nodeId, 'withheld_reveal', { round_id: roundId });
+    if (pattern) slash(nodeId, 'withholding_pattern', { commits: n, withheld: w, p_value: nodes[nodeId].p_value });
+    if (group) slash(nodeId, 'collusion', { group: group.nodes, co_withheld: group.co_withheld });
+  }
+
+  return { nodes, groups, events };
+}
+
+export default detectWithholding;
@@ -0,0 +1,118 @@
+// src/identity/nodeIdentity.js
+// ESM version for FLUQ Alpha 1.0
+// Contributor identities: one Ed25519 key pair per node_id (Node crypto only).
+//
+// A node signs its commit and its reveal; the coordinator checks both against
+// the public key registered for that node_id (src/identity/nodeRegistry.js).
+// Signed messages are length-prefixed fields, lp(x) = u32be(len(x)) || x:
+//   commit: lp("FLUQ-COMMIT-v1") || lp(round_id) || lp(node_id) || lp(commit)
+//   reveal: lp("FLUQ-REVEAL-v1") || lp(round_id) || lp(node_id) || lp(E_i) || lp(commit)
+// The reveal message covers the commit rather than s_i, so both signatures can
+// be checked later from the round record alone (commit and E_i are published).
+//
+// Local private keys live at $FLUQ_DATA_DIR/keys/<node_id>.pem (PKCS#8, mode 0600).
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import { defaultDataDir } from '../ledger/roundLedger.js';
+import { publicKeyToHex, publicKeyFromHex } from '../mixer/vrf.js';
+
+export const IDENTITY_ALG = 'ed25519';
+
+const COMMIT_DOMAIN = 'FLUQ-COMMIT-v1';
+const REVEAL_DOMAIN = 'FLUQ-REVEAL-v1';
+const NODE_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+function lp(str) {
+  const b = Buffer.from(String(str), 'utf8');
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(b.length, 0);
+  return Buffer.concat([len, b]);
+}
+
+/** Node ids double as key file names, so they are restricted to [A-Za-z0-9._-]. */
+export function isValidNodeId(nodeId) {
+  return typeof nodeId === 'string' && NODE_ID_PATTERN.test(nodeId) && nodeId !== '.' && nodeId !== '..';
+}
+
+/** Default directory for local node keys. */
+export function defaultKeyDir() {
+  return path.join(defaultDataDir(), 'keys');
+}
+
+function identityFrom(nodeId, privateKey) {
+  const publicKey = crypto.createPublicKey(privateKey);
+  return { node_id: nodeId, privateKey, publicKey, public_key: publicKeyToHex(publicKey) };
+}
+
+/**
+ * generateIdentity(nodeId)
+ * @returns {{ node_id: string, privateKey: crypto.KeyObject, publicKey: crypto.KeyObject, public_key: string }}
+ */
+export function generateIdentity(nodeId) {
+  if (!isValidNodeId(nodeId)) throw new TypeError(`generateIdentity: invalid node_id '${nodeId}'`);
+  return identityFrom(nodeId, crypto.generateKeyPairSync(IDENTITY_ALG).privateKey);
+}
+
+/**
+ * loadOrCreateIdentity(nodeId, options)
+ * Reads the node's PEM private key, creating one if it does not exist yet.
+ * @param {string} nodeId
+ * @param {{ dir?: string }} [options] - key directory (default $FLUQ_DATA_DIR/keys)
+ */
+export function loadOrCreateIdentity(nodeId, options = {}) {
+  if (!isValidNodeId(nodeId)) throw new TypeError(`loadOrCreateIdentity: invalid node_id '${nodeId}'`);
+  const file = path.join(options.dir || defaultKeyDir(), `${nodeId}.pem`);
+  if (fs.existsSync(file)) {
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(file, 'utf8'));
+    if (privateKey.asymmetricKeyType !== IDENTITY_ALG) {
+      throw new Error(`loadOrCreateIdentity: ${file} is not an Ed25519 key`);
+    }
+    return identityFrom(nodeId, privateKey);
+  }
+  const identity = generateIdentity(nodeId);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, identity.privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  return identity;
+}
+
+/** @returns {Buffer} bytes a node signs for its commit */
+export function commitMessage(roundId, nodeId, commit) {
+  return Buffer.concat([lp(COMMIT_DOMAIN), lp(roundId), lp(nodeId), lp(commit)]);
+}
+
+/** @returns {Buffer} bytes a node signs for its reveal */
+export function revealMessage(roundId, nodeId, E_i, commit) {
+  return Buffer.concat([lp(REVEAL_DOMAIN), lp(roundId), lp(nodeId), lp(E_i), lp(commit)]);
+}
+
+/** @returns {string} hex Ed25519 signature */
+export function sign(identity, message) {
+  return crypto.sign(null, message, identity.privateKey).toString('hex');
+}
+
+/**
+ * verify(publicKey, message, signatureHex)
+ * @param {string|crypto.KeyObject} publicKey - raw hex, PEM or KeyObject
+ * @returns {boolean} false for malformed keys or signatures as well as wrong ones
+ */
+export function verify(publicKey, message, signatureHex) {
+  if (typeof signatureHex !== 'string' || !/^[0-9a-f]{128}$/i.test(signatureHex)) return false;
+  try {
+    return crypto.verify(null, message, publicKeyFromHex(publicKey), Buffer.from(signatureHex, 'hex'));
+  } catch (e) {
+    return false;
+  }
+}
+
+/** Signature over commitMessage() for this identity. */
+export function signCommit(identity, roundId, commit) {
+  return sign(identity, commitMessage(roundId, identity.node_id, commit));
+}
+
+/** Signature over revealMessage() for this identity. */
+export function signReveal(identity, roundId, E_i, commit) {
+  return sign(identity, revealMessage(roundId, identity.node_id, E_i, commit));
+}
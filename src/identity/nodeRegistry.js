@@ -0,0 +1,255 @@
+// src/identity/nodeRegistry.js
+// ESM version for FLUQ Alpha 1.0
+// Local registry of known nodes: node_id -> Ed25519 public key.
+//
+// State lives in one JSON file ($FLUQ_DATA_DIR/nodes.json by default):
+//   { version, nodes: { node_id: { public_key, registered_at } } }
+// A node_id is bound to the first key registered for it; re-registering with
+// a different key is refused unless the entry is removed (or replaced) first.
+// Written through a temp file + rename, like the balance store. Lookups read
+// the file and register/remove merge into it under <file>.lock, so nodes
+// enrolled by one process (fluq round run, the daemon) and registered through
+// another (POST /nodes) are all kept and all seen.
+//
+// The coordinator uses checkCommit()/checkReveal() to refuse unsigned or
+// wrongly signed submissions; verifyRecordSignatures() re-checks a finalized
+// round record from the ledger.
+//
+// Usage (CLI):
+//   node src/identity/nodeRegistry.js keygen <node_id>
+//   node src/identity/nodeRegistry.js register <node_id> <public_key_hex>
+//   node src/identity/nodeRegistry.js remove <node_id>
+//   node src/identity/nodeRegistry.js list
+//   node src/identity/nodeRegistry.js show <node_id>
+//   node src/identity/nodeRegistry.js verify <round_id>
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { defaultDataDir, openLedger } from '../ledger/roundLedger.js';
+import { withFileLock } from '../utils/fileLock.js';
+import { publicKeyToHex, publicKeyFromHex } from '../mixer/vrf.js';
+import { isValidNodeId, loadOrCreateIdentity, commitMessage, revealMessage, verify } from './nodeIdentity.js';
+
+const STATE_VERSION = 1;
+
+function emptyState() {
+  return { version: STATE_VERSION, nodes: {} };
+}
+
+/** Normalize any accepted key form to the raw 32-byte hex the registry stores. */
+function normalizeKey(publicKey) {
+  try {
+    return publicKeyToHex(publicKeyFromHex(publicKey));
+  } catch (e) {
+    throw new TypeError(`invalid Ed25519 public key: ${e.message}`);
+  }
+}
+
+/**
+ * NodeRegistry
+ * Synchronous file-backed store; pass `file: null` for an in-memory registry.
+ */
+export class NodeRegistry {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.file] - JSON path (default $FLUQ_DATA_DIR/nodes.json)
+   */
+  constructor(options = {}) {
+    this.file = options.file === null ? null : (options.file || path.join(defaultDataDir(), 'nodes.json'));
+    if (this.file) fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this._memory = this.file ? null : emptyState();
+    this._load();
+  }
+
+  /** Current state, re-read from disk so nodes registered by other processes are seen. */
+  get state() {
+    return this._memory || this._load();
+  }
+
+  _load() {
+    if (!this.file || !fs.existsSync(this.file)) return emptyState();
+    const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    if (!parsed || parsed.version !== STATE_VERSION) {
+      throw new Error(`NodeRegistry: unsupported state file version in ${this.file}`);
+    }
+    return parsed;
+  }
+
+  _persist(next) {
+    if (!this.file) {
+      this._memory = next;
+      return;
+    }
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(next, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  /** Runs fn(state) on a fresh read, under the file lock when file-backed; fn persists. */
+  _update(fn) {
+    if (!this.file) return fn(this._memory);
+    return withFileLock(`${this.file}.lock`, () => fn(this._load()));
+  }
+
+  /** @returns {{ node_id, public_key, registered_at }|null} */
+  get(nodeId) {
+    const entry = this.state.nodes[nodeId];
+    return entry ? { node_id: nodeId, ...entry } : null;
+  }
+
+  /** Registered public key (hex) of a node, or null. */
+  publicKeyOf(nodeId) {
+    const entry = this.state.nodes[nodeId];
+    return entry ? entry.public_key : null;
+  }
+
+  has(nodeId) {
+    return Object.prototype.hasOwnProperty.call(this.state.nodes, nodeId);
+  }
+
+  /** Every registered node, sorted by node_id. */
+  list() {
+    const { nodes } = this.state;
+    return Object.keys(nodes).sort().map(id => ({ node_id: id, ...nodes[id] }));
+  }
+
+  /**
+   * register(nodeId, publicKey, { replace })
+   * Registering the same key again is a no-op.
+   * @param {string} nodeId
+   * @param {string|import('crypto').KeyObject} publicKey - raw hex, PEM or KeyObject
+   * @param {{ replace?: boolean }} [options] - allow rebinding the node to a new key
+   * @returns {{ node_id, public_key, registered_at }}
+   * @throws {Error} when the node is already bound to another key
+   */
+  register(nodeId, publicKey, options = {}) {
+    if (!isValidNodeId(nodeId)) throw new TypeError(`NodeRegistry: invalid node_id '${nodeId}'`);
+    const key = normalizeKey(publicKey);
+    return this._update((state) => {
+      const existing = state.nodes[nodeId];
+      if (existing && existing.public_key === key) return { node_id: nodeId, ...existing };
+      if (existing && !options.replace) {
+        throw new Error(`NodeRegistry: node '${nodeId}' is already registered with another key`);
+      }
+      const entry = { public_key: key, registered_at: new Date().toISOString() };
+      this._persist({ ...state, nodes: { ...state.nodes, [nodeId]: entry } });
+      return { node_id: nodeId, ...entry };
+    });
+  }
+
+  /** Register a local identity (src/identity/nodeIdentity.js) under its own node_id. */
+  enroll(identity) {
+    return this.register(identity.node_id, identity.publicKey);
+  }
+
+  /** @returns {boolean} true when the node was registered */
+  remove(nodeId) {
+    return this._update((state) => {
+      if (!Object.prototype.hasOwnProperty.call(state.nodes, nodeId)) return false;
+      const nodes = { ...state.nodes };
+      delete nodes[nodeId];
+      this._persist({ ...state, nodes });
+      return true;
+    });
+  }
+
+  _check(nodeId, signature, message) {
+    const key = this.publicKeyOf(nodeId);
+    if (!key) return 'node is not registered';
+    if (signature === undefined || signature === null || signature === '') return 'missing signature';
+    return verify(key, message, signature) ? null : 'invalid signature';
+  }
+
+  /**
+   * checkCommit(roundId, { node_id, commit, signature })
+   * @returns {string|null} rejection reason, or null when the signature is valid
+   */
+  checkCommit(roundId, { node_id: nodeId, commit, signature } = {}) {
+    return this._check(nodeId, signature, commitMessage(roundId, nodeId, commit));
+  }
+
+  /**
+   * checkReveal(roundId, { node_id, E_i, commit, signature })
+   * @returns {string|null} rejection reason, or null when the signature is valid
+   */
+  checkReveal(roundId, { node_id: nodeId, E_i, commit, signature } = {}) {
+    return this._check(nodeId, signature, revealMessage(roundId, nodeId, E_i, commit));
+  }
+}
+
+/** Convenience: registry at the default location. */
+export function openNodeRegistry(options = {}) {
+  return new NodeRegistry(options);
+}
+
+/**
+ * verifyRecordSignatures(record, registry)
+ * Re-checks every reveal in a round record: commit and reveal signatures
+ * against the public key the record carries, E_i taken from the mixing
+ * transcript. With a registry, the key must also be the one registered now.
+ * @returns {{ ok: boolean, checked: number, issues: Array<{ node_id, reason }> }}
+ */
+export function verifyRecordSignatures(record, registry = null) {
+  const issues = [];
+  const inputs = new Map(((record.mix && record.mix.inputs) || []).map(i => [i.node_id, i.E_i]));
+  const reveals = record.reveals || [];
+  for (const r of reveals) {
+    const fail = (reason) => issues.push({ node_id: r.node_id, reason });
+    if (!r.public_key) { fail('reveal carries no public key'); continue; }
+    if (registry && registry.publicKeyOf(r.node_id) !== r.public_key) fail('public key differs from the registry');
+    if (!verify(r.public_key, commitMessage(record.round_id, r.node_id, r.commit), r.commit_signature)) {
+      fail('invalid commit signature');
+    }
+    const E_i = inputs.get(r.node_id);
+    if (E_i === undefined) fail('E_i missing from the mixing transcript');
+    else if (!verify(r.public_key, revealMessage(record.round_id, r.node_id, E_i, r.commit), r.reveal_signature)) {
+      fail('invalid reveal signature');
+    }
+  }
+  return { ok: issues.length === 0, checked: reveals.length, issues };
+}
+
+/* -------------------- CLI -------------------- */
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  const [cmd, arg, arg2] = process.argv.slice(2);
+  const registry = openNodeRegistry();
+  const print = (x) => console.log(JSON.stringify(x, null, 2));
+
+  try {
+    if (cmd === 'keygen' && arg) {
+      const identity = loadOrCreateIdentity(arg);
+      print(registry.enroll(identity));
+    } else if (cmd === 'register' && arg && arg2) {
+      print(registry.register(arg, arg2));
+    } else if (cmd === 'remove' && arg) {
+      print({ node_id: arg, removed: registry.remove(arg) });
+    } else if (cmd === 'list') {
+      print(registry.list());
+    } else if (cmd === 'show' && arg) {
+      const entry = registry.get(arg);
+      if (!entry) {
+        console.error(`Node '${arg}' is not registered in ${registry.file}`);
+        process.exit(2);
+      }
+      print(entry);
+    } else if (cmd === 'verify' && arg) {
+      const ledger = openLedger();
+      const entry = ledger.get(arg);
+      if (!entry) {
+        console.error(`Round '${arg}' not found in ${ledger.file}`);
+        process.exit(2);
+      }
+      const report = verifyRecordSignatures(entry.record, registry);
+      print({ round_id: arg, ...report });
+      process.exit(report.ok ? 0 : 3);
+    } else {
+      console.log('Usage: node src/identity/nodeRegistry.js <keygen <node_id>|register <node_id> <public_key>|remove <node_id>|list|show <node_id>|verify <round_id>>');
+    }
+  } catch (err) {
+    console.error('Error (nodeRegistry CLI):', err?.message ?? err);
+    process.exit(1);
+  }
+}
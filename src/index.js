@@ -7,177 +7,248 @@
 //
 // Flow:
 //  1) Collect randomness from collectors (mouse, keyboard, cpu, crypto)
-//  2) Build E_i (512-bit) and secret s_i
-//  3) Commit = H(E_i || s_i || round_id)
-//  4) Reveal locally and verify commit
-//  5) Mix reveals -> R_round
+//  2) Build E_i (512-bit) and secret s_i; with pool.enabled (FLUQ_ENTROPY_POOL=1), E_i is
+//     drawn from the Fortuna-style pool (src/collectors/entropyPool.js) instead
+//  3) Commit = H(E_i || s_i || round_id) for each participant (round.local_nodes, default 1),
+//     signed with the node's Ed25519 key (created and registered on first use)
+//  4) RoundCoordinator: commit phase, then reveal phase; signatures and reveals are checked
+//  5) Mix valid reveals -> R_round
 //  6) Cheat detection
 //  7) Uniqueness scoring
 //  8) Reward allocation
-//  9) Print/save round record
-
-import crypto from 'crypto';
-
-// Collectors (must export an async `collect()` function that returns Buffer or hex string)
-import * as mouseCollector from './collectors/mouseCollector.js';
-import * as keyboardCollector from './collectors/keyboardCollector.js';
-import * as cpuCollector from './collectors/cpuNoiseCollector.js';
-import * as cryptoCollector from './collectors/cryptoCollector.js';
-
-// Modules (each should export the named functions used below)
-import * as mixer from './mixer/mixRandomness.js';
-import * as cheatDetector from './detector/cheatDetector.js';
-import * as uniquenessScore from './scoring/uniquenessScore.js';
-import * as rewardEngine from './token/rewardEngine.js';
-
-// Utils (hash.js should export sha256/sha512; logger.js should export info/warn/error)
-import * as hashUtils from './utils/hash.js';
+//  9) Append round record to the hash-chained ledger and credit awards to the balance store
+//
+// Rounds are numbered by epoch (ledger position), round id `round-<epoch>`.
+// `node src/index.js --daemon` (or FLUQ_DAEMON=1) keeps running rounds through
+// src/coordinator/roundScheduler.js until SIGINT/SIGTERM.
+//
+// Metrics (src/metrics/metrics.js) are dumped to $FLUQ_DATA_DIR/metrics.prom
+// after every run; the daemon can also serve them on /metrics (metrics.port).
+//
+// Settings come from src/config/config.js: defaults, then fluq.config.json /
+// .yaml (or --config / FLUQ_CONFIG), then FLUQ_* variables, then --set key=value.
+
+import { fileURLToPath } from 'url';
+
+import { RoundCoordinator, runCommitReveal } from './coordinator/roundCoordinator.js';
+import { createLocalParticipant } from './coordinator/localParticipant.js';
+import { finalizeRound, persistRound, loadVrfKeyFromEnv } from './coordinator/roundPipeline.js';
+import { openLedger } from './ledger/roundLedger.js';
+import { openBalanceStore } from './token/balanceStore.js';
+import { openNodeHistory } from './detector/nodeHistory.js';
+import { loadRewardPolicy } from './token/rewardPolicy.js';
+import { minimumStakeCheck } from './token/staking.js';
+import { openNodeRegistry } from './identity/nodeRegistry.js';
+import { loadOrCreateIdentity } from './identity/nodeIdentity.js';
+import { openEntropyPool, createPoolFeeder } from './collectors/entropyPool.js';
+import { startConfiguredCapture, stopBackgroundCapture } from './collectors/keyboardCollector.js';
+import { RoundScheduler, epochRoundId, nextEpoch, TRIGGER_SIGNAL } from './coordinator/roundScheduler.js';
+import { loadConfig, loadedConfig, setConfig, configArgs } from './config/config.js';
+import { openMetricsSession } from './metrics/metrics.js';
+
+// Utils (logger.js exports info/warn/error and child loggers)
 import * as logger from './utils/logger.js';
 
-/** Normalize any returned collector value into a Buffer */
-function normalizeToBuffer(x) {
-  if (!x) return crypto.randomBytes(32);
-  if (Buffer.isBuffer(x)) return x;
-  if (typeof x === 'string') {
-    // assume hex (strip 0x if present)
-    const s = x.replace(/^0x/, '');
-    // if string length odd or not hex, fallback
-    if (!/^[0-9a-fA-F]+$/.test(s) || s.length % 2 !== 0) return Buffer.from(s, 'utf8');
-    return Buffer.from(s, 'hex');
-  }
-  if (typeof x === 'object' && typeof x.hex === 'string') {
-    return Buffer.from(x.hex.replace(/^0x/, ''), 'hex');
-  }
-  // fallback to random
-  return crypto.randomBytes(32);
+function envFlag(name) {
+  return ['1', 'true', 'yes'].includes(String(process.env[name] || '').toLowerCase());
 }
 
-async function safeCollect(moduleNamespace, name) {
-  if (!moduleNamespace || typeof moduleNamespace.collect !== 'function') {
-    logger.warn(`${name}: collect() not found — returning fallback random bytes.`);
-    return crypto.randomBytes(32);
-  }
-  try {
-    const out = await moduleNamespace.collect();
-    return normalizeToBuffer(out);
-  } catch (err) {
-    logger.error(`${name}: collect() threw — using fallback.`, err?.message ?? err);
-    return crypto.randomBytes(32);
-  }
+/** Optional entropy pool (pool.enabled) and the feeder that keeps collectors adding to it. */
+function openConfiguredPool(config = loadedConfig().config) {
+  if (!config.pool.enabled) return { pool: null, feeder: null };
+  const pool = openEntropyPool({ minPoolSize: config.pool.min_pool_size, reseedIntervalMs: config.pool.reseed_interval_ms });
+  const feeder = createPoolFeeder(pool, undefined, { intervalMs: config.pool.interval_ms });
+  return { pool, feeder };
 }
 
-function bufferToHex(buf) {
-  if (!buf) return '';
-  if (Buffer.isBuffer(buf)) return buf.toString('hex');
-  return String(buf);
+/** Metrics dump (and, with serve, the /metrics endpoint) as configured in metrics.*. */
+function openConfiguredMetrics(config = loadedConfig().config, { serve = false } = {}) {
+  const m = config.metrics;
+  return openMetricsSession({
+    file: m.file,
+    accumulate: m.accumulate,
+    port: serve ? m.port : 0,
+    host: m.host,
+    dumpIntervalMs: serve ? m.dump_interval_ms : 0
+  });
 }
 
-async function runRound() {
+/**
+ * runRound(options)
+ * Runs one commit-reveal round over the local nodes and persists it.
+ * @param {object} [options]
+ * @param {number} [options.epoch] - default: next ledger position
+ * @param {string} [options.roundId] - default: round-<epoch>
+ * @param {AbortSignal} [options.signal] - aborts the round before anything is persisted
+ * @param {import('./collectors/entropyPool.js').EntropyPool} [options.pool] - pool kept fed by the caller;
+ *   without one, pool.enabled opens and feeds a pool for this round only
+ * @param {{ config: object, hash: string }} [options.config] - loadConfig() result (default: the process config)
+ * @returns {Promise<object>} round record
+ */
+async function runRound(options = {}) {
+  const { signal = null } = options;
+  const loaded = options.config || loadedConfig();
+  const config = loaded.config;
   logger.info('--- FLUQ Alpha 1.0: Starting round ---');
 
   // metadata
-  const roundId = `round-${Date.now()}`;
-  const prevRoundHash = process.env.PREV_ROUND_HASH || '0'.repeat(64);
-
-  logger.info(`Round ID: ${roundId}`);
-  logger.info(`Prev round hash: ${prevRoundHash}`);
-
-  // Collect entropy concurrently
-  logger.info('Collecting entropy from collectors (mouse, keyboard, cpu, crypto)...');
-  const [mouseBuf, keyboardBuf, cpuBuf, cryptoBuf] = await Promise.all([
-    safeCollect(mouseCollector, 'mouseCollector'),
-    safeCollect(keyboardCollector, 'keyboardCollector'),
-    safeCollect(cpuCollector, 'cpuNoiseCollector'),
-    safeCollect(cryptoCollector, 'cryptoCollector'),
-  ]);
-
-  // Convert to hex strings for deterministic concatenation
-  const collected = {
-    mouse: bufferToHex(mouseBuf).padEnd(64, '0').slice(0, 64),      // normalize length to avoid empty concat surprises
-    keyboard: bufferToHex(keyboardBuf).padEnd(64, '0').slice(0, 64),
-    cpu: bufferToHex(cpuBuf).padEnd(64, '0').slice(0, 64),
-    crypto: bufferToHex(cryptoBuf).padEnd(64, '0').slice(0, 64),
-  };
+  const ledger = openLedger();
+  const epoch = options.epoch ?? nextEpoch(ledger);
+  const roundId = options.roundId || epochRoundId(epoch);
+  const log = logger.child({ round_id: roundId, epoch });
+  const prevRoundHash = ledger.tipHash(); // hash of the last ledger entry (zeros for the first round)
+  const nodeIds = Array.from({ length: config.round.local_nodes }, (_, i) => `local-node-${i}`);
+
+  log.info(`Round ID: ${roundId} (epoch ${epoch})`);
+  log.info(`Prev round hash: ${prevRoundHash}`);
+  log.info(`Participants: ${nodeIds.join(', ')}`);
+  log.info(`Config: ${loaded.hash.slice(0, 16)}... (${loaded.file || 'no config file'})`);
+
+  // Local nodes sign with keys under $FLUQ_DATA_DIR/keys, bound to their ids in the registry
+  const registry = openNodeRegistry();
+  const identities = nodeIds.map(id => loadOrCreateIdentity(id));
+  for (const identity of identities) registry.enroll(identity);
+
+  // Commit phase, then reveal phase; only signed reveals matching their commit are mixed.
+  // staking.min_stake > 0 admits only nodes with that much FLQ staked.
+  const store = openBalanceStore();
+  const coordinator = new RoundCoordinator({
+    roundId,
+    prevRoundHash,
+    participants: nodeIds,
+    commitWindowMs: config.round.commit_window_ms,
+    revealWindowMs: config.round.reveal_window_ms,
+    minReveals: config.round.min_reveals,
+    vrfKey: loadVrfKeyFromEnv(config),
+    construction: config.round.mix_construction,
+    registry,
+    admit: minimumStakeCheck(store, config.staking.min_stake)
+  });
+  // Optional entropy pool: collectors feed it in the background while the seed file carries state between runs
+  let pool = options.pool || null;
+  let feeder = null;
+  if (!pool) ({ pool, feeder } = openConfiguredPool(config));
+  if (feeder) {
+    // A single run has no earlier feeding to rely on: one pass over the collectors first
+    await feeder.feedOnce();
+    feeder.start();
+    if (!(await pool.waitUntilSeeded())) log.warn('Entropy pool did not fill in time; collectors will be called directly.');
+  }
 
-  logger.info('Collected pieces:', Object.keys(collected).map(k => `${k}:${collected[k].slice(0,10)}...`).join(' | '));
+  const participants = identities.map(identity => createLocalParticipant(identity.node_id, roundId, { identity, pool }));
+  try {
+    await runCommitReveal(coordinator, participants, { finalize: false, signal });
+  } finally {
+    if (feeder) await feeder.stop();
+  }
+  const history = openNodeHistory({ window: config.detector.history_window });
+  const record = await finalizeRound(coordinator, {
+    history,
+    rewardPolicy: loadRewardPolicy(),
+    roundIndex: epoch,
+    epoch,
+    config: loaded
+  });
 
-  // Build E_i: deterministic ordered concat then sha512 to produce fixed 512-bit hex string
-  const piecesOrdered = ['mouse', 'keyboard', 'cpu', 'crypto'];
-  const concatenatedHex = piecesOrdered.map(k => collected[k]).join('');
-  const E_i = hashUtils.sha512(concatenatedHex); // hex string (128 hex chars for 512 bits)
-  logger.info(`E_i (512-bit hex prefix): ${E_i.slice(0,24)}...`);
+  // Last point where an abort leaves no trace: nothing has been written yet
+  signal?.throwIfAborted();
+  persistRound(record, { ledger, store, history, slashDestination: config.staking.slash_destination, config: loaded });
 
-  // Local secret s_i
-  const s_i = crypto.randomBytes(32).toString('hex'); // 256-bit hex
-  logger.info(`s_i (secret) prefix: ${s_i.slice(0,12)}...`);
+  log.info('Round record:', record);
+  log.info('--- FLUQ Alpha 1.0: Round complete ---');
 
-  // Commit: sha256(E_i || s_i || roundId)
-  const commitInput = E_i + s_i + roundId;
-  const commit = hashUtils.sha256(commitInput);
-  logger.info(`Commit (sha256): ${commit}`);
+  return record;
+}
 
-  // Reveal locally (simulate): verify commit
-  const recomputed = hashUtils.sha256(E_i + s_i + roundId);
-  if (recomputed !== commit) {
-    logger.error('Local commit verification failed; aborting.');
-    return;
-  }
-  logger.info('Commit verified locally.');
-
-  // Build reveals array (single-node prototype)
-  const reveals = [{
-    node_id: 'local-node-0',
-    round_id: roundId,
-    E_i,
-    s_i,
-    commit
-  }];
-
-  // Mixer: pass array of E_i values and metadata; mixer returns hex seed (e.g., sha256)
-  const E_list = reveals.map(r => r.E_i);
-  const mixInputArray = [prevRoundHash, roundId, ...E_list];
-  const roundSeed = mixer.mixRandomness(mixInputArray); // expect hex string
-  logger.info(`R_round (final seed) prefix: ${roundSeed.slice(0,16)}...`);
-
-  // Cheat detection
-  const cheatResult = (typeof cheatDetector.check === 'function') ? cheatDetector.check(reveals) : (typeof cheatDetector.default === 'function' ? cheatDetector.default(reveals) : { cheated: false });
-  if (cheatResult && cheatResult.cheated) {
-    logger.warn('Cheating detected:', cheatResult.reason);
-  } else {
-    logger.info('No cheating detected.');
+/**
+ * runDaemon()
+ * Runs rounds until SIGINT/SIGTERM. The first signal stops scheduling and lets
+ * the in-flight round finish (scheduler.shutdown_grace_ms), a second one aborts it.
+ * With pool.enabled one pool is fed for the daemon's whole life, so
+ * collectors that answer between rounds still count.
+ *   scheduler.interval_ms       time between round starts (default 60000; 0: only on SIGUSR2)
+ *   scheduler.overlap           skip | queue, for triggers during a round (default skip)
+ *   scheduler.round_timeout_ms  abort rounds running longer than this (default 0: never)
+ * The config is read once at start; restart the daemon to apply changes.
+ */
+async function runDaemon() {
+  const loaded = loadedConfig();
+  const { pool, feeder } = openConfiguredPool(loaded.config);
+  const metrics = openConfiguredMetrics(loaded.config, { serve: true });
+  // Keypresses pool between rounds (keyboard background mode, needs a TTY)
+  startConfiguredCapture(loaded.config);
+  if (feeder) {
+    await feeder.feedOnce();
+    feeder.start();
   }
 
-  // Uniqueness scoring
-  const scoreResult = (typeof uniquenessScore.evaluate === 'function') ? uniquenessScore.evaluate(E_list) : (typeof uniquenessScore.default === 'function' ? uniquenessScore.default(E_list) : { score: 50, category: 'Unknown' });
-  logger.info(`Uniqueness score: ${scoreResult.score} (${scoreResult.category})`);
-
-  // Reward allocation
-  const tokensAwarded = (typeof rewardEngine.allocate === 'function') ? rewardEngine.allocate(scoreResult.score) : (typeof rewardEngine.default === 'function' ? rewardEngine.default(scoreResult.score) : 0);
-  logger.info(`Tokens awarded this round: ${tokensAwarded} FLQ`);
-
-  // Construct round record (for rolling log)
-  const record = {
-    round_id: roundId,
-    prev_root_hash: prevRoundHash,
-    timestamp: new Date().toISOString(),
-    reveals: reveals.map(r => ({ node_id: r.node_id, commit: r.commit })),
-    R_round: roundSeed,
-    awarded: tokensAwarded
-  };
+  const scheduler = new RoundScheduler({
+    runRound: ({ epoch, roundId, signal }) => runRound({ epoch, roundId, signal, pool, config: loaded }),
+    intervalMs: loaded.config.scheduler.interval_ms,
+    overlap: loaded.config.scheduler.overlap,
+    roundTimeoutMs: loaded.config.scheduler.round_timeout_ms,
+    graceMs: loaded.config.scheduler.shutdown_grace_ms
+  });
 
-  logger.info('Round record:', JSON.stringify(record, null, 2));
-  logger.info('--- FLUQ Alpha 1.0: Round complete ---');
+  // In on-demand mode nothing else holds the event loop open between signals
+  const keepAlive = setInterval(() => {}, 1 << 30);
+  let stopping = null;
+  const shutdown = async (sig) => {
+    logger.info(`${sig} received: stopping after the current round (send again to abort it)`);
+    const outcome = await scheduler.stop();
+    if (feeder) await feeder.stop();
+    if (pool) pool.saveSeedFile();
+    await metrics.close();
+    stopBackgroundCapture();
+    clearInterval(keepAlive);
+    logger.info(`--- FLUQ Alpha 1.0: Daemon stopped${outcome.aborted ? ' (in-flight round aborted)' : ''} ---`);
+    await logger.flush();
+    process.exit(0);
+  };
+  const onSignal = (sig) => {
+    if (!stopping) {
+      stopping = shutdown(sig).catch((err) => {
+        logger.error('Error during shutdown:', err);
+        process.exit(1);
+      });
+    } else if (scheduler.abortCurrent(`${sig} received twice`)) {
+      logger.warn(`${sig} received again: aborting the in-flight round`);
+    }
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  process.on(TRIGGER_SIGNAL, () => scheduler.trigger('signal'));
 
-  return record;
+  logger.info(`--- FLUQ Alpha 1.0: Daemon running (pid ${process.pid}) ---`);
+  scheduler.start();
+  return scheduler;
 }
 
-// Run the round when file executed
-if (import.meta.url === `file://${process.cwd()}/src/index.js` || import.meta.url.endsWith('/src/index.js')) {
-  runRound().catch(err => {
-    logger.error('Fatal error in runRound:', err?.stack ?? err);
-    process.exit(1);
-  });
+// Run the round (or the daemon) when file executed
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  try {
+    const { file, sets } = configArgs(process.argv.slice(2));
+    setConfig(loadConfig({ file, sets }));
+  } catch (err) {
+    logger.error('Configuration error:', err);
+    process.exit(2);
+  }
+  if (process.argv.includes('--daemon') || envFlag('FLUQ_DAEMON')) {
+    runDaemon().catch(err => {
+      logger.error('Fatal error in runDaemon:', err);
+      process.exit(1);
+    });
+  } else {
+    const metrics = openConfiguredMetrics();
+    runRound()
+      .finally(() => metrics.close())
+      .catch(err => {
+        logger.error('Fatal error in runRound:', err);
+        process.exit(1);
+      });
+  }
 }
 
-// Export runRound for tests / external runners
-export { runRound };
+// Export runRound and runDaemon for tests / external runners
+export { runRound, runDaemon, openConfiguredMetrics };
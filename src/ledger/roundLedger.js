@@ -0,0 +1,246 @@
+// src/ledger/roundLedger.js
+// ESM version for FLUQ Alpha 1.0
+// Append-only, hash-chained round ledger stored as JSONL on local disk.
+//
+// Each line is one entry:
+//   { seq, prev_hash, hash, record }
+// where hash = sha256(canonicalJson({ seq, prev_hash, record })) and
+// prev_hash is the hash of the previous entry (GENESIS_HASH for seq 0).
+// The ledger tip hash becomes the next round's prev_root_hash.
+//
+// Usage (CLI):
+//   node src/ledger/roundLedger.js verify
+//   node src/ledger/roundLedger.js tip
+//   node src/ledger/roundLedger.js show <round_id>
+//
+// The ledger file defaults to $FLUQ_DATA_DIR/rounds.jsonl (FLUQ_DATA_DIR defaults to ./data).
+//
+// Several processes may share one ledger (the daemon, the HTTP server, fluq
+// round run): append() takes <file>.lock, re-reads the tip and refuses round
+// ids that are already in the file. A last line that does not parse (a torn
+// append) stops every append until it is repaired; the ledger never starts
+// over from genesis on top of existing entries.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import * as hashUtils from '../utils/hash.js';
+import { withFileLock } from '../utils/fileLock.js';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+function ledgerError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+/** Default data directory shared by every on-disk store. */
+export function defaultDataDir() {
+  return process.env.FLUQ_DATA_DIR || path.join(process.cwd(), 'data');
+}
+
+/**
+ * hashEntry({ seq, prev_hash, record })
+ * @returns {string} hex sha256 of the canonical entry body
+ */
+export function hashEntry({ seq, prev_hash, record }) {
+  return hashUtils.sha256(hashUtils.canonicalJson({ seq, prev_hash, record }));
+}
+
+/**
+ * verifyEntries(entries)
+ * Walks the chain and reports every broken link instead of stopping at the first.
+ * Checks: sequence gaps, prev_hash links, entry hashes, and that each record's
+ * prev_root_hash refers to an earlier entry (or genesis).
+ *
+ * @param {Array<object|null>} entries - parsed lines; null marks an unparsable line
+ * @returns {{ valid: boolean, length: number, tipHash: string, errors: Array<{ line: number, seq: number|null, reason: string }> }}
+ */
+export function verifyEntries(entries) {
+  const errors = [];
+  const seenHashes = new Set([GENESIS_HASH]);
+  let expectedPrev = GENESIS_HASH;
+
+  entries.forEach((entry, i) => {
+    const line = i + 1;
+    if (!entry || typeof entry !== 'object') {
+      errors.push({ line, seq: null, reason: 'unparsable entry' });
+      return;
+    }
+    const { seq, prev_hash: prevHash, hash, record } = entry;
+
+    if (seq !== i) {
+      errors.push({ line, seq: seq ?? null, reason: `sequence gap: expected seq ${i}, found ${seq}` });
+    }
+    if (prevHash !== expectedPrev) {
+      errors.push({ line, seq, reason: 'prev_hash does not match previous entry hash' });
+    }
+    const recomputed = hashEntry({ seq, prev_hash: prevHash, record });
+    if (recomputed !== hash) {
+      errors.push({ line, seq, reason: 'entry hash mismatch (record modified)' });
+    }
+    if (record && record.prev_root_hash && !seenHashes.has(record.prev_root_hash)) {
+      errors.push({ line, seq, reason: 'record.prev_root_hash does not refer to an earlier entry' });
+    }
+
+    seenHashes.add(hash);
+    expectedPrev = hash;
+  });
+
+  return {
+    valid: errors.length === 0,
+    length: entries.length,
+    tipHash: expectedPrev,
+    errors
+  };
+}
+
+/**
+ * RoundLedger
+ * Synchronous file-backed ledger; each append is a single appendFileSync of
+ * one line, made under the ledger lock against a freshly read tip.
+ */
+export class RoundLedger {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - JSONL path (default $FLUQ_DATA_DIR/rounds.jsonl)
+   */
+  constructor(options = {}) {
+    this.file = options.file || path.join(defaultDataDir(), 'rounds.jsonl');
+    this.lockFile = `${this.file}.lock`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+  }
+
+  _readText() {
+    return fs.existsSync(this.file) ? fs.readFileSync(this.file, 'utf8') : '';
+  }
+
+  /** Parse every line; unparsable lines become null so verifyChain can report them. */
+  readEntries(text = this._readText()) {
+    return text.split('\n').filter(l => l.trim().length > 0).map((l) => {
+      try {
+        return JSON.parse(l);
+      } catch (e) {
+        return null;
+      }
+    });
+  }
+
+  /**
+   * tip()
+   * Read from the file on every call, so rounds appended by other processes count.
+   * @returns {{ seq: number, hash: string }} tip of the chain (seq -1 when empty)
+   * @throws {Error} code 'ELEDGER' when the last line is not a ledger entry
+   */
+  tip(entries = this.readEntries()) {
+    if (entries.length === 0) return { seq: -1, hash: GENESIS_HASH };
+    const last = entries[entries.length - 1];
+    if (!last || !Number.isInteger(last.seq) || typeof last.hash !== 'string') {
+      throw ledgerError(
+        `RoundLedger: line ${entries.length} of ${this.file} is not a ledger entry (torn append?); ` +
+        'refusing to continue the chain until it is repaired (see `verify`)',
+        'ELEDGER'
+      );
+    }
+    return { seq: last.seq, hash: last.hash };
+  }
+
+  /** Hash to use as the next round's prev_root_hash. */
+  tipHash() {
+    return this.tip().hash;
+  }
+
+  /**
+   * append(record, { expectedSeq })
+   * @param {object} record - round record (must carry a round_id not yet in the ledger)
+   * @param {object} [options]
+   * @param {number|null} [options.expectedSeq] - refuse to append at any other seq
+   *   (rounds numbered by epoch pass record.epoch)
+   * @returns {object} the written entry { seq, prev_hash, hash, record }
+   * @throws {Error} code 'ELEDGER' (damaged tail), 'EDUPLICATE' (round id taken),
+   *   'ESEQ' (tip moved past expectedSeq) or 'ELOCKED' (lock not acquired); nothing is written
+   */
+  append(record, { expectedSeq = null } = {}) {
+    if (!record || typeof record.round_id !== 'string') {
+      throw new TypeError('RoundLedger.append: record.round_id must be a string');
+    }
+    return withFileLock(this.lockFile, () => {
+      const text = this._readText();
+      const entries = this.readEntries(text);
+      const tip = this.tip(entries);
+      const existing = entries.find(e => e && e.record && e.record.round_id === record.round_id);
+      if (existing) {
+        throw ledgerError(`RoundLedger: round '${record.round_id}' is already in the ledger at seq ${existing.seq}`, 'EDUPLICATE');
+      }
+      if (expectedSeq !== null && expectedSeq !== undefined && tip.seq + 1 !== expectedSeq) {
+        throw ledgerError(
+          `RoundLedger: expected to append seq ${expectedSeq} but the ledger is at seq ${tip.seq}`,
+          'ESEQ'
+        );
+      }
+      const body = { seq: tip.seq + 1, prev_hash: tip.hash, record };
+      const entry = { ...body, hash: hashEntry(body) };
+
+      // A missing final newline would glue this entry onto the previous one
+      const sep = text.length > 0 && !text.endsWith('\n') ? '\n' : '';
+      fs.appendFileSync(this.file, sep + JSON.stringify(entry) + '\n');
+      return entry;
+    });
+  }
+
+  /** Find an entry by round_id (append() keeps ids unique; for older files the latest match wins). */
+  get(roundId) {
+    const entries = this.readEntries();
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i] && entries[i].record && entries[i].record.round_id === roundId) return entries[i];
+    }
+    return null;
+  }
+
+  /** Records only, in ledger order. */
+  records() {
+    return this.readEntries().filter(Boolean).map(e => e.record);
+  }
+
+  /** Verify the whole file. See verifyEntries(). */
+  verifyChain() {
+    return verifyEntries(this.readEntries());
+  }
+}
+
+/**
+ * openLedger(options)
+ * Convenience factory mirroring `new RoundLedger(options)`.
+ */
+export function openLedger(options = {}) {
+  return new RoundLedger(options);
+}
+
+/* ----------------- CLI Entrypoint  ----------------- */
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  const [cmd, arg] = process.argv.slice(2);
+  const ledger = openLedger();
+
+  if (cmd === 'verify') {
+    const res = ledger.verifyChain();
+    console.log(JSON.stringify(res, null, 2));
+    process.exit(res.valid ? 0 : 3);
+  } else if (cmd === 'tip') {
+    try {
+      console.log(JSON.stringify(ledger.tip(), null, 2));
+    } catch (err) {
+      console.error(err.message);
+      process.exit(3);
+    }
+  } else if (cmd === 'show' && arg) {
+    const entry = ledger.get(arg);
+    if (!entry) {
+      console.error(`Round '${arg}' not found in ${ledger.file}`);
+      process.exit(2);
+    }
+    console.log(JSON.stringify(entry, null, 2));
+  } else {
+    console.log('Usage: node src/ledger/roundLedger.js <verify|tip|show <round_id>>');
+  }
+}
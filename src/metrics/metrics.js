@@ -0,0 +1,547 @@
+// src/metrics/metrics.js
+// ESM version for FLUQ Alpha 1.0
+// In-process metrics (counters, gauges, histograms) with Prometheus text
+// exposition, a local /metrics endpoint and a file dump for offline runs.
+//
+// The FLUQ metrics are defined once below and fed from two places:
+//   recordCollectorRun(result)  - every CollectorRegistry.runOne() result
+//   recordRound(record, settlement) - every round persisted by roundPipeline.persistRound()
+// plus the scheduler's round outcomes and durations.
+//
+// Dump: the Prometheus text goes to metrics.file (default
+// $FLUQ_DATA_DIR/metrics.prom) with a JSON snapshot next to it (.json). With
+// metrics.accumulate a new process starts from that snapshot, so one-shot runs
+// (node src/index.js) add up to a history instead of starting from zero.
+// Several processes may accumulate into one dump (the daemon, the HTTP server,
+// single runs): each dump takes <file>.lock, re-reads the snapshot and adds
+// only what this process counted since its previous dump. Gauges keep the
+// value of the process that changed them last.
+//
+// Usage (CLI):
+//   node src/metrics/metrics.js show           (the last dump, Prometheus text)
+//   node src/metrics/metrics.js serve [port]   (serve the last dump on /metrics)
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { defaultDataDir } from '../ledger/roundLedger.js';
+import * as logger from '../utils/logger.js';
+import { withFileLock } from '../utils/fileLock.js';
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** Prometheus' default buckets, in seconds. */
+export const DEFAULT_BUCKETS = Object.freeze([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+const NAME_RE = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_RE = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+const escapeHelp = (s) => String(s).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabel = (s) => String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatNumber(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  if (Number.isNaN(v)) return 'NaN';
+  return String(v);
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+/**
+ * Metric
+ * One named metric with a fixed label set; each distinct label combination is
+ * a series. Label values are strings (missing labels become '').
+ */
+class Metric {
+  constructor(type, name, help, { labelNames = [] } = {}) {
+    if (!NAME_RE.test(name)) throw new TypeError(`metrics: invalid metric name '${name}'`);
+    for (const l of labelNames) {
+      if (!LABEL_RE.test(l) || l === 'le') throw new TypeError(`metrics: invalid label name '${l}' on ${name}`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = [...labelNames];
+    this.series = new Map();   // key -> { labels, ...values }
+  }
+
+  _series(labels = {}) {
+    const fixed = {};
+    for (const l of this.labelNames) fixed[l] = labels[l] === undefined || labels[l] === null ? '' : String(labels[l]);
+    const key = JSON.stringify(this.labelNames.map(l => fixed[l]));
+    let s = this.series.get(key);
+    if (!s) {
+      s = this._empty(fixed);
+      this.series.set(key, s);
+    }
+    return s;
+  }
+
+  _empty(labels) {
+    return { labels, value: 0 };
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  /** Prometheus text lines for this metric (without the trailing newline). */
+  render() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    for (const s of this.series.values()) lines.push(`${this.name}${formatLabels(s.labels)} ${formatNumber(s.value)}`);
+    return lines.join('\n');
+  }
+
+  snapshot() {
+    return [...this.series.values()].map(s => ({ ...s, labels: { ...s.labels } }));
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, options) {
+    super('counter', name, help, options);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) throw new RangeError(`metrics: counter ${this.name} can only go up`);
+    this._series(labels).value += value;
+  }
+
+  get(labels = {}) {
+    return this._series(labels).value;
+  }
+
+  restore(series) {
+    for (const s of series) this._series(s.labels).value += Number(s.value) || 0;
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, options) {
+    super('gauge', name, help, options);
+  }
+
+  set(labels = {}, value) {
+    this._series(labels).value = Number(value);
+  }
+
+  inc(labels = {}, value = 1) {
+    this._series(labels).value += value;
+  }
+
+  get(labels = {}) {
+    return this._series(labels).value;
+  }
+
+  restore(series) {
+    for (const s of series) this._series(s.labels).value = Number(s.value) || 0;
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, options = {}) {
+    super('histogram', name, help, options);
+    const buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    if (buckets.length === 0 || buckets.some(b => !Number.isFinite(b))) throw new TypeError(`metrics: ${name} needs finite buckets`);
+    this.buckets = buckets;
+  }
+
+  _empty(labels) {
+    return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels = {}, value) {
+    const v = Number(value);
+    if (!Number.isFinite(v)) return;
+    const s = this._series(labels);
+    this.buckets.forEach((b, i) => { if (v <= b) s.counts[i]++; });
+    s.sum += v;
+    s.count++;
+  }
+
+  get(labels = {}) {
+    const s = this._series(labels);
+    return { buckets: Object.fromEntries(this.buckets.map((b, i) => [b, s.counts[i]])), sum: s.sum, count: s.count };
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} histogram`];
+    for (const s of this.series.values()) {
+      this.buckets.forEach((b, i) => lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: formatNumber(b) })} ${s.counts[i]}`));
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${formatNumber(s.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    return lines.join('\n');
+  }
+
+  snapshot() {
+    return [...this.series.values()].map(s => ({ labels: { ...s.labels }, counts: [...s.counts], sum: s.sum, count: s.count }));
+  }
+
+  /** Adds a snapshot; bucket counts are matched by position, so only while the buckets are unchanged. */
+  restore(series) {
+    for (const s of series) {
+      if (!Array.isArray(s.counts) || s.counts.length !== this.buckets.length) continue;
+      const cur = this._series(s.labels);
+      s.counts.forEach((c, i) => { cur.counts[i] += Number(c) || 0; });
+      cur.sum += Number(s.sum) || 0;
+      cur.count += Number(s.count) || 0;
+    }
+  }
+}
+
+/**
+ * MetricsRegistry
+ * Named metrics in registration order; registering a name again returns the
+ * existing metric when the type matches.
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  _register(Type, name, help, options) {
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (!(existing instanceof Type)) throw new TypeError(`metrics: ${name} is already registered as a ${existing.type}`);
+      return existing;
+    }
+    const metric = new Type(name, help, options);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  counter(name, help, options) {
+    return this._register(Counter, name, help, options);
+  }
+
+  gauge(name, help, options) {
+    return this._register(Gauge, name, help, options);
+  }
+
+  histogram(name, help, options) {
+    return this._register(Histogram, name, help, options);
+  }
+
+  get(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  /** Prometheus text exposition format (version 0.0.4). */
+  render() {
+    const blocks = [...this.metrics.values()].map(m => m.render());
+    return blocks.length ? `${blocks.join('\n')}\n` : '';
+  }
+
+  /** JSON form: { name: { type, series } }. */
+  snapshot() {
+    return Object.fromEntries([...this.metrics.values()].map(m => [m.name, { type: m.type, series: m.snapshot() }]));
+  }
+
+  /** Adds counters and histograms from a snapshot and takes its gauges; unknown names are ignored. */
+  restore(snapshot = {}) {
+    for (const [name, { type, series }] of Object.entries(snapshot)) {
+      const metric = this.metrics.get(name);
+      if (metric && metric.type === type && Array.isArray(series)) metric.restore(series);
+    }
+  }
+
+  reset() {
+    for (const m of this.metrics.values()) m.reset();
+  }
+}
+
+/* -------------------- FLUQ metrics -------------------- */
+
+export const registry = new MetricsRegistry();
+
+const SCORE_BUCKETS = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+export const fluqMetrics = Object.freeze({
+  collectorDuration: registry.histogram('fluq_collector_duration_seconds', 'Time a collector took to answer, fallbacks included', { labelNames: ['collector', 'status'] }),
+  collectorRuns: registry.counter('fluq_collector_runs_total', 'Collector runs by outcome', { labelNames: ['collector', 'status'] }),
+  collectorFallbacks: registry.counter('fluq_collector_fallbacks_total', 'Collector runs replaced by OS random bytes', { labelNames: ['collector', 'status'] }),
+  collectorBits: registry.counter('fluq_collector_bits_total', 'Min-entropy bits claimed by collectors that contributed', { labelNames: ['collector'] }),
+  rounds: registry.counter('fluq_rounds_total', 'Rounds persisted to the ledger'),
+  roundScore: registry.histogram('fluq_round_uniqueness_score', 'Uniqueness score of each round', { buckets: SCORE_BUCKETS }),
+  nodeScore: registry.histogram('fluq_node_uniqueness_score', 'Uniqueness score of each awarded or refused node', { buckets: SCORE_BUCKETS }),
+  lastScore: registry.gauge('fluq_round_last_uniqueness_score', 'Uniqueness score of the latest round'),
+  lastEpoch: registry.gauge('fluq_round_last_epoch', 'Epoch of the latest round'),
+  reveals: registry.counter('fluq_round_reveals_total', 'Reveals by outcome', { labelNames: ['outcome'] }),
+  cheatFlags: registry.counter('fluq_cheat_flags_total', 'Cheat detector flags by check', { labelNames: ['check'] }),
+  cheatedRounds: registry.counter('fluq_cheated_rounds_total', 'Rounds with at least one flagged node'),
+  tokensEmitted: registry.counter('fluq_tokens_emitted_total', 'FLQ awarded to nodes'),
+  tokensSlashed: registry.counter('fluq_tokens_slashed_total', 'FLQ slashed by destination', { labelNames: ['destination'] }),
+  schedulerRounds: registry.counter('fluq_scheduler_rounds_total', 'Scheduled rounds by result', { labelNames: ['status'] }),
+  schedulerDuration: registry.histogram('fluq_scheduler_round_duration_seconds', 'Wall time of scheduled rounds', { buckets: [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300] }),
+  startTime: registry.gauge('fluq_process_start_time_seconds', 'Start time of the process since the Unix epoch')
+});
+
+fluqMetrics.startTime.set({}, Math.floor(Date.now() / 1000));
+
+/** Feeds one CollectorRegistry.runOne() result; returns it unchanged. */
+export function recordCollectorRun(result) {
+  const labels = { collector: result.name, status: result.status };
+  fluqMetrics.collectorRuns.inc(labels);
+  if (typeof result.durationMs === 'number') fluqMetrics.collectorDuration.observe(labels, result.durationMs / 1000);
+  if (result.fallback) fluqMetrics.collectorFallbacks.inc(labels);
+  if (result.status === 'ok' && result.claimedBits > 0) fluqMetrics.collectorBits.inc({ collector: result.name }, result.claimedBits);
+  return result;
+}
+
+/**
+ * recordRound(record, settlement)
+ * Feeds one persisted round record and its balance-store settlement (if any).
+ */
+export function recordRound(record, settlement = null) {
+  fluqMetrics.rounds.inc();
+  if (typeof record.score === 'number') {
+    fluqMetrics.roundScore.observe({}, record.score);
+    fluqMetrics.lastScore.set({}, record.score);
+  }
+  if (typeof record.epoch === 'number') fluqMetrics.lastEpoch.set({}, record.epoch);
+  for (const a of record.awards || []) if (typeof a.score === 'number') fluqMetrics.nodeScore.observe({}, a.score);
+
+  fluqMetrics.reveals.inc({ outcome: 'valid' }, (record.reveals || []).length);
+  fluqMetrics.reveals.inc({ outcome: 'missing' }, (record.missing_reveals || []).length);
+  fluqMetrics.reveals.inc({ outcome: 'rejected' }, (record.rejected || []).length);
+
+  for (const node of Object.values(record.cheat || {})) {
+    for (const check of new Set((node.reasons || []).map(r => r.check))) fluqMetrics.cheatFlags.inc({ check });
+  }
+  if (record.cheated) fluqMetrics.cheatedRounds.inc();
+  if (record.awarded > 0) fluqMetrics.tokensEmitted.inc({}, record.awarded);
+
+  const slashed = (record.slashing || []).reduce((s, ev) => s + (Number(ev.amount) || 0), 0);
+  if (settlement) {
+    if (settlement.burned > 0) fluqMetrics.tokensSlashed.inc({ destination: 'burn' }, settlement.burned);
+    const shared = (settlement.redistributed || []).reduce((s, r) => s + (Number(r.amount) || 0), 0);
+    if (shared > 0) fluqMetrics.tokensSlashed.inc({ destination: 'redistribute' }, shared);
+  } else if (slashed > 0) {
+    fluqMetrics.tokensSlashed.inc({ destination: 'unsettled' }, slashed);
+  }
+}
+
+/** Feeds one scheduler outcome ('completed' | 'failed' | 'aborted'). */
+export function recordSchedulerRound(status, durationMs) {
+  fluqMetrics.schedulerRounds.inc({ status });
+  fluqMetrics.schedulerDuration.observe({}, durationMs / 1000);
+}
+
+/* -------------------- Dump and endpoint -------------------- */
+
+/** Default dump location. */
+export function defaultMetricsFile() {
+  return path.join(defaultDataDir(), 'metrics.prom');
+}
+
+function writeAtomic(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * dumpMetrics(file, reg)
+ * Writes the Prometheus text to file and the JSON snapshot to file + '.json'.
+ * @returns {string} file
+ */
+export function dumpMetrics(file = defaultMetricsFile(), reg = registry) {
+  writeAtomic(`${file}.json`, JSON.stringify({ written_at: new Date().toISOString(), metrics: reg.snapshot() }, null, 2));
+  writeAtomic(file, reg.render());
+  return file;
+}
+
+function readSnapshot(file) {
+  const snapshotFile = `${file}.json`;
+  if (!fs.existsSync(snapshotFile)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(snapshotFile, 'utf8')).metrics;
+  } catch (e) {
+    logger.warn(`Metrics: ignoring unreadable snapshot ${snapshotFile}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * loadMetrics(file, reg)
+ * Adds the snapshot next to a previous dump to the registry.
+ * @returns {boolean} false when there was no (readable) dump
+ */
+export function loadMetrics(file = defaultMetricsFile(), reg = registry) {
+  const snapshot = readSnapshot(file);
+  if (!snapshot) return false;
+  reg.restore(snapshot);
+  return true;
+}
+
+/**
+ * diffSnapshots(now, before)
+ * What was counted between two registry snapshots: counter and histogram
+ * differences, plus the gauges whose value changed.
+ * @returns {object} snapshot to restore() on top of another one
+ */
+export function diffSnapshots(now, before = {}) {
+  const out = {};
+  for (const [name, { type, series }] of Object.entries(now)) {
+    const prev = new Map((before[name]?.series || []).map(s => [JSON.stringify(s.labels), s]));
+    const diff = [];
+    for (const s of series) {
+      const p = prev.get(JSON.stringify(s.labels));
+      if (type === 'gauge') {
+        if (!p || p.value !== s.value) diff.push(s);
+      } else if (type === 'histogram') {
+        const same = p && p.counts.length === s.counts.length;
+        diff.push({ labels: s.labels, counts: s.counts.map((c, i) => c - (same ? p.counts[i] : 0)), sum: s.sum - (same ? p.sum : 0), count: s.count - (same ? p.count : 0) });
+      } else {
+        diff.push({ labels: s.labels, value: s.value - (p ? p.value : 0) });
+      }
+    }
+    out[name] = { type, series: diff };
+  }
+  return out;
+}
+
+/**
+ * mergeMetrics(file, since, reg)
+ * Under <file>.lock: the registry becomes the dump on disk plus what it
+ * counted since the snapshot `since`, and is written back.
+ * @returns {object} the merged snapshot (pass it as `since` next time)
+ */
+export function mergeMetrics(file = defaultMetricsFile(), since = {}, reg = registry) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  return withFileLock(`${file}.lock`, () => {
+    const delta = diffSnapshots(reg.snapshot(), since);
+    const disk = readSnapshot(file);
+    reg.reset();
+    if (disk) reg.restore(disk);
+    reg.restore(delta);
+    dumpMetrics(file, reg);
+    return reg.snapshot();
+  });
+}
+
+/**
+ * openMetricsSession(options)
+ * What a node process does with its metrics: continue from the last dump
+ * (accumulate), serve /metrics (port > 0), dump every dumpIntervalMs (> 0)
+ * and once more on close(). Accumulating dumps merge with the dumps of other
+ * processes (mergeMetrics); without accumulate the dump holds this process only.
+ * @param {{ file?: string|null, accumulate?: boolean, port?: number, host?: string, dumpIntervalMs?: number }} [options]
+ *   file null: default location
+ * @returns {{ file: string, server: http.Server|null, dump: () => string, close: () => Promise<void> }}
+ */
+export function openMetricsSession({ file = null, accumulate = true, port = 0, host = '127.0.0.1', dumpIntervalMs = 0 } = {}) {
+  const target = file || defaultMetricsFile();
+  const startedAt = fluqMetrics.startTime.get();
+  if (accumulate) loadMetrics(target);
+  // Counters continue from the dump; the start time is this process's own
+  fluqMetrics.startTime.set({}, startedAt);
+  let since = registry.snapshot();
+
+  const dump = () => {
+    try {
+      if (!accumulate) return dumpMetrics(target);
+      since = mergeMetrics(target, since);
+      fluqMetrics.startTime.set({}, startedAt);
+      return target;
+    } catch (e) {
+      // Metrics are informational; a failed dump must not stop the rounds
+      logger.warn(`Metrics: could not write ${target}: ${e.message}`);
+      return target;
+    }
+  };
+
+  let server = null;
+  if (port > 0) {
+    server = createMetricsServer();
+    server.on('error', (err) => logger.error(`Metrics: cannot serve on ${host}:${port}:`, err));
+    server.listen(port, host, () => logger.info(`Metrics on http://${host}:${port}/metrics`));
+  }
+  const timer = dumpIntervalMs > 0 ? setInterval(dump, dumpIntervalMs) : null;
+  timer?.unref?.();
+
+  return {
+    file: target,
+    server,
+    dump,
+    async close() {
+      clearInterval(timer);
+      dump();
+      if (server && server.listening) await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/** Writes the exposition to an HTTP response. */
+export function sendMetrics(res, text = registry.render()) {
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Content-Length': Buffer.byteLength(text) });
+  res.end(text);
+}
+
+/**
+ * createMetricsServer({ render })
+ * HTTP server answering GET /metrics only.
+ * @returns {http.Server} not yet listening
+ */
+export function createMetricsServer({ render = () => registry.render() } = {}) {
+  return http.createServer((req, res) => {
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (e) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end('malformed request path\n');
+    }
+    if (pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end('not found\n');
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8', Allow: 'GET, HEAD' });
+      return res.end('method not allowed\n');
+    }
+    try {
+      return sendMetrics(res, render());
+    } catch (err) {
+      logger.error('Metrics: render failed:', err);
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end('metrics unavailable\n');
+    }
+  });
+}
+
+/* -------------------- CLI -------------------- */
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  const [cmd, arg] = process.argv.slice(2);
+  const file = defaultMetricsFile();
+  const readDump = () => {
+    if (!fs.existsSync(file)) {
+      console.error(`No metrics dump at ${file}`);
+      process.exit(2);
+    }
+    return fs.readFileSync(file, 'utf8');
+  };
+
+  if (cmd === 'show') {
+    process.stdout.write(readDump());
+  } else if (cmd === 'serve') {
+    readDump();
+    const port = Number(arg) || 9464;
+    createMetricsServer({ render: readDump }).listen(port, '127.0.0.1', () => {
+      logger.info(`Serving ${file} on http://127.0.0.1:${port}/metrics`);
+    });
+  } else {
+    console.log('Usage: node src/metrics/metrics.js <show|serve [port]>');
+  }
+}
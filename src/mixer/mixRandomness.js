@@ -8,11 +8,35 @@
  *  - Concatenate them, optionally include salt/roundId/prevHash
  *  - Compute final SHA-256 hash which is the round's final randomness seed
  *
+ * Deterministic mode (opts.mode = 'deterministic', used by the coordinator):
+ *  - inputs are contributions { node_id, E_i }
+ *  - canonical order: ascending sha256(lp("FLUQ-MIX-ORDER-v1") || lp(prev_hash) || lp(node_id)),
+ *    so no party picks the order and it changes every round
+ *  - pre-image: lp("FLUQ-MIX-v1") || lp(round_id) || lp(prev_hash) || u32(count)
+ *               || for each contribution: lp(node_id) || lp(E_i bytes)
+ *    where lp(x) = u32be(len(x)) || x
+ *  - the returned transcript lists every field above; replayMix(transcript)
+ *    recomputes finalHash from it alone
+ *
+ * Constructions (opts.construction, recorded in the transcript):
+ *  - 'sha256'        sha256(pre-image)                                   (default)
+ *  - 'hkdf-extract'  HKDF-Extract = HMAC-SHA256(salt = prev_hash bytes, IKM = pre-image)
+ *  - 'xor-then-hash' h_i = sha256(lp(domain)||lp(round_id)||lp(prev_hash)||lp(node_id)||lp(E_i)),
+ *                    output = sha256(lp(domain)||lp(construction)||lp(round_id)||lp(prev_hash)||XOR h_i)
+ *  - 'blake2b'       blake2b-512(pre-image)   (128 hex chars; needs native blake2b512)
+ *  - 'keccak256'     keccak256(pre-image)     (Ethereum-compatible, via js-sha3)
+ *
  * Exports:
  *  - async function mixRandomness(inputs, opts)
+ *  - mixDeterministic(contributions, opts), replayMix(transcript), verifyRoundMix(record)
+ *  - MIX_CONSTRUCTIONS, resolveConstruction(name)
  */
 
 import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+import { openLedger } from '../ledger/roundLedger.js';
+import { keccak256 } from '../utils/hash.js';
 
 /** Ensure value is a Buffer. Accepts Buffer, hex string, or utf8 string. */
 function toBuffer(x) {
@@ -44,15 +68,185 @@ function secureShuffle(buffers) {
   return arr;
 }
 
+const MIX_DOMAIN = 'FLUQ-MIX-v1';
+const ORDER_DOMAIN = 'FLUQ-MIX-ORDER-v1';
+
+/** u32be length prefix; Buffers as-is, everything else as utf8. */
+function lp(x) {
+  const b = Buffer.isBuffer(x) ? x : Buffer.from(String(x), 'utf8');
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(b.length, 0);
+  return Buffer.concat([len, b]);
+}
+
+/** Per-round ordering key for a contributor. */
+function orderKey(prevHash, nodeId) {
+  return crypto.createHash('sha256')
+    .update(lp(ORDER_DOMAIN)).update(lp(prevHash ?? '')).update(lp(nodeId))
+    .digest('hex');
+}
+
 /** Compute sha256 hex digest of a Buffer */
 function sha256Hex(buf) {
   return crypto.createHash('sha256').update(buf).digest('hex');
 }
 
+function xorInto(acc, buf) {
+  for (let i = 0; i < acc.length; i++) acc[i] ^= buf[i];
+  return acc;
+}
+
+/**
+ * Named mixing constructions. Each maps (ordered transcript, pre-image) to a hex digest.
+ * Transcripts written before constructions existed have none and replay as 'sha256'.
+ */
+const CONSTRUCTIONS = {
+  'sha256': (t, preImage) => sha256Hex(preImage),
+
+  'hkdf-extract': (t, preImage) => {
+    // RFC 5869: an empty salt is replaced by HashLen zero bytes
+    const salt = t.prev_hash ? toBuffer(t.prev_hash) : Buffer.alloc(32);
+    return crypto.createHmac('sha256', salt).update(preImage).digest('hex');
+  },
+
+  'xor-then-hash': (t) => {
+    const acc = Buffer.alloc(32);
+    for (const c of t.inputs) {
+      const h = crypto.createHash('sha256')
+        .update(lp(t.domain)).update(lp(t.round_id ?? '')).update(lp(t.prev_hash ?? ''))
+        .update(lp(c.node_id)).update(lp(toBuffer(c.E_i)))
+        .digest();
+      xorInto(acc, h);
+    }
+    return crypto.createHash('sha256')
+      .update(lp(t.domain)).update(lp('xor-then-hash')).update(lp(t.round_id ?? '')).update(lp(t.prev_hash ?? ''))
+      .update(acc)
+      .digest('hex');
+  },
+
+  'blake2b': (t, preImage) => {
+    // hashUtils.blake2b silently falls back to sha256; a recorded construction must not
+    if (!crypto.getHashes().includes('blake2b512')) {
+      throw new Error("mix construction 'blake2b' needs native blake2b512 support");
+    }
+    return crypto.createHash('blake2b512').update(preImage).digest('hex');
+  },
+
+  'keccak256': (t, preImage) => keccak256(preImage)
+};
+
+const MIX_CONSTRUCTIONS = Object.freeze(Object.keys(CONSTRUCTIONS));
+
+/** Throws on unknown construction names; returns the canonical name. */
+function resolveConstruction(name) {
+  const c = name === undefined || name === null || name === '' ? 'sha256' : String(name).toLowerCase();
+  if (!CONSTRUCTIONS[c]) {
+    throw new Error(`unknown mix construction '${name}' (expected one of ${MIX_CONSTRUCTIONS.join(', ')})`);
+  }
+  return c;
+}
+
+/** Encode an ordered transcript into the hashed pre-image. */
+function encodeTranscript(t) {
+  const count = Buffer.alloc(4);
+  count.writeUInt32BE(t.inputs.length, 0);
+  const parts = [lp(t.domain), lp(t.round_id ?? ''), lp(t.prev_hash ?? ''), count];
+  for (const c of t.inputs) {
+    parts.push(lp(c.node_id), lp(toBuffer(c.E_i)));
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * mixDeterministic(contributions, { roundId, prevHash, construction })
+ * Same contributions, round id and previous hash -> same finalHash, on any machine.
+ * @param {Array<{node_id: string, E_i: string}>} contributions
+ * @returns {{ finalHash: string, transcript: object, preImageHex: string }}
+ */
+function mixDeterministic(contributions, opts = {}) {
+  if (!Array.isArray(contributions)) {
+    throw new Error('contributions must be an array of { node_id, E_i }');
+  }
+  const prevHash = opts.prevHash ?? '';
+  const construction = resolveConstruction(opts.construction);
+  const seen = new Set();
+  const inputs = contributions.map((c, i) => {
+    const nodeId = c && c.node_id !== undefined ? String(c.node_id) : `input-${i}`;
+    if (seen.has(nodeId)) throw new Error(`duplicate contribution for node '${nodeId}'`);
+    seen.add(nodeId);
+    const value = c && c.E_i !== undefined ? c.E_i : c;
+    const E_i = Buffer.isBuffer(value) ? value.toString('hex') : String(value);
+    return { node_id: nodeId, order_key: orderKey(prevHash, nodeId), E_i };
+  });
+  inputs.sort((a, b) => (a.order_key < b.order_key ? -1 : a.order_key > b.order_key ? 1 : 0));
+
+  const transcript = {
+    version: 1,
+    mode: 'deterministic',
+    construction,
+    domain: MIX_DOMAIN,
+    order: 'sha256(lp(FLUQ-MIX-ORDER-v1)||lp(prev_hash)||lp(node_id)) ascending',
+    round_id: opts.roundId !== undefined && opts.roundId !== null ? String(opts.roundId) : '',
+    prev_hash: prevHash,
+    inputs
+  };
+  const preImage = encodeTranscript(transcript);
+  const finalHash = CONSTRUCTIONS[construction](transcript, preImage);
+  transcript.final_hash = finalHash;
+
+  return { finalHash, transcript, preImageHex: preImage.toString('hex') };
+}
+
+/**
+ * replayMix(transcript)
+ * Recomputes the mixed hash from a published transcript, re-deriving the order.
+ * @returns {{ finalHash: string, matches: boolean, reason: string|null }}
+ */
+function replayMix(transcript) {
+  if (!transcript || transcript.mode !== 'deterministic' || !Array.isArray(transcript.inputs)) {
+    return { finalHash: null, matches: false, reason: 'not a deterministic mixing transcript' };
+  }
+  if (transcript.domain !== MIX_DOMAIN) {
+    return { finalHash: null, matches: false, reason: `unsupported domain '${transcript.domain}'` };
+  }
+  let finalHash;
+  try {
+    ({ finalHash } = mixDeterministic(
+      transcript.inputs.map(c => ({ node_id: c.node_id, E_i: c.E_i })),
+      { roundId: transcript.round_id, prevHash: transcript.prev_hash, construction: transcript.construction }
+    ));
+  } catch (err) {
+    return { finalHash: null, matches: false, reason: err.message };
+  }
+  const matches = finalHash === transcript.final_hash;
+  return { finalHash, matches, reason: matches ? null : 'final_hash does not match the transcript inputs' };
+}
+
+/**
+ * verifyRoundMix(record)
+ * Replays record.mix and checks it against the round seed (or the VRF input
+ * when the round was VRF-signed) and the round's own id / previous hash.
+ * @returns {{ valid: boolean, reason: string|null }}
+ */
+function verifyRoundMix(record) {
+  if (!record || !record.mix) return { valid: false, reason: 'record has no mixing transcript' };
+  const t = record.mix;
+  if (t.round_id !== record.round_id) return { valid: false, reason: 'transcript round_id differs from record' };
+  if (t.prev_hash !== record.prev_root_hash) return { valid: false, reason: 'transcript prev_hash differs from record' };
+  const replay = replayMix(t);
+  if (!replay.matches) return { valid: false, reason: replay.reason };
+  const expected = record.vrf ? record.vrf.mix_hash : record.R_round;
+  if (replay.finalHash !== expected) {
+    return { valid: false, reason: record.vrf ? 'vrf.mix_hash does not match replayed mix' : 'R_round does not match replayed mix' };
+  }
+  return { valid: true, reason: null };
+}
+
 /**
  * mixRandomness
- * @param {Array<Buffer|string>} inputs
- * @param {Object} opts
+ * @param {Array<Buffer|string>|Array<{node_id, E_i}>} inputs
+ * @param {Object} opts - { mode: 'shuffle' (default) | 'deterministic', construction, salt, roundId, prevHash };
+ *   construction applies to deterministic mode only
  * @returns {Promise<Object>}
  */
 async function mixRandomness(inputs, opts = {}) {
@@ -60,6 +254,10 @@ async function mixRandomness(inputs, opts = {}) {
     throw new Error('inputs must be an array of Buffers or strings');
   }
 
+  if (opts.mode === 'deterministic') {
+    return mixDeterministic(inputs, opts);
+  }
+
   // Convert inputs to Buffers
   const buffers = inputs.map(toBuffer);
 
@@ -97,5 +295,24 @@ async function mixRandomness(inputs, opts = {}) {
 }
 
 // ESM export
-export { mixRandomness };
+export { mixRandomness, mixDeterministic, replayMix, verifyRoundMix, resolveConstruction, MIX_CONSTRUCTIONS };
 export default mixRandomness;
+
+/* -------------------- CLI -------------------- */
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  const [cmd, roundId] = process.argv.slice(2);
+  if (cmd === 'replay' && roundId) {
+    const ledger = openLedger();
+    const entry = ledger.get(roundId);
+    if (!entry) {
+      console.error(`Round '${roundId}' not found in ${ledger.file}`);
+      process.exit(2);
+    }
+    const res = verifyRoundMix(entry.record);
+    console.log(JSON.stringify(res, null, 2));
+    process.exit(res.valid ? 0 : 3);
+  } else {
+    console.log('Usage: node src/mixer/mixRandomness.js replay <round_id>');
+  }
+}
@@ -0,0 +1,210 @@
+// src/mixer/seedExpander.js (ESM)
+/**
+ * seedExpander.js (ESM)
+ *
+ * Purpose:
+ *  - Derive any amount of randomness from a round seed (R_round), for
+ *    shuffling, committee selection or test keys.
+ *  - HMAC-DRBG with SHA-256 as in NIST SP 800-90A, section 10.1.2, built on
+ *    Node crypto only. Output depends only on (seed, label), so anyone with
+ *    the round record and the label can reproduce it.
+ *
+ * Instantiation:
+ *  - entropy_input   = seed bytes (hex R_round)
+ *  - personalization = lp("FLUQ-DRBG-v1") || lp(label), lp(x) = u32be(len(x)) || x
+ *  Different labels give independent streams from the same seed.
+ *
+ * Exports:
+ *  - class HmacDrbg
+ *  - createSeedRng(seed, label) -> { bytes(n), randomInt(max), shuffle(array), sample(array, k) }
+ *  - expand(seed, label, nBytes) -> Buffer
+ *  - rngForRound(record, label)
+ *
+ * CLI:
+ *  node src/mixer/seedExpander.js <round_id> <label> [nBytes]
+ */
+
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+import { openLedger } from '../ledger/roundLedger.js';
+
+const DOMAIN = 'FLUQ-DRBG-v1';
+const MAX_BYTES_PER_REQUEST = 65536;     // 2^19 bits, SP 800-90A Table 2
+const MAX_INT_RANGE = 2 ** 48;           // keeps randomInt within 6 bytes and exact in a Number
+
+function lp(x) {
+  const b = Buffer.isBuffer(x) ? x : Buffer.from(String(x), 'utf8');
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(b.length, 0);
+  return Buffer.concat([len, b]);
+}
+
+/** Seeds are hex strings (R_round) or Buffers. */
+function seedToBuffer(seed) {
+  if (Buffer.isBuffer(seed) || seed instanceof Uint8Array) return Buffer.from(seed);
+  if (typeof seed === 'string') {
+    const s = seed.replace(/^0x/, '');
+    if (/^[0-9a-fA-F]+$/.test(s) && s.length % 2 === 0) return Buffer.from(s, 'hex');
+  }
+  throw new TypeError('seed must be a hex string or Buffer');
+}
+
+/**
+ * HmacDrbg
+ * HMAC_DRBG (SHA-256) without prediction resistance or reseeding: the round
+ * seed is the only entropy input, which is what makes the output reproducible.
+ */
+export class HmacDrbg {
+  /**
+   * @param {Buffer} entropyInput
+   * @param {Buffer} [nonce]
+   * @param {Buffer} [personalization]
+   */
+  constructor(entropyInput, nonce = Buffer.alloc(0), personalization = Buffer.alloc(0)) {
+    if (!Buffer.isBuffer(entropyInput) || entropyInput.length < 16) {
+      throw new RangeError('HmacDrbg: entropy input must be at least 16 bytes');
+    }
+    this.K = Buffer.alloc(32, 0x00);
+    this.V = Buffer.alloc(32, 0x01);
+    this.reseedCounter = 1;
+    this._update(Buffer.concat([entropyInput, nonce, personalization]));
+  }
+
+  _hmac(...parts) {
+    const h = crypto.createHmac('sha256', this.K);
+    for (const p of parts) h.update(p);
+    return h.digest();
+  }
+
+  _update(provided) {
+    this.K = this._hmac(this.V, Buffer.from([0x00]), provided);
+    this.V = this._hmac(this.V);
+    if (provided.length === 0) return;
+    this.K = this._hmac(this.V, Buffer.from([0x01]), provided);
+    this.V = this._hmac(this.V);
+  }
+
+  /** One SP 800-90A generate call (at most 65536 bytes). */
+  _generateOnce(n) {
+    const out = Buffer.alloc(n);
+    let off = 0;
+    while (off < n) {
+      this.V = this._hmac(this.V);
+      off += this.V.copy(out, off);
+    }
+    this._update(Buffer.alloc(0));
+    this.reseedCounter++;
+    return out;
+  }
+
+  /**
+   * generate(n)
+   * Larger requests are split into successive generate calls.
+   * @returns {Buffer}
+   */
+  generate(n) {
+    if (!Number.isInteger(n) || n < 0) throw new RangeError('HmacDrbg.generate: n must be a non-negative integer');
+    const chunks = [];
+    for (let left = n; left > 0; left -= MAX_BYTES_PER_REQUEST) {
+      chunks.push(this._generateOnce(Math.min(left, MAX_BYTES_PER_REQUEST)));
+    }
+    return Buffer.concat(chunks, n);
+  }
+}
+
+/**
+ * createSeedRng(seed, label)
+ * Deterministic generator with unbiased helpers. Calls consume the stream in
+ * order, so replaying the same calls on the same (seed, label) gives the same results.
+ */
+export function createSeedRng(seed, label = '') {
+  const drbg = new HmacDrbg(seedToBuffer(seed), Buffer.alloc(0), Buffer.concat([lp(DOMAIN), lp(label)]));
+
+  /** Uniform integer in [0, max) by rejection sampling (no modulo bias). */
+  function randomInt(max) {
+    if (!Number.isSafeInteger(max) || max < 1 || max > MAX_INT_RANGE) {
+      throw new RangeError('randomInt: max must be an integer in [1, 2^48]');
+    }
+    if (max === 1) return 0;
+    const nBytes = Math.ceil(Math.log2(max) / 8);
+    const range = 2 ** (8 * nBytes);
+    const limit = range - (range % max);
+    for (;;) {
+      const v = drbg.generate(nBytes).readUIntBE(0, nBytes);
+      if (v < limit) return v % max;
+    }
+  }
+
+  /** Fisher-Yates shuffle; returns a new array. */
+  function shuffle(array) {
+    const arr = Array.from(array);
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = randomInt(i + 1);
+      const tmp = arr[i];
+      arr[i] = arr[j];
+      arr[j] = tmp;
+    }
+    return arr;
+  }
+
+  /** k distinct elements in selection order (partial Fisher-Yates). */
+  function sample(array, k) {
+    const arr = Array.from(array);
+    if (!Number.isInteger(k) || k < 0 || k > arr.length) {
+      throw new RangeError(`sample: k must be an integer in [0, ${arr.length}]`);
+    }
+    for (let i = 0; i < k; i++) {
+      const j = i + randomInt(arr.length - i);
+      const tmp = arr[i];
+      arr[i] = arr[j];
+      arr[j] = tmp;
+    }
+    return arr.slice(0, k);
+  }
+
+  return {
+    label: String(label),
+    bytes: (n) => drbg.generate(n),
+    randomInt,
+    shuffle,
+    sample
+  };
+}
+
+/**
+ * expand(seed, label, nBytes)
+ * @returns {Buffer} the first nBytes of the (seed, label) stream
+ */
+export function expand(seed, label, nBytes) {
+  return createSeedRng(seed, label).bytes(nBytes);
+}
+
+/** Generator seeded from a round record's R_round. */
+export function rngForRound(record, label) {
+  if (!record || !record.R_round) throw new Error('rngForRound: record has no R_round');
+  return createSeedRng(record.R_round, label);
+}
+
+/* -------------------- CLI -------------------- */
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  const [roundId, label, n] = process.argv.slice(2);
+  if (!roundId || label === undefined) {
+    console.log('Usage: node src/mixer/seedExpander.js <round_id> <label> [nBytes]');
+    process.exit(0);
+  }
+  const ledger = openLedger();
+  const entry = ledger.get(roundId);
+  if (!entry) {
+    console.error(`Round '${roundId}' not found in ${ledger.file}`);
+    process.exit(2);
+  }
+  const nBytes = parseInt(n || '32', 10);
+  console.log(JSON.stringify({
+    round_id: roundId,
+    label,
+    bytes: nBytes,
+    hex: rngForRound(entry.record, label).bytes(nBytes).toString('hex')
+  }, null, 2));
+}
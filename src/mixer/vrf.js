@@ -0,0 +1,193 @@
+// src/mixer/vrf.js (ESM)
+/**
+ * vrf.js (ESM)
+ *
+ * Purpose:
+ *  - Optional verifiable round seed: the coordinator key turns the mixed hash
+ *    into R_round plus a proof, and anyone holding the round record and the
+ *    coordinator public key can check the seed.
+ *
+ * Construction (signature-based VRF over Node's built-in Ed25519):
+ *  - alpha  = sha256("FLUQ-VRF-v1" || round_id || prev_root_hash || mix_hash)
+ *  - proof  = Ed25519.sign(sk, alpha)      (RFC 8032 signatures are deterministic)
+ *  - output = sha256("FLUQ-VRF-OUT" || proof) = R_round
+ *
+ * Caveat: Node does not expose the curve arithmetic needed for ECVRF
+ * (RFC 9381). Ed25519 signatures are deterministic for an honest signer, but
+ * a coordinator that deliberately picks other nonces could produce a second
+ * valid proof for the same alpha. Treat this as "verifiable, unique for an
+ * honest key holder". ECDSA in Node uses random nonces and is not offered.
+ *
+ * Exports:
+ *  - generateVrfKeyPair(), loadOrCreateVrfKey(file), publicKeyToHex(key), publicKeyFromHex(hex)
+ *  - roundVrfInput(roundId, prevRootHash, mixHash)
+ *  - vrfProve(privateKey, alpha), vrfVerify(publicKey, alpha, proof)
+ *  - verifyRoundSeed(record, publicKey)
+ *
+ * CLI:
+ *  node src/mixer/vrf.js verify <round_id> [public_key_hex]
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { openLedger } from '../ledger/roundLedger.js';
+import { verifyRoundMix } from './mixRandomness.js';
+
+export const VRF_ALG = 'ed25519-sig-vrf-v1';
+
+const INPUT_DOMAIN = 'FLUQ-VRF-v1';
+const OUTPUT_DOMAIN = 'FLUQ-VRF-OUT';
+
+// DER SubjectPublicKeyInfo prefix for a raw 32-byte Ed25519 key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function sha256(...parts) {
+  const h = crypto.createHash('sha256');
+  for (const p of parts) h.update(typeof p === 'string' ? Buffer.from(p, 'utf8') : p);
+  return h.digest();
+}
+
+/** Length-prefix each field so ("ab","c") and ("a","bc") hash differently. */
+function lp(str) {
+  const b = Buffer.from(String(str), 'utf8');
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(b.length, 0);
+  return Buffer.concat([len, b]);
+}
+
+/** @returns {{ publicKey: crypto.KeyObject, privateKey: crypto.KeyObject }} */
+export function generateVrfKeyPair() {
+  return crypto.generateKeyPairSync('ed25519');
+}
+
+/**
+ * loadOrCreateVrfKey(file)
+ * Reads a PKCS#8 PEM private key, creating one (mode 0600) if the file is missing.
+ * @returns {{ publicKey: crypto.KeyObject, privateKey: crypto.KeyObject }}
+ */
+export function loadOrCreateVrfKey(file) {
+  if (fs.existsSync(file)) {
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(file, 'utf8'));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error(`loadOrCreateVrfKey: ${file} is not an Ed25519 key`);
+    }
+    return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  }
+  const pair = generateVrfKeyPair();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, pair.privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  return pair;
+}
+
+/** Raw 32-byte public key as hex (what round records carry). */
+export function publicKeyToHex(key) {
+  const pub = key.type === 'private' ? crypto.createPublicKey(key) : key;
+  const der = pub.export({ type: 'spki', format: 'der' });
+  return der.subarray(der.length - 32).toString('hex');
+}
+
+/** Accepts raw hex, PEM or a KeyObject. */
+export function publicKeyFromHex(input) {
+  if (input && typeof input === 'object' && input.type) return input;
+  const s = String(input).trim();
+  if (s.startsWith('-----BEGIN')) return crypto.createPublicKey(s);
+  const raw = Buffer.from(s.replace(/^0x/, ''), 'hex');
+  if (raw.length !== 32) throw new TypeError('publicKeyFromHex: expected 32-byte Ed25519 public key');
+  return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+}
+
+/**
+ * roundVrfInput(roundId, prevRootHash, mixHash)
+ * @returns {Buffer} 32-byte alpha
+ */
+export function roundVrfInput(roundId, prevRootHash, mixHash) {
+  return sha256(lp(INPUT_DOMAIN), lp(roundId), lp(prevRootHash), lp(mixHash));
+}
+
+/**
+ * vrfProve(privateKey, alpha)
+ * @returns {{ output: string, proof: string }} hex
+ */
+export function vrfProve(privateKey, alpha) {
+  const proof = crypto.sign(null, alpha, privateKey);
+  return {
+    output: sha256(lp(OUTPUT_DOMAIN), proof).toString('hex'),
+    proof: proof.toString('hex')
+  };
+}
+
+/**
+ * vrfVerify(publicKey, alpha, proofHex)
+ * @returns {string|null} hex output when the proof is valid, else null
+ */
+export function vrfVerify(publicKey, alpha, proofHex) {
+  const proof = Buffer.from(String(proofHex), 'hex');
+  let ok = false;
+  try {
+    ok = crypto.verify(null, alpha, publicKeyFromHex(publicKey), proof);
+  } catch (e) {
+    ok = false;
+  }
+  return ok ? sha256(lp(OUTPUT_DOMAIN), proof).toString('hex') : null;
+}
+
+/**
+ * verifyRoundSeed(record, publicKey)
+ * Checks that the seed was derived honestly: record.mix replays to
+ * vrf.mix_hash (verifyRoundMix), and record.R_round is the VRF output of the
+ * coordinator key over (round_id, prev_root_hash, vrf.mix_hash).
+ *
+ * @param {object} record - round record with a `vrf` block
+ * @param {string|crypto.KeyObject} [publicKey] - defaults to record.vrf.public_key;
+ *   pass the expected key explicitly to pin the coordinator identity
+ * @returns {{ valid: boolean, reason: string|null }} never throws; a malformed
+ *   or missing key is reported as a reason
+ */
+export function verifyRoundSeed(record, publicKey) {
+  if (!record || !record.vrf) return { valid: false, reason: 'record has no vrf block' };
+  const { vrf } = record;
+  if (vrf.alg !== VRF_ALG) return { valid: false, reason: `unsupported vrf alg '${vrf.alg}'` };
+
+  const source = publicKey ? 'public key' : 'record vrf.public_key';
+  if (!(publicKey ?? vrf.public_key)) return { valid: false, reason: 'no public key to verify against' };
+  let key;
+  try {
+    key = publicKeyFromHex(publicKey ?? vrf.public_key);
+  } catch (e) {
+    return { valid: false, reason: `malformed ${source}: ${e.message}` };
+  }
+  if (publicKey && vrf.public_key && publicKeyToHex(key) !== vrf.public_key) {
+    return { valid: false, reason: 'record was signed by a different coordinator key' };
+  }
+
+  const mix = verifyRoundMix(record);
+  if (!mix.valid) return { valid: false, reason: `mix: ${mix.reason}` };
+
+  const alpha = roundVrfInput(record.round_id, record.prev_root_hash, vrf.mix_hash);
+  const output = vrfVerify(key, alpha, vrf.proof);
+  if (!output) return { valid: false, reason: 'invalid vrf proof' };
+  if (output !== record.R_round) return { valid: false, reason: 'R_round does not match vrf output' };
+  return { valid: true, reason: null };
+}
+
+/* -------------------- CLI -------------------- */
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  const [cmd, roundId, pub] = process.argv.slice(2);
+  if (cmd === 'verify' && roundId) {
+    const ledger = openLedger();
+    const entry = ledger.get(roundId);
+    if (!entry) {
+      console.error(`Round '${roundId}' not found in ${ledger.file}`);
+      process.exit(2);
+    }
+    const res = verifyRoundSeed(entry.record, pub);
+    console.log(JSON.stringify(res, null, 2));
+    process.exit(res.valid ? 0 : 3);
+  } else {
+    console.log('Usage: node src/mixer/vrf.js verify <round_id> [public_key_hex]');
+  }
+}
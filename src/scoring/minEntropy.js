@@ -0,0 +1,322 @@
+// src/scoring/minEntropy.js (ESM)
+//
+// Purpose:
+// - Min-entropy estimators in the style of NIST SP 800-90B, section 6.3.
+// - Meant for RAW collector samples (before hashing); on hashed output they
+//   only confirm that SHA-2 works.
+// - No external dependencies (Node.js built-in only).
+//
+// Estimators (each returns min-entropy in bits per sample, or null when the
+// input is too short for the estimator to be meaningful):
+//   mostCommonValue  6.3.1  (any alphabet)
+//   collision        6.3.2  (binary; applied to the bit expansion)
+//   markov           6.3.3  (binary; applied to the bit expansion)
+//   compression      6.3.4  (binary; applied to the bit expansion)
+//   tTuple           6.3.5  (any alphabet)
+//   lrs              6.3.6  (any alphabet)
+//
+// Binary-only estimators are scaled by bitsPerSymbol, as in 90B's
+// H_I = min(H_original, n * H_bitstring). The reported value is the
+// conservative minimum across all estimators that produced a result.
+
+const Z_99 = 2.576;            // two-sided 99% bound used throughout 90B
+const TUPLE_CUTOFF = 35;       // t-Tuple: tuples must occur at least this often
+const MAX_TUPLE_LEN = 128;     // cap for t-Tuple / LRS window lengths (keeps runtime bounded)
+
+/* -------------------- Helpers -------------------- */
+
+function toSymbols(x) {
+  if (Buffer.isBuffer(x) || x instanceof Uint8Array) return Uint8Array.from(x);
+  if (Array.isArray(x)) return Uint8Array.from(x.map(v => Number(v) & 0xff));
+  if (typeof x === 'string') return Uint8Array.from(Buffer.from(x, 'utf8'));
+  throw new TypeError('Samples must be Buffer, Uint8Array, byte array or string');
+}
+
+/** Expand symbols into bits (MSB first), keeping only the low bitsPerSymbol bits. */
+function toBits(symbols, bitsPerSymbol) {
+  const bits = new Uint8Array(symbols.length * bitsPerSymbol);
+  let k = 0;
+  for (let i = 0; i < symbols.length; i++) {
+    for (let b = bitsPerSymbol - 1; b >= 0; b--) bits[k++] = (symbols[i] >> b) & 1;
+  }
+  return bits;
+}
+
+function upperBound(p, n) {
+  return Math.min(1, p + Z_99 * Math.sqrt((p * (1 - p)) / (n - 1)));
+}
+
+function mlog2(p) {
+  if (p <= 0) return Infinity;
+  return -Math.log2(p);
+}
+
+/** Binary search for p in [lo, hi] with f(p) decreasing in p, solving f(p) = target. */
+function solveDecreasing(f, target, lo, hi) {
+  if (f(lo) <= target) return lo;
+  if (f(hi) >= target) return hi;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (f(mid) > target) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/** Count every w-length window; symbols are packed into a latin1 string for cheap slicing. */
+function tupleCounts(str, w) {
+  const counts = new Map();
+  for (let i = 0; i + w <= str.length; i++) {
+    const key = str.substr(i, w);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+/* -------------------- Estimators -------------------- */
+
+/** 6.3.1 Most Common Value estimate. */
+function mostCommonValue(samples) {
+  const s = toSymbols(samples);
+  const L = s.length;
+  if (L < 2) return null;
+  const freq = new Uint32Array(256);
+  let max = 0;
+  for (let i = 0; i < L; i++) {
+    const c = ++freq[s[i]];
+    if (c > max) max = c;
+  }
+  return mlog2(upperBound(max / L, L));
+}
+
+/** 6.3.2 Collision estimate (binary input). */
+function collisionBits(bits) {
+  const L = bits.length;
+  let i = 0;
+  const times = [];
+  while (i + 1 < L) {
+    if (bits[i] === bits[i + 1]) {
+      times.push(2);
+      i += 2;
+    } else if (i + 2 < L) {
+      times.push(3);
+      i += 3;
+    } else {
+      break;
+    }
+  }
+  const v = times.length;
+  if (v < 2) return null;
+  const mean = times.reduce((a, b) => a + b, 0) / v;
+  const sd = Math.sqrt(times.reduce((a, t) => a + (t - mean) * (t - mean), 0) / (v - 1));
+  const xBar = mean - (Z_99 * sd) / Math.sqrt(v);
+
+  // For binary data E[t] = 2 + 2p(1-p); solve for the most likely value p >= 0.5
+  const c = (xBar - 2) / 2;
+  if (c <= 0) return 0;
+  if (c >= 0.25) return 1;
+  const p = (1 + Math.sqrt(1 - 4 * c)) / 2;
+  return mlog2(p);
+}
+
+/** 6.3.3 Markov estimate (binary input). */
+function markovBits(bits) {
+  const L = bits.length;
+  if (L < 2) return null;
+  let ones = 0;
+  const trans = [[0, 0], [0, 0]];
+  for (let i = 0; i < L; i++) {
+    ones += bits[i];
+    if (i + 1 < L) trans[bits[i]][bits[i + 1]]++;
+  }
+  const P1 = ones / L;
+  const P0 = 1 - P1;
+  const row0 = trans[0][0] + trans[0][1];
+  const row1 = trans[1][0] + trans[1][1];
+  const P00 = row0 ? trans[0][0] / row0 : 0;
+  const P01 = row0 ? trans[0][1] / row0 : 0;
+  const P10 = row1 ? trans[1][0] / row1 : 0;
+  const P11 = row1 ? trans[1][1] / row1 : 0;
+
+  // log2 probabilities of the most likely 128-bit sequences
+  const lg = (x) => (x > 0 ? Math.log2(x) : -Infinity);
+  const candidates = [
+    lg(P0) + 127 * lg(P00),
+    lg(P0) + 64 * lg(P01) + 63 * lg(P10),
+    lg(P0) + lg(P01) + 126 * lg(P11),
+    lg(P1) + lg(P10) + 126 * lg(P00),
+    lg(P1) + 64 * lg(P10) + 63 * lg(P01),
+    lg(P1) + 127 * lg(P11)
+  ];
+  const maxLog = Math.max(...candidates);
+  return Math.min(-maxLog / 128, 1);
+}
+
+/** 6.3.4 Compression (Maurer universal statistic) estimate (binary input). */
+function compressionBits(bits) {
+  const b = 6;
+  const d = 1000;
+  const Lp = Math.floor(bits.length / b);
+  const nu = Lp - d;
+  if (nu < 2) return null;
+
+  const sym = new Uint8Array(Lp);
+  for (let i = 0; i < Lp; i++) {
+    let v = 0;
+    for (let j = 0; j < b; j++) v = (v << 1) | bits[i * b + j];
+    sym[i] = v;
+  }
+
+  const dict = new Int32Array(1 << b);    // last seen index (1-based), 0 = never
+  for (let i = 0; i < d; i++) dict[sym[i]] = i + 1;
+  const D = new Float64Array(nu);
+  for (let i = d; i < Lp; i++) {
+    const idx = i + 1;
+    D[i - d] = Math.log2(dict[sym[i]] ? idx - dict[sym[i]] : idx);
+    dict[sym[i]] = idx;
+  }
+  const mean = D.reduce((a, x) => a + x, 0) / nu;
+  const variance = D.reduce((a, x) => a + (x - mean) * (x - mean), 0) / (nu - 1);
+  const sd = 0.5907 * Math.sqrt(variance);
+  const xBar = mean - (Z_99 * sd) / Math.sqrt(nu);
+
+  // G(z) = 1/nu * sum_{t=d+1}^{Lp} sum_{u=1}^{t} log2(u) F(z,t,u), accumulated in O(Lp)
+  const G = (z) => {
+    if (z <= 0) return 0;
+    const q = 1 - z;
+    let total = 0;
+    let prefix = 0;   // sum_{u=1}^{t-1} log2(u) q^{u-1}
+    let qPow = 1;     // q^{t-1}
+    for (let t = 1; t <= Lp; t++) {
+      if (t > d) total += z * z * prefix + Math.log2(t) * z * qPow;
+      prefix += Math.log2(t) * qPow;
+      qPow *= q;
+    }
+    return total / nu;
+  };
+  const n = (1 << b) - 1;
+  const expected = (p) => G(p) + n * G((1 - p) / n);
+
+  const p = solveDecreasing(expected, xBar, 1 / (1 << b), 1);
+  return Math.min(mlog2(p) / b, 1);
+}
+
+/** Largest t such that some t-tuple occurs at least TUPLE_CUTOFF times (0 if none). */
+function findT(str) {
+  let t = 0;
+  for (let w = 1; w <= Math.min(MAX_TUPLE_LEN, str.length); w++) {
+    const counts = tupleCounts(str, w);
+    let max = 0;
+    for (const c of counts.values()) if (c > max) max = c;
+    if (max < TUPLE_CUTOFF) break;
+    t = w;
+  }
+  return t;
+}
+
+/** 6.3.5 t-Tuple estimate. */
+function tTuple(samples) {
+  const s = toSymbols(samples);
+  const L = s.length;
+  const str = Buffer.from(s).toString('latin1');
+  const t = findT(str);
+  if (t === 0) return null;
+  let pMax = 0;
+  for (let w = 1; w <= t; w++) {
+    const counts = tupleCounts(str, w);
+    let q = 0;
+    for (const c of counts.values()) if (c > q) q = c;
+    const pw = Math.pow(q / (L - w + 1), 1 / w);
+    if (pw > pMax) pMax = pw;
+  }
+  return mlog2(upperBound(pMax, L));
+}
+
+/** 6.3.6 Longest Repeated Substring estimate. */
+function lrs(samples) {
+  const s = toSymbols(samples);
+  const L = s.length;
+  const str = Buffer.from(s).toString('latin1');
+  const u = findT(str) + 1;
+  let pMax = 0;
+  let any = false;
+  for (let w = u; w <= Math.min(MAX_TUPLE_LEN, L - 1); w++) {
+    const counts = tupleCounts(str, w);
+    let pairs = 0;
+    for (const c of counts.values()) if (c > 1) pairs += (c * (c - 1)) / 2;
+    if (pairs === 0) break; // past the longest repeated substring
+    any = true;
+    const n = L - w + 1;
+    const pw = Math.pow(pairs / ((n * (n - 1)) / 2), 1 / w);
+    if (pw > pMax) pMax = pw;
+  }
+  if (!any) return null;
+  return mlog2(upperBound(pMax, L));
+}
+
+/* -------------------- Suite -------------------- */
+
+/**
+ * estimateMinEntropy(samples, options)
+ * @param {Buffer|Uint8Array|number[]} samples - raw symbols (one byte per sample)
+ * @param {object} [options]
+ * @param {number} [options.bitsPerSymbol=8] - meaningful low bits per sample (1..8)
+ * @returns {{
+ *   sampleCount: number,
+ *   bitsPerSymbol: number,
+ *   estimates: Record<string, number|null>,
+ *   minEntropyPerSample: number|null,
+ *   totalMinEntropyBits: number,
+ *   limitingEstimator: string|null
+ * }}
+ */
+function estimateMinEntropy(samples, options = {}) {
+  const bitsPerSymbol = Math.max(1, Math.min(8, options.bitsPerSymbol || 8));
+  const s = toSymbols(samples);
+  const mask = (1 << bitsPerSymbol) - 1;
+  const symbols = bitsPerSymbol === 8 ? s : s.map(v => v & mask);
+  const bits = toBits(symbols, bitsPerSymbol);
+
+  const scale = (h) => (h === null ? null : h * bitsPerSymbol);
+  const raw = {
+    mostCommonValue: mostCommonValue(symbols),
+    collision: scale(collisionBits(bits)),
+    markov: scale(markovBits(bits)),
+    compression: scale(compressionBits(bits)),
+    tTuple: tTuple(symbols),
+    lrs: lrs(symbols)
+  };
+
+  let limiting = null;
+  let min = null;
+  const estimates = {};
+  for (const [name, h] of Object.entries(raw)) {
+    const v = (h === null || !Number.isFinite(h)) ? null : Math.min(h, bitsPerSymbol);
+    estimates[name] = v === null ? null : Number(v.toFixed(4));
+    if (v !== null && (min === null || v < min)) {
+      min = v;
+      limiting = name;
+    }
+  }
+
+  return {
+    sampleCount: symbols.length,
+    bitsPerSymbol,
+    estimates,
+    minEntropyPerSample: min === null ? null : Number(min.toFixed(4)),
+    totalMinEntropyBits: min === null ? 0 : Math.floor(min * symbols.length),
+    limitingEstimator: limiting
+  };
+}
+
+export {
+  estimateMinEntropy,
+  mostCommonValue,
+  tTuple,
+  lrs,
+  collisionBits,
+  markovBits,
+  compressionBits,
+  toBits
+};
+export default estimateMinEntropy;
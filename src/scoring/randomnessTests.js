@@ -0,0 +1,451 @@
+// src/scoring/randomnessTests.js (ESM)
+//
+// Purpose:
+// - Statistical test battery for round seeds (a subset of NIST SP 800-22 / STS).
+// - Runs over the concatenated bits of many R_round values and reports a
+//   p-value and pass/fail per test.
+// - No external dependencies (Node.js built-in only).
+//
+// Tests: frequency (monobit), block frequency, runs, longest run of ones,
+// serial, approximate entropy, cumulative sums (forward/backward), spectral DFT.
+//
+// Usage (CLI):
+//   node src/scoring/randomnessTests.js                 (seeds from the round ledger)
+//   node src/scoring/randomnessTests.js --file seeds.txt [--alpha 0.01]
+// A seed file holds one hex seed per line, or ledger/record JSON lines with R_round.
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+import { openLedger } from '../ledger/roundLedger.js';
+
+const DEFAULT_ALPHA = 0.01;
+
+/* -------------------- Special functions -------------------- */
+
+// Lanczos approximation of ln(Gamma(x))
+function lnGamma(x) {
+  const g = 7;
+  const c = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + g + 0.5;
+  for (let i = 1; i < g + 2; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Upper regularized incomplete gamma Q(a, x) (STS "igamc")
+function igamc(a, x) {
+  if (x <= 0 || a <= 0) return 1;
+  if (x < a + 1) {
+    // series for P(a, x), then Q = 1 - P
+    let sum = 1 / a;
+    let del = sum;
+    let ap = a;
+    for (let n = 0; n < 1000; n++) {
+      ap += 1;
+      del *= x / ap;
+      sum += del;
+      if (Math.abs(del) < Math.abs(sum) * 1e-15) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - lnGamma(a));
+  }
+  // continued fraction for Q(a, x) (modified Lentz)
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 1000; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-15) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - lnGamma(a)) * h;
+}
+
+// Complementary error function (Chebyshev fit, fractional error < 1.2e-7)
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+// Standard normal CDF
+function normalCdf(x) {
+  return 0.5 * erfc(-x / Math.SQRT2);
+}
+
+/* -------------------- Helpers -------------------- */
+
+/** Hex string(s) or Buffer(s) -> Uint8Array of bits (MSB first). */
+function toBits(input) {
+  const parts = Array.isArray(input) ? input : [input];
+  const bufs = parts.map((p) => {
+    if (Buffer.isBuffer(p) || p instanceof Uint8Array) return Buffer.from(p);
+    if (typeof p === 'string') return Buffer.from(p.replace(/^0x/, ''), 'hex');
+    throw new TypeError('toBits: expected hex strings or Buffers');
+  });
+  const buf = Buffer.concat(bufs);
+  const bits = new Uint8Array(buf.length * 8);
+  for (let i = 0; i < buf.length; i++) {
+    for (let b = 0; b < 8; b++) bits[i * 8 + b] = (buf[i] >> (7 - b)) & 1;
+  }
+  return bits;
+}
+
+/** Overlapping m-bit pattern counts with wraparound (used by serial and ApEn). */
+function patternCounts(bits, m) {
+  const n = bits.length;
+  const counts = new Float64Array(1 << m);
+  if (m === 0) return counts;
+  for (let i = 0; i < n; i++) {
+    let v = 0;
+    for (let j = 0; j < m; j++) v = (v << 1) | bits[(i + j) % n];
+    counts[v]++;
+  }
+  return counts;
+}
+
+function result(name, pValue, alpha, stats = {}) {
+  const pValues = Array.isArray(pValue) ? pValue : [pValue];
+  const valid = pValues.every(p => typeof p === 'number' && Number.isFinite(p));
+  return {
+    name,
+    pValue: valid ? Math.min(...pValues) : null,
+    pValues: pValues.length > 1 ? pValues : undefined,
+    passed: valid ? pValues.every(p => p >= alpha) : null,
+    stats
+  };
+}
+
+function skipped(name, reason) {
+  return { name, pValue: null, passed: null, skipped: reason, stats: {} };
+}
+
+/* -------------------- Tests -------------------- */
+
+/** 2.1 Frequency (monobit) test. */
+function frequencyTest(bits, alpha = DEFAULT_ALPHA) {
+  const n = bits.length;
+  if (n < 100) return skipped('frequency', 'needs at least 100 bits');
+  let s = 0;
+  for (let i = 0; i < n; i++) s += bits[i] ? 1 : -1;
+  const sObs = Math.abs(s) / Math.sqrt(n);
+  return result('frequency', erfc(sObs / Math.SQRT2), alpha, { sum: s, sObs });
+}
+
+/** 2.2 Frequency test within a block. */
+function blockFrequencyTest(bits, alpha = DEFAULT_ALPHA, blockSize = 128) {
+  const n = bits.length;
+  const M = blockSize;
+  const N = Math.floor(n / M);
+  if (n < 100 || N < 1) return skipped('blockFrequency', `needs at least 100 bits and one ${M}-bit block`);
+  let chi = 0;
+  for (let i = 0; i < N; i++) {
+    let ones = 0;
+    for (let j = 0; j < M; j++) ones += bits[i * M + j];
+    const pi = ones / M;
+    chi += (pi - 0.5) * (pi - 0.5);
+  }
+  chi *= 4 * M;
+  return result('blockFrequency', igamc(N / 2, chi / 2), alpha, { blockSize: M, blocks: N, chiSquared: chi });
+}
+
+/** 2.3 Runs test. */
+function runsTest(bits, alpha = DEFAULT_ALPHA) {
+  const n = bits.length;
+  if (n < 100) return skipped('runs', 'needs at least 100 bits');
+  let ones = 0;
+  for (let i = 0; i < n; i++) ones += bits[i];
+  const pi = ones / n;
+  if (Math.abs(pi - 0.5) >= 2 / Math.sqrt(n)) {
+    // Frequency prerequisite failed; STS reports p = 0
+    return result('runs', 0, alpha, { pi, prerequisite: 'failed' });
+  }
+  let v = 1;
+  for (let k = 0; k < n - 1; k++) if (bits[k] !== bits[k + 1]) v++;
+  const p = erfc(Math.abs(v - 2 * n * pi * (1 - pi)) / (2 * Math.sqrt(2 * n) * pi * (1 - pi)));
+  return result('runs', p, alpha, { pi, runs: v });
+}
+
+/** 2.4 Test for the longest run of ones in a block. */
+function longestRunTest(bits, alpha = DEFAULT_ALPHA) {
+  const n = bits.length;
+  let M, K, vMin, pi;
+  if (n < 128) return skipped('longestRun', 'needs at least 128 bits');
+  if (n < 6272) {
+    M = 8; K = 3; vMin = 1;
+    pi = [0.21484375, 0.3671875, 0.23046875, 0.1875];
+  } else if (n < 750000) {
+    M = 128; K = 5; vMin = 4;
+    pi = [0.1174035788, 0.242955959, 0.249363483, 0.17517706, 0.102701071, 0.112398847];
+  } else {
+    M = 10000; K = 6; vMin = 10;
+    pi = [0.0882, 0.2092, 0.2483, 0.1933, 0.1208, 0.0675, 0.0727];
+  }
+  const N = Math.floor(n / M);
+  const nu = new Array(K + 1).fill(0);
+  for (let i = 0; i < N; i++) {
+    let run = 0;
+    let longest = 0;
+    for (let j = 0; j < M; j++) {
+      if (bits[i * M + j]) {
+        run++;
+        if (run > longest) longest = run;
+      } else {
+        run = 0;
+      }
+    }
+    const idx = Math.max(0, Math.min(K, longest - vMin));
+    nu[idx]++;
+  }
+  let chi = 0;
+  for (let i = 0; i <= K; i++) chi += ((nu[i] - N * pi[i]) ** 2) / (N * pi[i]);
+  return result('longestRun', igamc(K / 2, chi / 2), alpha, { blockSize: M, blocks: N, counts: nu, chiSquared: chi });
+}
+
+function psiSquared(bits, m) {
+  if (m <= 0) return 0;
+  const n = bits.length;
+  const counts = patternCounts(bits, m);
+  let sum = 0;
+  for (const c of counts) sum += c * c;
+  return (sum * (1 << m)) / n - n;
+}
+
+/** 2.11 Serial test (two p-values). */
+function serialTest(bits, alpha = DEFAULT_ALPHA, m = 3) {
+  const n = bits.length;
+  if (m < 2 || m >= Math.floor(Math.log2(n)) - 2) return skipped('serial', `m=${m} too large for ${n} bits`);
+  const p0 = psiSquared(bits, m);
+  const p1 = psiSquared(bits, m - 1);
+  const p2 = psiSquared(bits, m - 2);
+  const d1 = p0 - p1;
+  const d2 = p0 - 2 * p1 + p2;
+  const pv1 = igamc(2 ** (m - 2), d1 / 2);
+  const pv2 = m >= 3 ? igamc(2 ** (m - 3), d2 / 2) : pv1;
+  return result('serial', [pv1, pv2], alpha, { m, delPsi2: d1, del2Psi2: d2 });
+}
+
+function phi(bits, m) {
+  if (m <= 0) return 0;
+  const n = bits.length;
+  const counts = patternCounts(bits, m);
+  let sum = 0;
+  for (const c of counts) if (c > 0) sum += (c / n) * Math.log(c / n);
+  return sum;
+}
+
+/** 2.12 Approximate entropy test. */
+function approximateEntropyTest(bits, alpha = DEFAULT_ALPHA, m = 2) {
+  const n = bits.length;
+  if (m < 1 || m >= Math.floor(Math.log2(n)) - 5) return skipped('approximateEntropy', `m=${m} too large for ${n} bits`);
+  const apEn = phi(bits, m) - phi(bits, m + 1);
+  const chi = 2 * n * (Math.LN2 - apEn);
+  return result('approximateEntropy', igamc(2 ** (m - 1), chi / 2), alpha, { m, apEn, chiSquared: chi });
+}
+
+function cusumP(n, z) {
+  if (z === 0) return 1;
+  const sqrtN = Math.sqrt(n);
+  let sum1 = 0;
+  for (let k = Math.trunc((-n / z + 1) / 4); k <= Math.trunc((n / z - 1) / 4); k++) {
+    sum1 += normalCdf(((4 * k + 1) * z) / sqrtN) - normalCdf(((4 * k - 1) * z) / sqrtN);
+  }
+  let sum2 = 0;
+  for (let k = Math.trunc((-n / z - 3) / 4); k <= Math.trunc((n / z - 1) / 4); k++) {
+    sum2 += normalCdf(((4 * k + 3) * z) / sqrtN) - normalCdf(((4 * k + 1) * z) / sqrtN);
+  }
+  return 1 - sum1 + sum2;
+}
+
+/** 2.13 Cumulative sums test (forward and backward p-values). */
+function cumulativeSumsTest(bits, alpha = DEFAULT_ALPHA) {
+  const n = bits.length;
+  if (n < 100) return skipped('cumulativeSums', 'needs at least 100 bits');
+  let s = 0;
+  let zFwd = 0;
+  for (let i = 0; i < n; i++) {
+    s += bits[i] ? 1 : -1;
+    zFwd = Math.max(zFwd, Math.abs(s));
+  }
+  s = 0;
+  let zBwd = 0;
+  for (let i = n - 1; i >= 0; i--) {
+    s += bits[i] ? 1 : -1;
+    zBwd = Math.max(zBwd, Math.abs(s));
+  }
+  return result('cumulativeSums', [cusumP(n, zFwd), cusumP(n, zBwd)], alpha, { zForward: zFwd, zBackward: zBwd });
+}
+
+/** In-place iterative radix-2 FFT; re/im lengths must be a power of two. */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    const wRe = Math.cos(ang);
+    const wIm = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cRe = 1;
+      let cIm = 0;
+      for (let j = 0; j < len / 2; j++) {
+        const aRe = re[i + j];
+        const aIm = im[i + j];
+        const bRe = re[i + j + len / 2] * cRe - im[i + j + len / 2] * cIm;
+        const bIm = re[i + j + len / 2] * cIm + im[i + j + len / 2] * cRe;
+        re[i + j] = aRe + bRe;
+        im[i + j] = aIm + bIm;
+        re[i + j + len / 2] = aRe - bRe;
+        im[i + j + len / 2] = aIm - bIm;
+        const nRe = cRe * wRe - cIm * wIm;
+        cIm = cRe * wIm + cIm * wRe;
+        cRe = nRe;
+      }
+    }
+  }
+}
+
+/**
+ * 2.6 Discrete Fourier transform (spectral) test.
+ * Uses the longest power-of-two prefix of the bit stream so a radix-2 FFT applies.
+ */
+function spectralTest(bits, alpha = DEFAULT_ALPHA) {
+  if (bits.length < 1000) return skipped('spectral', 'needs at least 1000 bits');
+  const n = 2 ** Math.floor(Math.log2(bits.length));
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  for (let i = 0; i < n; i++) re[i] = bits[i] ? 1 : -1;
+  fft(re, im);
+  const T = Math.sqrt(Math.log(1 / 0.05) * n);
+  const N0 = (0.95 * n) / 2;
+  let N1 = 0;
+  for (let j = 0; j < n / 2; j++) {
+    if (Math.hypot(re[j], im[j]) < T) N1++;
+  }
+  const d = (N1 - N0) / Math.sqrt((n * 0.95 * 0.05) / 4);
+  return result('spectral', erfc(Math.abs(d) / Math.SQRT2), alpha, { bitsUsed: n, threshold: T, N0, N1, d });
+}
+
+/* -------------------- Battery -------------------- */
+
+/**
+ * runTestBattery(seeds, options)
+ * @param {Array<string|Buffer>|string|Buffer} seeds - hex seeds / Buffers, concatenated in order
+ * @param {object} [options]
+ * @param {number} [options.alpha=0.01]
+ * @param {number} [options.blockSize=128] - block frequency block length
+ * @param {number} [options.serialM=3]
+ * @param {number} [options.apenM=2]
+ * @returns {{ bits: number, seeds: number, alpha: number, tests: object[], passed: boolean|null }}
+ */
+function runTestBattery(seeds, options = {}) {
+  const alpha = options.alpha ?? DEFAULT_ALPHA;
+  const bits = toBits(seeds);
+  const tests = [
+    frequencyTest(bits, alpha),
+    blockFrequencyTest(bits, alpha, options.blockSize ?? 128),
+    runsTest(bits, alpha),
+    longestRunTest(bits, alpha),
+    serialTest(bits, alpha, options.serialM ?? 3),
+    approximateEntropyTest(bits, alpha, options.apenM ?? 2),
+    cumulativeSumsTest(bits, alpha),
+    spectralTest(bits, alpha)
+  ];
+  const ran = tests.filter(t => t.passed !== null);
+  return {
+    bits: bits.length,
+    seeds: Array.isArray(seeds) ? seeds.length : 1,
+    alpha,
+    tests,
+    passed: ran.length ? ran.every(t => t.passed) : null
+  };
+}
+
+/**
+ * readSeeds(source)
+ * @param {{ file?: string, ledger?: import('../ledger/roundLedger.js').RoundLedger }} [source]
+ * @returns {string[]} hex seeds in order
+ */
+function readSeeds(source = {}) {
+  if (source.file) {
+    return fs.readFileSync(source.file, 'utf8')
+      .split('\n')
+      .map(l => l.trim())
+      .filter(Boolean)
+      .map((line) => {
+        if (line.startsWith('{')) {
+          const obj = JSON.parse(line);
+          return (obj.record ? obj.record.R_round : obj.R_round) || null;
+        }
+        return line.replace(/^0x/, '');
+      })
+      .filter(s => typeof s === 'string' && /^[0-9a-fA-F]+$/.test(s));
+  }
+  const ledger = source.ledger || openLedger();
+  return ledger.records().map(r => r.R_round).filter(Boolean);
+}
+
+/* ----------------- CLI Entrypoint  ----------------- */
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  const argv = process.argv.slice(2);
+  const opt = (name) => {
+    const i = argv.indexOf(name);
+    return i >= 0 ? argv[i + 1] : undefined;
+  };
+  try {
+    const seeds = readSeeds({ file: opt('--file') });
+    if (seeds.length === 0) {
+      console.error('No seeds found (run some rounds first or pass --file).');
+      process.exit(2);
+    }
+    const report = runTestBattery(seeds, { alpha: opt('--alpha') ? Number(opt('--alpha')) : undefined });
+    console.log(JSON.stringify(report, null, 2));
+    process.exit(report.passed === false ? 3 : 0);
+  } catch (err) {
+    console.error('Error (randomnessTests CLI):', err?.message ?? err);
+    process.exit(1);
+  }
+}
+
+export {
+  runTestBattery,
+  readSeeds,
+  toBits,
+  frequencyTest,
+  blockFrequencyTest,
+  runsTest,
+  longestRunTest,
+  serialTest,
+  approximateEntropyTest,
+  cumulativeSumsTest,
+  spectralTest,
+  igamc,
+  erfc
+};
+export default runTestBattery;
@@ -8,6 +8,7 @@
 // This is a direct ESM conversion of your original module.
 
 import crypto from 'crypto'; // kept for parity (unused in core functions)
+import { estimateMinEntropy } from './minEntropy.js';
 
 /* -------------------- Helpers -------------------- */
 
@@ -110,8 +111,54 @@ function stddev(arr) {
   return Math.sqrt(v);
 }
 
+// Conservative min-entropy report for the breakdown.
+// rawSamples: raw (pre-hash) collector samples, estimated here with minEntropy.js
+// minEntropyBits: per-contributor figures already estimated upstream (e.g. by the node)
+function minEntropyReport(options) {
+  const raw = Array.isArray(options.rawSamples) ? options.rawSamples : null;
+  const given = Array.isArray(options.minEntropyBits) ? options.minEntropyBits : null;
+  if (!raw && !given) return null;
+
+  const sources = [];
+  if (raw) {
+    raw.forEach((samples, i) => {
+      const est = estimateMinEntropy(toBuffer(samples));
+      sources.push({
+        source: i,
+        bits: est.totalMinEntropyBits,
+        perSample: est.minEntropyPerSample,
+        limitingEstimator: est.limitingEstimator,
+        estimates: est.estimates
+      });
+    });
+  }
+  if (given) {
+    given.forEach((bits, i) => sources.push({ source: raw ? raw.length + i : i, bits: Math.max(0, Number(bits) || 0) }));
+  }
+
+  let minPerSample = null;
+  for (const src of sources) {
+    if (typeof src.perSample === 'number' && (minPerSample === null || src.perSample < minPerSample)) minPerSample = src.perSample;
+  }
+
+  return {
+    totalBits: sources.reduce((s, src) => s + src.bits, 0),
+    minPerSample,
+    sources
+  };
+}
+
 /* -------------------- Main scoring function -------------------- */
 
+// options:
+//   previousRounds  - earlier outputs for the non-repeatability check
+//   maxBits         - input size that earns the full amount sub-score (default 2048)
+//   weights         - override { entropy, nonRepeat, amount, variation }
+//   rawSamples      - raw collector samples; reported as breakdown.minEntropy
+//   minEntropyBits  - per-contributor min-entropy already estimated upstream
+//   health          - { sources, unhealthy } collector health test outcome
+// The min-entropy report is informational and does not change the score.
+// Unhealthy sources scale the score down by the healthy fraction.
 function computeUniquenessScore(allRandomness, options = {}) {
   // Normalize inputs
   let inputs = Array.isArray(allRandomness) ? allRandomness.slice() : [allRandomness];
@@ -176,7 +223,14 @@ function computeUniquenessScore(allRandomness, options = {}) {
     (amountNorm * weights.amount) +
     (variationNorm * weights.variation);
 
-  const scoreFloat = Math.max(0, Math.min(1, combined));
+  // 5) Collector health: unhealthy sources scale the score by the healthy fraction
+  let healthNorm = 1;
+  const health = options.health;
+  if (health && health.sources > 0) {
+    healthNorm = Math.max(0, 1 - (health.unhealthy || 0) / health.sources);
+  }
+
+  const scoreFloat = Math.max(0, Math.min(1, combined * healthNorm));
   const score = Math.round(scoreFloat * 100);
 
   // Category mapping
@@ -198,7 +252,9 @@ function computeUniquenessScore(allRandomness, options = {}) {
       variationCov: Number(cov.toFixed(4)),
       variationNorm: Number(variationNorm.toFixed(4)),
       nonRepeatNorm: Number(nonRepeatNorm.toFixed(4)),
-      weights: Object.assign({}, weights)
+      healthNorm: Number(healthNorm.toFixed(4)),
+      weights: Object.assign({}, weights),
+      minEntropy: minEntropyReport(options)
     }
   };
 }
@@ -0,0 +1,515 @@
+// src/server/httpServer.js
+// ESM version for FLUQ Alpha 1.0
+// Local HTTP API around the round pipeline (Node `http` only, no external services).
+//
+// Routes:
+//   POST /rounds                 -> open a round (commit phase starts immediately)
+//   POST /rounds/:id/commit      -> { node_id, commit, signature }
+//   POST /rounds/:id/reveal      -> { node_id, E_i, s_i, signature }
+//   POST /rounds/:id/finalize    -> mix -> detect -> score -> reward now
+//   GET  /rounds/:id             -> round state, plus the record once finalized
+//   GET  /rounds/latest/seed     -> R_round of the most recently finalized round
+//   POST /nodes                  -> { node_id, public_key } register a node key
+//   GET  /nodes                  -> registered nodes
+//   GET  /nodes/:id              -> one registered node
+//   POST /collectors/mouse       -> { chunk, samples?, raw?, node_id?, round_id? } browser mouse chunk
+//   GET  /collectors/mouse       -> chunks waiting for the next round
+//   GET  /metrics                -> Prometheus text (src/metrics/metrics.js)
+//
+// Signatures are Ed25519 over the messages in src/identity/nodeIdentity.js;
+// commits and reveals from unregistered or wrongly signed nodes are refused.
+//
+// Only /collectors/mouse is open to browser pages (CORS). Any other route
+// refuses requests carrying an Origin header, so a web page open in the
+// operator's browser cannot register keys or drive rounds on 127.0.0.1.
+//
+// Rounds opened without a round_id take the next epoch (round-<epoch>, see
+// src/coordinator/roundScheduler.js); one such round can be open at a time.
+// The previous round hash is read from the ledger when the round finalizes.
+//
+// Usage (CLI):
+//   node src/server/httpServer.js [port]      (default server.port / FLUQ_PORT, 8787, on server.host)
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+import { RoundCoordinator, PHASES, commitSubmission } from '../coordinator/roundCoordinator.js';
+import { createLocalParticipant } from '../coordinator/localParticipant.js';
+import { epochRoundId, nextEpoch } from '../coordinator/roundScheduler.js';
+import { finalizeRound, persistRound, loadVrfKeyFromEnv } from '../coordinator/roundPipeline.js';
+import { openLedger } from '../ledger/roundLedger.js';
+import { openBalanceStore } from '../token/balanceStore.js';
+import { openNodeHistory } from '../detector/nodeHistory.js';
+import { loadRewardPolicy } from '../token/rewardPolicy.js';
+import { minimumStakeCheck } from '../token/staking.js';
+import { openNodeRegistry } from '../identity/nodeRegistry.js';
+import { loadOrCreateIdentity } from '../identity/nodeIdentity.js';
+import { mouseChunkPool } from '../collectors/mouseBridge.js';
+import { sendMetrics } from '../metrics/metrics.js';
+import * as logger from '../utils/logger.js';
+import { getConfig, loadedConfig } from '../config/config.js';
+
+/** Server defaults from the process config (src/config/config.js). */
+function defaultOptions(config = getConfig()) {
+  return {
+    host: config.server.host,
+    port: config.server.port,
+    commitWindowMs: config.server.commit_window_ms,
+    revealWindowMs: config.server.reveal_window_ms,
+    construction: config.round.mix_construction,
+    minStake: config.staking.min_stake,
+    slashDestination: config.staking.slash_destination,
+    maxBodyBytes: 64 * 1024,
+    maxRounds: 100
+  };
+}
+
+/** Error carrying an HTTP status code; anything else is reported as 500. */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Allow browser collectors (mouseCollector.js) served from another origin; /collectors/mouse only
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers
+  });
+  res.end(payload);
+}
+
+function isMouseRoute(parts) {
+  return parts.length === 2 && parts[0] === 'collectors' && parts[1] === 'mouse';
+}
+
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new HttpError(413, `request body exceeds ${maxBytes} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size === 0) return resolve({});
+      try {
+        const parsed = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+          return reject(new HttpError(400, 'request body must be a JSON object'));
+        }
+        resolve(parsed);
+      } catch (e) {
+        reject(new HttpError(400, 'request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/** Splits the request path into decoded segments; malformed paths are a 400, not a crash. */
+function pathParts(rawUrl) {
+  try {
+    const url = new URL(rawUrl, 'http://localhost');
+    return url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (e) {
+    throw new HttpError(400, `malformed request path: ${rawUrl}`);
+  }
+}
+
+/**
+ * createRoundService(options)
+ * In-memory round registry with deadline timers. Kept separate from the HTTP
+ * layer so it can be driven directly.
+ */
+function createRoundService(options = {}) {
+  const opts = { ...defaultOptions(), ...options };
+  const config = opts.config || loadedConfig();
+  const rounds = new Map();   // round_id -> { coordinator, epoch, record, error, timers, localParticipants }
+  const ledger = opts.ledger || openLedger();
+  const store = opts.store || openBalanceStore();
+  const history = opts.history || openNodeHistory({ window: config.config.detector.history_window });
+  const rewardPolicy = opts.rewardPolicy || loadRewardPolicy();
+  const registry = opts.registry || openNodeRegistry();
+  const vrfKey = opts.vrfKey !== undefined ? opts.vrfKey : loadVrfKeyFromEnv(config.config);
+  let latest = ledger.records().slice(-1)[0] || null; // most recently finalized record
+
+  function clearTimers(entry) {
+    for (const t of entry.timers) clearTimeout(t);
+    entry.timers = [];
+  }
+
+  /** Marks a round that cannot continue as failed; a failed epoch round frees its epoch. */
+  function fail(entry, err) {
+    clearTimers(entry);
+    if (entry.error) return;
+    entry.error = err?.message ?? String(err);
+    logger.child({ round_id: entry.coordinator.roundId }).error('Round failed:', err);
+  }
+
+  function evictOld() {
+    if (rounds.size <= opts.maxRounds) return;
+    for (const [id, entry] of rounds) {
+      if (rounds.size <= opts.maxRounds) break;
+      if (entry.coordinator.phase === PHASES.FINALIZED || entry.error) rounds.delete(id);
+    }
+  }
+
+  async function finalize(entry) {
+    if (entry.finalizing) return entry.finalizing;
+    clearTimers(entry);
+    entry.finalizing = (async () => {
+      try {
+        // Chain onto whatever the ledger holds now, not when the round was opened
+        entry.coordinator.prevRoundHash = ledger.tipHash();
+        const epoch = entry.epoch;
+        const roundIndex = epoch ?? nextEpoch(ledger);
+        entry.record = await finalizeRound(entry.coordinator, { history, rewardPolicy, roundIndex, epoch, config });
+        entry.ledgerEntry = persistRound(entry.record, { ledger, store, history, slashDestination: opts.slashDestination, config }).entry;
+        latest = entry.record;
+      } catch (err) {
+        entry.error = err?.message ?? String(err);
+        logger.child({ round_id: entry.coordinator.roundId }).error('Round failed to finalize:', err);
+      }
+      return entry;
+    })();
+    return entry.finalizing;
+  }
+
+  async function openRevealPhase(entry) {
+    if (entry.revealOpened) return entry;
+    entry.revealOpened = true;
+    const coord = entry.coordinator;
+    if (coord.phase === PHASES.COMMIT) coord.closeCommitPhase();
+    clearTimers(entry);
+
+    // Local participants reveal as soon as the reveal phase opens
+    try {
+      await Promise.all(entry.localParticipants
+        .filter(p => coord.commits.has(p.node_id))
+        .map(async (p) => coord.submitReveal({ node_id: p.node_id, ...(await p.reveal()) })));
+    } catch (err) {
+      fail(entry, err);
+      throw err;
+    }
+
+    if (allRevealed(coord)) return finalize(entry);
+    const t = setTimeout(() => { finalize(entry).catch(err => fail(entry, err)); }, coord.revealWindowMs);
+    t.unref?.();
+    entry.timers.push(t);
+    return entry;
+  }
+
+  function allCommitted(coord) {
+    return Array.isArray(coord.participants) && coord.participants.every(id => coord.commits.has(id));
+  }
+
+  function allRevealed(coord) {
+    return coord.commits.size > 0 && coord.missingReveals().length === 0 &&
+      (!Array.isArray(coord.participants) || coord.participants.every(id => coord.reveals.has(id)));
+  }
+
+  function isOpen(entry) {
+    return entry.coordinator.phase !== PHASES.FINALIZED && !entry.error;
+  }
+
+  function getEntry(roundId) {
+    const entry = rounds.get(roundId);
+    if (!entry) throw new HttpError(404, `round '${roundId}' not found`);
+    return entry;
+  }
+
+  /**
+   * createRound(body)
+   * body: { round_id?, participants?, commit_window_ms?, reveal_window_ms?, local_nodes?, construction? }
+   * Without round_id the round is numbered by the next epoch.
+   * local_nodes runs that many in-process participants through the collectors.
+   */
+  async function createRound(body = {}) {
+    let epoch = null;
+    let roundId = body.round_id;
+    if (!roundId) {
+      const open = [...rounds.values()].find(e => e.epoch !== null && isOpen(e));
+      if (open) throw new HttpError(409, `round '${open.coordinator.roundId}' holds the next epoch until it is finalized`);
+      epoch = nextEpoch(ledger);
+      roundId = epochRoundId(epoch);
+      // A failed round wrote nothing; its epoch is free again
+      if (rounds.get(roundId)?.error) rounds.delete(roundId);
+    }
+    if (rounds.has(roundId) || ledger.get(roundId)) throw new HttpError(409, `round '${roundId}' already exists`);
+
+    const localCount = Math.max(0, Math.min(16, parseInt(body.local_nodes || 0, 10) || 0));
+    const localIds = Array.from({ length: localCount }, (_, i) => `local-node-${i}`);
+    let participants = Array.isArray(body.participants) ? body.participants.map(String) : null;
+    if (participants && localIds.length) participants = [...new Set([...participants, ...localIds])];
+
+    let coordinator;
+    try {
+      coordinator = new RoundCoordinator({
+        roundId,
+        prevRoundHash: ledger.tipHash(),
+        participants,
+        vrfKey,
+        construction: body.construction ?? opts.construction,
+        registry,
+        admit: minimumStakeCheck(store, opts.minStake),
+        commitWindowMs: Number(body.commit_window_ms) || opts.commitWindowMs,
+        revealWindowMs: Number(body.reveal_window_ms) || opts.revealWindowMs
+      });
+    } catch (err) {
+      throw new HttpError(400, err.message);
+    }
+
+    const entry = {
+      coordinator,
+      epoch,
+      record: null,
+      error: null,
+      timers: [],
+      ledgerEntry: null,
+      finalizing: null,
+      revealOpened: false,
+      localParticipants: localIds.map(id => {
+        const identity = loadOrCreateIdentity(id);
+        registry.enroll(identity);
+        return createLocalParticipant(id, roundId, { identity, pool: opts.pool || null });
+      })
+    };
+    rounds.set(roundId, entry);
+    evictOld();
+
+    coordinator.openCommitPhase();
+    logger.child({ round_id: roundId }).info(`HTTP: opened round ${roundId} (commit window ${coordinator.commitWindowMs}ms)`);
+
+    // A local commit that throws fails the round instead of leaving it open without a timer
+    try {
+      for (const p of entry.localParticipants) {
+        coordinator.submitCommit({ node_id: p.node_id, ...commitSubmission(await p.commit()) });
+      }
+    } catch (err) {
+      fail(entry, err);
+      throw err;
+    }
+
+    if (allCommitted(coordinator)) {
+      await openRevealPhase(entry);
+    } else {
+      const t = setTimeout(() => { openRevealPhase(entry).catch(err => fail(entry, err)); }, coordinator.commitWindowMs);
+      t.unref?.();
+      entry.timers.push(t);
+    }
+    return entry;
+  }
+
+  async function commit(roundId, body) {
+    const entry = getEntry(roundId);
+    const result = entry.coordinator.submitCommit(body);
+    if (!result.accepted) throw new HttpError(409, result.reason);
+    if (allCommitted(entry.coordinator)) await openRevealPhase(entry);
+    return entry;
+  }
+
+  async function reveal(roundId, body) {
+    const entry = getEntry(roundId);
+    if (entry.coordinator.phase === PHASES.COMMIT && entry.coordinator.tick() === PHASES.REVEAL) {
+      await openRevealPhase(entry);
+    }
+    const result = entry.coordinator.submitReveal(body);
+    if (!result.accepted) throw new HttpError(409, result.reason);
+    if (allRevealed(entry.coordinator)) await finalize(entry);
+    return entry;
+  }
+
+  async function forceFinalize(roundId) {
+    const entry = getEntry(roundId);
+    if (entry.coordinator.phase === PHASES.COMMIT) await openRevealPhase(entry);
+    await finalize(entry);
+    if (entry.error) throw new HttpError(409, entry.error);
+    return entry;
+  }
+
+  /** State of an in-memory round, or the ledger record of an older one. */
+  function describe(roundId) {
+    if (rounds.has(roundId)) return view(rounds.get(roundId));
+    const stored = ledger.get(roundId);
+    if (!stored) throw new HttpError(404, `round '${roundId}' not found`);
+    return {
+      round_id: roundId,
+      phase: PHASES.FINALIZED,
+      record: stored.record,
+      ledger: { seq: stored.seq, hash: stored.hash },
+      error: null
+    };
+  }
+
+  function view(entry) {
+    const ledgerInfo = entry.ledgerEntry ? { seq: entry.ledgerEntry.seq, hash: entry.ledgerEntry.hash } : null;
+    return { ...entry.coordinator.toJSON(), record: entry.record, ledger: ledgerInfo, error: entry.error };
+  }
+
+  /** POST /nodes body: { node_id, public_key }; a node id keeps its first key. */
+  function registerNode(body = {}) {
+    if (typeof body.node_id !== 'string' || typeof body.public_key !== 'string') {
+      throw new HttpError(400, 'node_id and public_key must be strings');
+    }
+    try {
+      return registry.register(body.node_id, body.public_key);
+    } catch (err) {
+      throw new HttpError(err instanceof TypeError ? 400 : 409, err.message);
+    }
+  }
+
+  function getNode(nodeId) {
+    const node = registry.get(nodeId);
+    if (!node) throw new HttpError(404, `node '${nodeId}' is not registered`);
+    return node;
+  }
+
+  function close() {
+    for (const entry of rounds.values()) clearTimers(entry);
+  }
+
+  return {
+    createRound,
+    commit,
+    reveal,
+    finalize: forceFinalize,
+    get: (roundId) => getEntry(roundId),
+    latest: () => latest,
+    describe,
+    view,
+    registerNode,
+    getNode,
+    nodes: () => registry.list(),
+    close
+  };
+}
+
+/**
+ * createServer(options)
+ * @returns {http.Server} not yet listening; call .listen(port, host)
+ */
+function createServer(options = {}) {
+  const opts = { ...defaultOptions(), ...options };
+  const service = options.service || createRoundService(opts);
+
+  const server = http.createServer(async (req, res) => {
+    let cors = {};
+    try {
+      const parts = pathParts(req.url);
+
+      if (isMouseRoute(parts)) {
+        cors = CORS_HEADERS;
+        if (req.method === 'OPTIONS') {
+          res.writeHead(204, CORS_HEADERS);
+          return res.end();
+        }
+      } else if (req.headers.origin) {
+        throw new HttpError(403, 'browser requests are only accepted on /collectors/mouse');
+      }
+
+      if (parts[0] === 'metrics' && parts.length === 1) {
+        if (req.method !== 'GET') throw new HttpError(405, 'method not allowed');
+        return sendMetrics(res);
+      }
+
+      if (parts[0] === 'nodes') {
+        if (parts.length === 1 && req.method === 'POST') {
+          return sendJson(res, 201, service.registerNode(await readJsonBody(req, opts.maxBodyBytes)));
+        }
+        if (req.method !== 'GET') throw new HttpError(405, 'method not allowed');
+        if (parts.length === 1) return sendJson(res, 200, service.nodes());
+        if (parts.length === 2) return sendJson(res, 200, service.getNode(parts[1]));
+        throw new HttpError(404, 'not found');
+      }
+
+      // Browser mouse chunks (mouseCollector.js submitEntropyChunk) for local participants
+      if (isMouseRoute(parts)) {
+        const pool = opts.mousePool || mouseChunkPool;
+        if (req.method === 'GET') return sendJson(res, 200, pool.status(), cors);
+        if (req.method !== 'POST') throw new HttpError(405, 'method not allowed');
+        try {
+          return sendJson(res, 202, pool.push(await readJsonBody(req, opts.maxBodyBytes)), cors);
+        } catch (err) {
+          if (err instanceof TypeError) throw new HttpError(400, err.message);
+          throw err;
+        }
+      }
+
+      if (parts[0] !== 'rounds') throw new HttpError(404, 'not found');
+
+      // POST /rounds
+      if (parts.length === 1) {
+        if (req.method !== 'POST') throw new HttpError(405, 'method not allowed');
+        const body = await readJsonBody(req, opts.maxBodyBytes);
+        const entry = await service.createRound(body);
+        return sendJson(res, 201, service.view(entry));
+      }
+
+      // GET /rounds/latest/seed
+      if (parts.length === 3 && parts[1] === 'latest' && parts[2] === 'seed') {
+        if (req.method !== 'GET') throw new HttpError(405, 'method not allowed');
+        const latest = service.latest();
+        if (!latest) throw new HttpError(404, 'no finalized round yet');
+        return sendJson(res, 200, { round_id: latest.round_id, R_round: latest.R_round, timestamp: latest.timestamp });
+      }
+
+      const roundId = parts[1];
+
+      // GET /rounds/:id
+      if (parts.length === 2) {
+        if (req.method !== 'GET') throw new HttpError(405, 'method not allowed');
+        return sendJson(res, 200, service.describe(roundId));
+      }
+
+      // POST /rounds/:id/(commit|reveal|finalize)
+      if (parts.length === 3) {
+        if (req.method !== 'POST') throw new HttpError(405, 'method not allowed');
+        const body = await readJsonBody(req, opts.maxBodyBytes);
+        let entry;
+        if (parts[2] === 'commit') entry = await service.commit(roundId, body);
+        else if (parts[2] === 'reveal') entry = await service.reveal(roundId, body);
+        else if (parts[2] === 'finalize') entry = await service.finalize(roundId);
+        else throw new HttpError(404, 'not found');
+        return sendJson(res, 200, service.view(entry));
+      }
+
+      throw new HttpError(404, 'not found');
+    } catch (err) {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) logger.error(`HTTP ${req.method} ${req.url} failed:`, err);
+      return sendJson(res, status, { error: err?.message ?? String(err) }, cors);
+    }
+  });
+
+  server.on('close', () => service.close());
+  return server;
+}
+
+/* ----------------- CLI Entrypoint  ----------------- */
+const __filename = fileURLToPath(import.meta.url);
+if (process.argv[1] === __filename) {
+  const { host, port: configPort } = defaultOptions();
+  const port = Number(process.argv[2]) || configPort;
+  const server = createServer();
+  server.listen(port, host, () => {
+    logger.info(`FLUQ HTTP API listening on http://${host}:${port}`);
+  });
+}
+
+export { createServer, createRoundService, HttpError };
@@ -0,0 +1,306 @@
+// src/token/balanceStore.js
+// ESM version for FLUQ Alpha 1.0
+// Durable FLQ balance store with a per-miner transaction history.
+//
+// State lives in one JSON file ($FLUQ_DATA_DIR/balances.json by default):
+//   { version, next_tx, balances: { minerId: number }, transactions: [ tx, ... ],
+//     next_stake, stakes: { stake_id: stake }, next_event, stake_events: [ event, ... ], burned,
+//     settled_rounds: { round_id: ledger seq }, settled_from }
+// Every credit/debit rewrites the file through a temp file + rename, so a crash
+// leaves either the old or the new state on disk, never a half-written one.
+// Each transaction runs under <file>.lock and starts from the file on disk, so
+// several processes sharing the store (daemon, HTTP server, single runs) never
+// overwrite each other's writes.
+//
+// settled_rounds lists the ledger rounds whose awards and slashing have been
+// applied (src/token/staking.js settleRound); ledger rounds from seq
+// settled_from on that are missing from it are pending settlement. Files
+// written before settlement tracking start tracking at the next settled round.
+// Stakes and their events are kept in the same file so that moving tokens
+// between balance and stake is a single write (see src/token/staking.js).
+//
+// Transaction shape:
+//   { tx_id, type: 'credit'|'debit', kind, miner_id, amount, balance_after, round_id, policy_version, reason, timestamp }
+// kind: 'award' | 'stake_lock' | 'stake_withdraw' | 'slash' | 'slash_share' | null
+// policy_version: the reward policy that produced an award (rewardPolicy.js policyVersion), else null
+
+import fs from 'fs';
+import path from 'path';
+
+import { defaultDataDir } from '../ledger/roundLedger.js';
+import { withFileLock } from '../utils/fileLock.js';
+
+const STATE_VERSION = 1;
+
+function emptyState() {
+  return {
+    version: STATE_VERSION,
+    next_tx: 0,
+    balances: {},
+    transactions: [],
+    next_stake: 0,
+    stakes: {},
+    next_event: 0,
+    stake_events: [],
+    burned: 0,
+    settled_rounds: {},
+    settled_from: 0
+  };
+}
+
+function assertMiner(minerId, fn) {
+  if (typeof minerId !== 'string' || minerId.length === 0) {
+    throw new TypeError(`${fn}: minerId must be a non-empty string`);
+  }
+}
+
+function assertAmount(amount, fn) {
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    throw new TypeError(`${fn}: amount must be a positive finite number`);
+  }
+}
+
+/**
+ * BalanceStore
+ * Synchronous file-backed store; each mutation is applied to a copy of the
+ * state and only becomes visible once the copy has been written to disk.
+ */
+export class BalanceStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - JSON path (default $FLUQ_DATA_DIR/balances.json)
+   */
+  constructor(options = {}) {
+    this.file = options.file || path.join(defaultDataDir(), 'balances.json');
+    this.lockFile = `${this.file}.lock`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this._load();
+  }
+
+  /** Current state, re-read from disk so writes by other processes are seen. */
+  get state() {
+    return this._load();
+  }
+
+  _load() {
+    if (!fs.existsSync(this.file)) return emptyState();
+    const parsed = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    if (!parsed || parsed.version !== STATE_VERSION) {
+      throw new Error(`BalanceStore: unsupported state file version in ${this.file}`);
+    }
+    // Files written before staking existed have no stake fields
+    const state = { ...emptyState(), ...parsed };
+    if (!('settled_rounds' in parsed)) state.settled_from = null;
+    return state;
+  }
+
+  _persist(next) {
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(next, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  /**
+   * transact(fn)
+   * Runs fn(draft, ops) on a fresh copy of the state on disk and persists the copy in one
+   * write, all under the store lock. ops.credit / ops.debit record balance
+   * transactions on the draft; anything fn throws aborts the whole transaction
+   * and nothing is written.
+   * @returns {*} whatever fn returns
+   * @throws {Error} code 'ELOCKED' when another process holds the lock too long
+   */
+  transact(fn) {
+    return withFileLock(this.lockFile, () => this._transact(fn));
+  }
+
+  _transact(fn) {
+    const next = this._load();
+    const move = (type, minerId, amount, meta = {}) => {
+      assertMiner(minerId, `BalanceStore.${type}`);
+      assertAmount(amount, `BalanceStore.${type}`);
+      const prev = Number(next.balances[minerId] || 0);
+      const delta = type === 'debit' ? -amount : amount;
+      if (prev + delta < 0) {
+        throw new Error(`BalanceStore: insufficient balance for '${minerId}' (${prev} < ${amount})`);
+      }
+      next.balances[minerId] = prev + delta;
+      const tx = {
+        tx_id: next.next_tx++,
+        type,
+        kind: meta.kind ?? null,
+        miner_id: minerId,
+        amount,
+        balance_after: next.balances[minerId],
+        round_id: meta.roundId ?? null,
+        policy_version: meta.policyVersion ?? null,
+        reason: meta.reason ?? null,
+        timestamp: new Date().toISOString()
+      };
+      next.transactions.push(tx);
+      return tx;
+    };
+    const ops = {
+      credit: (minerId, amount, meta) => move('credit', minerId, amount, meta),
+      debit: (minerId, amount, meta) => move('debit', minerId, amount, meta),
+      balance: (minerId) => Number(next.balances[minerId] || 0)
+    };
+    const result = fn(next, ops);
+    this._persist(next);
+    return result;
+  }
+
+  /**
+   * _apply(entries)
+   * Apply several credits/debits as one atomic write. Throws (and writes
+   * nothing) if any debit would take a balance below zero.
+   */
+  _apply(entries) {
+    return this.transact((draft, ops) => entries.map(e => ops[e.type](e.minerId, e.amount, e)));
+  }
+
+  /**
+   * credit(minerId, amount, { roundId, reason, kind, policyVersion })
+   * @returns {object} the transaction
+   */
+  credit(minerId, amount, meta = {}) {
+    assertMiner(minerId, 'BalanceStore.credit');
+    assertAmount(amount, 'BalanceStore.credit');
+    return this._apply([{ type: 'credit', minerId, amount, ...meta }])[0];
+  }
+
+  /**
+   * debit(minerId, amount, { roundId, reason })
+   * Throws if the balance would go negative.
+   * @returns {object} the transaction
+   */
+  debit(minerId, amount, meta = {}) {
+    assertMiner(minerId, 'BalanceStore.debit');
+    assertAmount(amount, 'BalanceStore.debit');
+    return this._apply([{ type: 'debit', minerId, amount, ...meta }])[0];
+  }
+
+  /**
+   * applyBatch([{ type, minerId, amount, roundId?, reason?, kind?, policyVersion? }])
+   * All-or-nothing; used to credit every award of a round in one write.
+   * @returns {object[]} transactions
+   */
+  applyBatch(entries) {
+    if (!Array.isArray(entries)) throw new TypeError('BalanceStore.applyBatch: entries must be an array');
+    for (const e of entries) {
+      if (e.type !== 'credit' && e.type !== 'debit') {
+        throw new TypeError(`BalanceStore.applyBatch: unknown type '${e.type}'`);
+      }
+      assertMiner(e.minerId, 'BalanceStore.applyBatch');
+      assertAmount(e.amount, 'BalanceStore.applyBatch');
+    }
+    if (entries.length === 0) return [];
+    return this._apply(entries);
+  }
+
+  /** @returns {number} current balance (0 for unknown miners) */
+  balance(minerId) {
+    return Number(this.state.balances[minerId] || 0);
+  }
+
+  /** @returns {Record<string, number>} copy of all balances */
+  balances() {
+    return { ...this.state.balances };
+  }
+
+  /** @returns {object[]} transactions for one miner, oldest first */
+  history(minerId) {
+    return this.state.transactions.filter(tx => tx.miner_id === minerId);
+  }
+
+  /** @returns {object[]} transactions that reference a round */
+  transactionsForRound(roundId) {
+    return this.state.transactions.filter(tx => tx.round_id === roundId);
+  }
+
+  /** @returns {boolean} whether settleRound has applied this round */
+  isSettled(roundId) {
+    return Object.prototype.hasOwnProperty.call(this.state.settled_rounds, roundId);
+  }
+
+  /**
+   * unsettledRounds(ledger)
+   * Ledger entries (oldest first) whose round has not been settled, e.g.
+   * because the process stopped between the ledger append and settlement.
+   * @returns {object[]} ledger entries { seq, hash, record }
+   */
+  unsettledRounds(ledger) {
+    const { settled_rounds: settled, settled_from: from } = this.state;
+    if (from === null || from === undefined) return [];
+    return ledger.readEntries()
+      .filter(e => e && e.record && e.seq >= from && !Object.prototype.hasOwnProperty.call(settled, e.record.round_id));
+  }
+
+  /**
+   * reconcile(ledger)
+   * Cross-checks round-linked credits against the round ledger:
+   *  - every credit with a round_id must point at a round in the ledger
+   *  - per round and miner, credited totals must equal record.awards
+   *  - every tracked ledger round must have been settled
+   *  - replaying all transactions must reproduce the stored balances
+   *
+   * @param {import('../ledger/roundLedger.js').RoundLedger} ledger
+   * @returns {{ ok: boolean, issues: Array<object> }}
+   */
+  reconcile(ledger) {
+    const state = this.state;
+    const issues = [];
+    const records = new Map(ledger.records().map(r => [r.round_id, r]));
+    const pending = this.unsettledRounds(ledger);
+    const unsettled = new Set(pending.map(e => e.record.round_id));
+    for (const e of pending) issues.push({ type: 'unsettled_round', round_id: e.record.round_id, seq: e.seq });
+
+    // Credited award totals by round -> miner (slash shares and stake withdrawals are not awards)
+    const credited = new Map();
+    for (const tx of state.transactions) {
+      if (tx.type !== 'credit' || !tx.round_id) continue;
+      if (tx.kind && tx.kind !== 'award') continue;
+      if (!records.has(tx.round_id)) {
+        issues.push({ type: 'unknown_round', tx_id: tx.tx_id, round_id: tx.round_id, miner_id: tx.miner_id });
+        continue;
+      }
+      if (!credited.has(tx.round_id)) credited.set(tx.round_id, new Map());
+      const perMiner = credited.get(tx.round_id);
+      perMiner.set(tx.miner_id, (perMiner.get(tx.miner_id) || 0) + tx.amount);
+    }
+
+    for (const [roundId, record] of records) {
+      if (unsettled.has(roundId)) continue;  // reported above
+      const expected = new Map((record.awards || []).filter(a => a.tokens > 0).map(a => [a.node_id, a.tokens]));
+      const actual = credited.get(roundId) || new Map();
+      for (const minerId of new Set([...expected.keys(), ...actual.keys()])) {
+        const want = expected.get(minerId) || 0;
+        const got = actual.get(minerId) || 0;
+        if (want !== got) {
+          issues.push({ type: 'award_mismatch', round_id: roundId, miner_id: minerId, ledger: want, store: got });
+        }
+      }
+    }
+
+    // Replay balances from history
+    const replayed = {};
+    for (const tx of state.transactions) {
+      const delta = tx.type === 'debit' ? -tx.amount : tx.amount;
+      replayed[tx.miner_id] = (replayed[tx.miner_id] || 0) + delta;
+    }
+    for (const minerId of new Set([...Object.keys(replayed), ...Object.keys(state.balances)])) {
+      const want = replayed[minerId] || 0;
+      const got = Number(state.balances[minerId] || 0);
+      if (want !== got) issues.push({ type: 'balance_drift', miner_id: minerId, replayed: want, stored: got });
+    }
+
+    return { ok: issues.length === 0, issues };
+  }
+}
+
+/**
+ * openBalanceStore(options)
+ * Convenience factory mirroring `new BalanceStore(options)`.
+ */
+export function openBalanceStore(options = {}) {
+  return new BalanceStore(options);
+}
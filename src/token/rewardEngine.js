@@ -2,64 +2,95 @@
 // ESM version for FLUQ Alpha 1.0
 // Provides token reward logic and an immutable-style balance updater.
 // Usage (import):
-//   import { computeReward, awardTokensToBalance } from './rewardEngine.js';
+//   import { computeReward, awardTokensToBalance, applySlashing } from './rewardEngine.js';
 // Usage (CLI):
 //   node src/token/rewardEngine.js <score> [minerId]
+//   node src/token/rewardEngine.js balance <minerId>
+//   node src/token/rewardEngine.js history <minerId>
+//   node src/token/rewardEngine.js balances
+//   node src/token/rewardEngine.js reconcile
+//   node src/token/rewardEngine.js settle
+//   node src/token/rewardEngine.js policy
+//   node src/token/rewardEngine.js stake <minerId> <amount>
+//   node src/token/rewardEngine.js unstake <stakeId>
+//   node src/token/rewardEngine.js withdraw <stakeId>
+//   node src/token/rewardEngine.js stakes <minerId>
 //
 // Node: requires Node 14+ (for ESM). package.json should contain: "type": "module"
 
 import { fileURLToPath } from 'url';
 import path from 'path';
 
+import { openBalanceStore } from './balanceStore.js';
+import { lockStake, requestUnlock, withdrawStake, stakeOf, stakesOf, stakeEvents, settleRound, settlePendingRounds } from './staking.js';
+import { validatePolicy, bracketFor, allocateRewards, loadRewardPolicy, policyVersion } from './rewardPolicy.js';
+import { openLedger } from '../ledger/roundLedger.js';
+import { getConfig } from '../config/config.js';
+
 'use strict';
 
 /**
  * Compute token reward given a uniqueness score (0-100).
  *
- * Rules:
+ * Rules (default bracket policy, src/token/rewardPolicy.js):
  *   score > 80  -> 5 FLUQ tokens
  *   50 <= score <= 80 -> 3 FLUQ tokens
  *   score < 50  -> 1 FLUQ token
+ * Without a policy the configured one is used (reward.policy / reward.policy_file),
+ * so the same table applies as in rounds. Pool policies have no per-score
+ * reward; use allocate() for those.
  *
  * Returns an object describing the award.
  *
  * @param {number} score - Uniqueness score (0..100).
- * @returns {{ score: number, tokens: number, category: string, reason: string }}
+ * @param {object} [policy] - bracket policy (default loadRewardPolicy())
+ * @returns {{ score: number, tokens: number, category: string, reason: string, policy_version: string }}
  */
-export function computeReward(score) {
+export function computeReward(score, policy = loadRewardPolicy()) {
   if (typeof score !== 'number' || Number.isNaN(score)) {
     throw new TypeError('computeReward: score must be a valid number');
   }
+  const p = validatePolicy(policy);
+  if (p.type !== 'brackets') {
+    throw new TypeError(`computeReward: policy '${p.name}' is a ${p.type} policy; per-score rewards need a bracket policy (use allocate())`);
+  }
 
   // Clamp to [0,100]
   const s = Math.max(0, Math.min(100, Math.round(score)));
-
-  let tokens;
-  let category;
-  let reason;
-
-  if (s > 80) {
-    tokens = 5;
-    category = 'High Entropy';
-    reason = 'Score above 80: highest reward bracket';
-  } else if (s >= 50) {
-    tokens = 3;
-    category = 'Medium Entropy';
-    reason = 'Score between 50 and 80: medium reward bracket';
-  } else {
-    tokens = 1;
-    category = 'Low Entropy';
-    reason = 'Score below 50: baseline reward';
-  }
+  const b = bracketFor(p, s);
 
   return {
     score: s,
-    tokens,
-    category,
-    reason
+    tokens: b.tokens,
+    category: b.category || null,
+    reason: b.reason || `bracket >= ${b.min}`,
+    policy_version: policyVersion(p)
   };
 }
 
+/**
+ * Allocate one round's awards under a reward policy.
+ * See allocateRewards() in src/token/rewardPolicy.js; awards carry policy_version.
+ *
+ * @param {Array<{ node_id: string, score: number, eligible?: boolean }>} contributions
+ * @param {{ policy?: object, roundIndex?: number }} [options]
+ */
+export function allocate(contributions, options = {}) {
+  return allocateRewards(contributions, options);
+}
+
+/**
+ * Refuse miner ids that are not bound to a key in the node registry
+ * (src/identity/nodeRegistry.js). Without a registry any id is accepted.
+ * @returns {string|null} registered public key (hex), or null without a registry
+ */
+function requireIdentity(fn, minerId, registry) {
+  if (!registry) return null;
+  const key = registry.publicKeyOf(minerId);
+  if (!key) throw new Error(`${fn}: miner '${minerId}' is not a registered node`);
+  return key;
+}
+
 /**
  * Award tokens to a miner in an in-memory balances object (immutable-style).
  * Does NOT persist to disk. Returns a new balances object with the miner's balance updated.
@@ -67,18 +98,22 @@ export function computeReward(score) {
  * @param {string} minerId - unique id for miner
  * @param {Record<string, number>} balances - existing balances { minerId: number, ... }
  * @param {number} score - uniqueness score (0..100)
+ * @param {{ registry?: import('../identity/nodeRegistry.js').NodeRegistry, policy?: object }} [opts] - with a
+ *   registry, minerId must be a registered node and meta.public_key names its key;
+ *   policy defaults to the configured one (see computeReward)
  * @returns {{ updatedBalances: Record<string, number>, awarded: number, meta: object }}
  */
-export function awardTokensToBalance(minerId, balances = {}, score) {
+export function awardTokensToBalance(minerId, balances = {}, score, opts = {}) {
   if (typeof minerId !== 'string' || minerId.length === 0) {
     throw new TypeError('awardTokensToBalance: minerId must be a non-empty string');
   }
+  const publicKey = requireIdentity('awardTokensToBalance', minerId, opts.registry);
 
   if (typeof balances !== 'object' || balances === null) {
     throw new TypeError('awardTokensToBalance: balances must be an object (or omitted)');
   }
 
-  const result = computeReward(score);
+  const result = computeReward(score, opts.policy ?? loadRewardPolicy());
   const awarded = result.tokens;
 
   // clone balances to avoid mutating input (immutable style)
@@ -90,10 +125,55 @@ export function awardTokensToBalance(minerId, balances = {}, score) {
   return {
     updatedBalances,
     awarded,
+    meta: publicKey ? { ...result, public_key: publicKey } : result
+  };
+}
+
+/**
+ * Award tokens to a miner in a persistent BalanceStore.
+ * Same reward rules as awardTokensToBalance, but the credit is written to disk
+ * as an award linked to the round and the policy version that produced it.
+ *
+ * @param {import('./balanceStore.js').BalanceStore} store
+ * @param {string} minerId
+ * @param {number} score - uniqueness score (0..100)
+ * @param {{ roundId?: string, registry?: import('../identity/nodeRegistry.js').NodeRegistry, policy?: object }} [opts]
+ * @returns {{ awarded: number, balance: number, tx: object, meta: object }}
+ */
+export function awardTokens(store, minerId, score, opts = {}) {
+  if (!store || typeof store.credit !== 'function') {
+    throw new TypeError('awardTokens: store must be a BalanceStore');
+  }
+  requireIdentity('awardTokens', minerId, opts.registry);
+  const result = computeReward(score, opts.policy ?? loadRewardPolicy());
+  const tx = store.credit(minerId, result.tokens, {
+    kind: 'award',
+    roundId: opts.roundId ?? null,
+    policyVersion: result.policy_version,
+    reason: result.reason
+  });
+  return {
+    awarded: result.tokens,
+    balance: tx.balance_after,
+    tx,
     meta: result
   };
 }
 
+/**
+ * Apply slashing events to a persistent BalanceStore in one atomic write.
+ * Stakes are slashed first (src/token/staking.js); amount-based events take
+ * whatever the stake cannot cover from the balance.
+ * @param {'burn'|'redistribute'} [options.destination='burn']
+ * @returns {object[]} what was slashed per event: { node_id, reason, from_stake, from_balance }
+ */
+export function applySlashing(store, events = [], options = {}) {
+  if (!store || typeof store.transact !== 'function') {
+    throw new TypeError('applySlashing: store must be a BalanceStore');
+  }
+  return settleRound(store, { round_id: null, awards: [], slashing: events }, options).slashed;
+}
+
 /**
  * Convenience helper: pretty-print function for CLI output.
  * @param {object} obj
@@ -115,10 +195,80 @@ if (process.argv[1] === __filename) {
       const argv = process.argv.slice(2);
       if (argv.length === 0) {
         console.log('Usage: node src/token/rewardEngine.js <score> [minerId]');
+        console.log('       node src/token/rewardEngine.js <balance|history> <minerId>');
+        console.log('       node src/token/rewardEngine.js <balances|reconcile|settle|policy>');
+        console.log('       node src/token/rewardEngine.js stake <minerId> <amount>');
+        console.log('       node src/token/rewardEngine.js <unstake|withdraw> <stakeId>');
+        console.log('       node src/token/rewardEngine.js stakes <minerId>');
         console.log('Example: node src/token/rewardEngine.js 87 miner1');
         process.exit(0);
       }
 
+      // Store-backed queries
+      if (argv[0] === 'balance' || argv[0] === 'history') {
+        if (!argv[1]) {
+          console.error(`Usage: node src/token/rewardEngine.js ${argv[0]} <minerId>`);
+          process.exit(2);
+        }
+        const store = openBalanceStore();
+        if (argv[0] === 'balance') prettyPrint({ minerId: argv[1], balance: store.balance(argv[1]) });
+        else prettyPrint({ minerId: argv[1], transactions: store.history(argv[1]) });
+        process.exit(0);
+      }
+      if (argv[0] === 'balances') {
+        prettyPrint(openBalanceStore().balances());
+        process.exit(0);
+      }
+      // Stake lifecycle
+      if (argv[0] === 'stake') {
+        const amount = Number(argv[2]);
+        if (!argv[1] || !(amount > 0)) {
+          console.error('Usage: node src/token/rewardEngine.js stake <minerId> <amount>');
+          process.exit(2);
+        }
+        prettyPrint(lockStake(openBalanceStore(), argv[1], amount));
+        process.exit(0);
+      }
+      if (argv[0] === 'unstake' || argv[0] === 'withdraw') {
+        if (!argv[1]) {
+          console.error(`Usage: node src/token/rewardEngine.js ${argv[0]} <stakeId>`);
+          process.exit(2);
+        }
+        const store = openBalanceStore();
+        prettyPrint(argv[0] === 'unstake' ? requestUnlock(store, argv[1]) : withdrawStake(store, argv[1]));
+        process.exit(0);
+      }
+      if (argv[0] === 'stakes') {
+        if (!argv[1]) {
+          console.error('Usage: node src/token/rewardEngine.js stakes <minerId>');
+          process.exit(2);
+        }
+        const store = openBalanceStore();
+        prettyPrint({
+          minerId: argv[1],
+          active: stakeOf(store, argv[1]),
+          stakes: stakesOf(store, argv[1]),
+          events: stakeEvents(store, argv[1])
+        });
+        process.exit(0);
+      }
+      if (argv[0] === 'policy') {
+        const policy = loadRewardPolicy();
+        prettyPrint({ policy_version: policyVersion(policy), policy });
+        process.exit(0);
+      }
+      if (argv[0] === 'reconcile') {
+        const report = openBalanceStore().reconcile(openLedger());
+        prettyPrint(report);
+        process.exit(report.ok ? 0 : 3);
+      }
+      if (argv[0] === 'settle') {
+        const destination = getConfig().staking.slash_destination;
+        const settled = settlePendingRounds(openBalanceStore(), openLedger(), { destination });
+        prettyPrint({ settled: settled.map(p => ({ round_id: p.round_id, seq: p.seq, ...p.settlement })) });
+        process.exit(0);
+      }
+
       const scoreRaw = argv[0];
       const minerId = argv[1] || 'test-miner';
 
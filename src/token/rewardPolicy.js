@@ -0,0 +1,215 @@
+// src/token/rewardPolicy.js
+// ESM version for FLUQ Alpha 1.0
+// Reward policies and emission schedules for round awards.
+//
+// A policy is plain JSON (built-in default below, or a file named by
+// FLUQ_REWARD_POLICY):
+//   {
+//     "name": "pool-halving", "version": 2,
+//     "type": "brackets" | "pool",
+//     "brackets": [ { "min": 81, "tokens": 5, "category": "High Entropy" }, ... ],  // type=brackets
+//     "emission": { "schedule": "constant" | "halving" | "decay",
+//                   "initial": 100, "halvingInterval": 1000, "decayRate": 0.001, "floor": 0 },
+//     "perMinerCap": 10                                                            // optional
+//   }
+// brackets: each contributor gets the tokens of the highest bracket its score
+//           reaches, scaled by emission(round) / emission.initial.
+// pool:     emission(round) tokens are shared in proportion to score.
+// Capped tokens are not redistributed; they are reported as unallocated.
+//
+// Every allocation carries policy_version = "<name>@<version>#<hash>", where
+// hash covers the whole policy, so an award can always be traced to the exact
+// rules that produced it.
+
+import fs from 'fs';
+
+import { sha256, canonicalJson } from '../utils/hash.js';
+import { getConfig } from '../config/config.js';
+
+const TOKEN_DECIMALS = 8;
+const SCHEDULES = ['constant', 'halving', 'decay'];
+
+/** The original three brackets: >80 -> 5, 50..80 -> 3, <50 -> 1. */
+export const DEFAULT_POLICY = Object.freeze({
+  name: 'brackets',
+  version: 1,
+  type: 'brackets',
+  brackets: [
+    { min: 81, tokens: 5, category: 'High Entropy', reason: 'Score above 80: highest reward bracket' },
+    { min: 50, tokens: 3, category: 'Medium Entropy', reason: 'Score between 50 and 80: medium reward bracket' },
+    { min: 0, tokens: 1, category: 'Low Entropy', reason: 'Score below 50: baseline reward' }
+  ],
+  emission: { schedule: 'constant', initial: 1 }
+});
+
+/** Round down to token precision so a round never emits more than planned. */
+function floorTokens(x) {
+  const f = 10 ** TOKEN_DECIMALS;
+  return Math.floor(x * f + 1e-6) / f;
+}
+
+function isNonNegative(x) {
+  return typeof x === 'number' && Number.isFinite(x) && x >= 0;
+}
+
+/**
+ * validatePolicy(policy)
+ * @returns {object} normalized policy (brackets sorted high to low)
+ * @throws {TypeError} on the first invalid field
+ */
+export function validatePolicy(policy) {
+  if (!policy || typeof policy !== 'object') throw new TypeError('reward policy must be an object');
+  const name = policy.name;
+  if (typeof name !== 'string' || !name) throw new TypeError('reward policy: name must be a non-empty string');
+  if (!Number.isInteger(policy.version) || policy.version < 1) {
+    throw new TypeError(`reward policy '${name}': version must be a positive integer`);
+  }
+  if (policy.type !== 'brackets' && policy.type !== 'pool') {
+    throw new TypeError(`reward policy '${name}': type must be 'brackets' or 'pool'`);
+  }
+
+  const emission = { schedule: 'constant', initial: 1, ...(policy.emission || {}) };
+  if (!SCHEDULES.includes(emission.schedule)) {
+    throw new TypeError(`reward policy '${name}': emission.schedule must be one of ${SCHEDULES.join(', ')}`);
+  }
+  if (!isNonNegative(emission.initial)) throw new TypeError(`reward policy '${name}': emission.initial must be >= 0`);
+  if (emission.schedule === 'halving' && !(Number.isInteger(emission.halvingInterval) && emission.halvingInterval > 0)) {
+    throw new TypeError(`reward policy '${name}': emission.halvingInterval must be a positive integer`);
+  }
+  if (emission.schedule === 'decay' && !(emission.decayRate > 0 && emission.decayRate < 1)) {
+    throw new TypeError(`reward policy '${name}': emission.decayRate must be in (0, 1)`);
+  }
+  if (emission.floor !== undefined && !isNonNegative(emission.floor)) {
+    throw new TypeError(`reward policy '${name}': emission.floor must be >= 0`);
+  }
+
+  let brackets;
+  if (policy.type === 'brackets') {
+    if (!Array.isArray(policy.brackets) || policy.brackets.length === 0) {
+      throw new TypeError(`reward policy '${name}': brackets must be a non-empty array`);
+    }
+    brackets = policy.brackets.map((b, i) => {
+      if (!isNonNegative(b.min) || !isNonNegative(b.tokens)) {
+        throw new TypeError(`reward policy '${name}': brackets[${i}] needs numeric min and tokens >= 0`);
+      }
+      return { ...b };
+    }).sort((a, b) => b.min - a.min);
+  }
+
+  if (policy.perMinerCap !== undefined && policy.perMinerCap !== null && !isNonNegative(policy.perMinerCap)) {
+    throw new TypeError(`reward policy '${name}': perMinerCap must be >= 0`);
+  }
+
+  return {
+    ...policy,
+    emission,
+    ...(brackets ? { brackets } : {}),
+    perMinerCap: policy.perMinerCap ?? null
+  };
+}
+
+/** "<name>@<version>#<first 12 hex of sha256(canonical policy)>" */
+export function policyVersion(policy) {
+  return `${policy.name}@${policy.version}#${sha256(canonicalJson(policy)).slice(0, 12)}`;
+}
+
+/**
+ * loadRewardPolicy(file)
+ * Reads and validates a JSON policy; without a file the configured
+ * reward.policy or reward.policy_file is used, and without either
+ * the default bracket policy.
+ */
+export function loadRewardPolicy(file) {
+  if (file === undefined) {
+    // reward.policy (inline) wins over reward.policy_file (FLUQ_REWARD_POLICY)
+    const { policy, policy_file: policyFile } = getConfig().reward;
+    if (policy) return validatePolicy(policy);
+    file = policyFile;
+  }
+  if (!file) return validatePolicy(DEFAULT_POLICY);
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`loadRewardPolicy: cannot read ${file}: ${err.message}`);
+  }
+  return validatePolicy(parsed);
+}
+
+/**
+ * emissionForRound(emission, roundIndex)
+ * constant: initial
+ * halving:  initial / 2^floor(roundIndex / halvingInterval)
+ * decay:    initial * (1 - decayRate)^roundIndex
+ * Never below emission.floor (default 0).
+ */
+export function emissionForRound(emission, roundIndex = 0) {
+  const r = Math.max(0, Math.floor(roundIndex));
+  let value = emission.initial;
+  if (emission.schedule === 'halving') value = emission.initial / 2 ** Math.floor(r / emission.halvingInterval);
+  else if (emission.schedule === 'decay') value = emission.initial * (1 - emission.decayRate) ** r;
+  return Math.max(emission.floor || 0, value);
+}
+
+/** Highest bracket whose min the score reaches (the last bracket when none does). */
+export function bracketFor(policy, score) {
+  return policy.brackets.find(b => score >= b.min) || policy.brackets[policy.brackets.length - 1];
+}
+
+/**
+ * allocateRewards(contributions, options)
+ * @param {Array<{ node_id: string, score: number, eligible?: boolean }>} contributions
+ *   ineligible contributors (e.g. flagged by the cheat detector) get 0
+ * @param {object} [options]
+ * @param {object} [options.policy] - validated policy (default loadRewardPolicy())
+ * @param {number} [options.roundIndex=0] - position of the round in the ledger, drives emission
+ * @returns {{ policy_version, policy_type, round_index, emission, awards: Array<object>, total, unallocated }}
+ */
+export function allocateRewards(contributions, options = {}) {
+  const policy = options.policy ? validatePolicy(options.policy) : loadRewardPolicy();
+  const version = policyVersion(policy);
+  const roundIndex = options.roundIndex ?? 0;
+  const emission = emissionForRound(policy.emission, roundIndex);
+  const cap = policy.perMinerCap;
+
+  const clampScore = (s) => Math.max(0, Math.min(100, Math.round(Number(s) || 0)));
+  const eligible = contributions.filter(c => c.eligible !== false);
+  const totalScore = eligible.reduce((sum, c) => sum + clampScore(c.score), 0);
+
+  let planned = 0;
+  const awards = contributions.map(c => {
+    const score = clampScore(c.score);
+    let tokens = 0;
+    let reason;
+    if (c.eligible === false) {
+      reason = 'not eligible this round';
+    } else if (policy.type === 'pool') {
+      tokens = totalScore > 0 ? emission * (score / totalScore) : 0;
+      reason = `share ${score}/${totalScore} of ${emission} FLQ pool`;
+    } else {
+      const b = bracketFor(policy, score);
+      const scale = policy.emission.initial > 0 ? emission / policy.emission.initial : 0;
+      tokens = b.tokens * scale;
+      reason = b.reason || `bracket >= ${b.min}`;
+    }
+    planned += tokens;
+    if (cap !== null && tokens > cap) {
+      tokens = cap;
+      reason += ` (capped at ${cap})`;
+    }
+    return { node_id: c.node_id, score, tokens: floorTokens(tokens), reason, policy_version: version };
+  });
+
+  const total = floorTokens(awards.reduce((sum, a) => sum + a.tokens, 0));
+  // A pool is emitted in full unless shares are capped or nobody is eligible
+  const intended = policy.type === 'pool' ? emission : planned;
+  return {
+    policy_version: version,
+    policy_type: policy.type,
+    round_index: roundIndex,
+    emission: floorTokens(emission),
+    awards,
+    total,
+    unallocated: floorTokens(Math.max(0, intended - total))
+  };
+}
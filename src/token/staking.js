@@ -0,0 +1,328 @@
+// src/token/staking.js
+// ESM version for FLUQ Alpha 1.0
+// Stakes, their lifecycle and slashing, on top of the BalanceStore.
+//
+// Lifecycle:
+//   lockStake()      balance -> stake                       status 'locked'
+//   requestUnlock()  starts the unbonding period            status 'unlocking'
+//   withdrawStake()  after unbonding, remainder -> balance  status 'withdrawn'
+// Locked and unlocking stakes can both be slashed, so leaving right after
+// misbehaving does not escape the penalty.
+//
+// Stake shape (in the balance store state, keyed by stake_id):
+//   { stake_id, miner_id, amount, slashed, status, round_id, locked_at, unlock_at, withdrawn_at }
+// Event shape (state.stake_events):
+//   { event_id, type: 'lock'|'unlock'|'withdraw'|'slash'|'slash_settlement', stake_id, miner_id, amount,
+//     round_id, reason, destination: 'burn'|'redistribute'|null, beneficiaries, timestamp }
+//
+// Slashed tokens are burned (added to state.burned) or shared equally among
+// the round's honest participants.
+
+import { openBalanceStore } from './balanceStore.js';
+
+export const STAKE_STATUS = Object.freeze({
+  LOCKED: 'locked',
+  UNLOCKING: 'unlocking',
+  WITHDRAWN: 'withdrawn'
+});
+
+export const DEFAULT_UNBONDING_MS = 24 * 60 * 60 * 1000;
+
+/** Share of the stake taken for misbehavior found after the reveal phase. */
+export const DEFAULT_SLASH_FRACTIONS = Object.freeze({
+  commit_mismatch: 0.5,   // revealed values that do not open the commitment
+  manipulation: 1         // flagged by the cheat detector for anything but collector health or signatures
+});
+
+const TOKEN_DECIMALS = 8;
+
+function floorTokens(x) {
+  const f = 10 ** TOKEN_DECIMALS;
+  return Math.floor(x * f + 1e-6) / f;
+}
+
+function remaining(stake) {
+  return floorTokens(stake.amount - stake.slashed);
+}
+
+function pushEvent(draft, event) {
+  const ev = {
+    event_id: draft.next_event++,
+    stake_id: null,
+    amount: 0,
+    round_id: null,
+    reason: null,
+    destination: null,
+    beneficiaries: [],
+    ...event,
+    timestamp: new Date().toISOString()
+  };
+  draft.stake_events.push(ev);
+  return ev;
+}
+
+function activeStakes(state, minerId) {
+  return Object.values(state.stakes)
+    .filter(s => s.miner_id === minerId && s.status !== STAKE_STATUS.WITHDRAWN)
+    // locked stakes are slashed before unlocking ones, oldest first
+    .sort((a, b) => (a.status === b.status ? a.locked_at.localeCompare(b.locked_at) : a.status === STAKE_STATUS.LOCKED ? -1 : 1));
+}
+
+/**
+ * lockStake(store, minerId, amount, { roundId })
+ * Moves `amount` from the miner's balance into a new locked stake.
+ * @returns {object} the stake
+ */
+export function lockStake(store, minerId, amount, { roundId = null } = {}) {
+  return store.transact((draft, ops) => {
+    ops.debit(minerId, amount, { kind: 'stake_lock', reason: 'stake lock' });
+    const stake = {
+      stake_id: `stake-${draft.next_stake++}`,
+      miner_id: minerId,
+      amount,
+      slashed: 0,
+      status: STAKE_STATUS.LOCKED,
+      round_id: roundId,
+      locked_at: new Date().toISOString(),
+      unlock_at: null,
+      withdrawn_at: null
+    };
+    draft.stakes[stake.stake_id] = stake;
+    pushEvent(draft, { type: 'lock', stake_id: stake.stake_id, miner_id: minerId, amount, round_id: roundId });
+    return stake;
+  });
+}
+
+/**
+ * requestUnlock(store, stakeId, { unbondingMs, now })
+ * @returns {object} the stake, now 'unlocking'
+ */
+export function requestUnlock(store, stakeId, { unbondingMs = DEFAULT_UNBONDING_MS, now = Date.now() } = {}) {
+  return store.transact((draft) => {
+    const stake = draft.stakes[stakeId];
+    if (!stake) throw new Error(`requestUnlock: unknown stake '${stakeId}'`);
+    if (stake.status !== STAKE_STATUS.LOCKED) {
+      throw new Error(`requestUnlock: stake '${stakeId}' is ${stake.status}`);
+    }
+    stake.status = STAKE_STATUS.UNLOCKING;
+    stake.unlock_at = new Date(now + unbondingMs).toISOString();
+    pushEvent(draft, { type: 'unlock', stake_id: stakeId, miner_id: stake.miner_id, amount: remaining(stake) });
+    return { ...stake };
+  });
+}
+
+/**
+ * withdrawStake(store, stakeId, { now })
+ * Returns what is left of an unlocking stake to the balance once unbonding has passed.
+ * @returns {object} the stake, now 'withdrawn'
+ */
+export function withdrawStake(store, stakeId, { now = Date.now() } = {}) {
+  return store.transact((draft, ops) => {
+    const stake = draft.stakes[stakeId];
+    if (!stake) throw new Error(`withdrawStake: unknown stake '${stakeId}'`);
+    if (stake.status !== STAKE_STATUS.UNLOCKING) {
+      throw new Error(`withdrawStake: stake '${stakeId}' is ${stake.status}, request an unlock first`);
+    }
+    if (now < Date.parse(stake.unlock_at)) {
+      throw new Error(`withdrawStake: stake '${stakeId}' unbonds at ${stake.unlock_at}`);
+    }
+    const left = remaining(stake);
+    if (left > 0) ops.credit(stake.miner_id, left, { kind: 'stake_withdraw', reason: `stake withdraw ${stakeId}` });
+    stake.status = STAKE_STATUS.WITHDRAWN;
+    stake.withdrawn_at = new Date(now).toISOString();
+    pushEvent(draft, { type: 'withdraw', stake_id: stakeId, miner_id: stake.miner_id, amount: left });
+    return { ...stake };
+  });
+}
+
+/** @returns {number} slashable stake (locked + unlocking, after earlier slashes) */
+export function stakeOf(store, minerId) {
+  return floorTokens(activeStakes(store.state, minerId).reduce((sum, s) => sum + remaining(s), 0));
+}
+
+/** @returns {object[]} all stakes of a miner, any status */
+export function stakesOf(store, minerId) {
+  return Object.values(store.state.stakes).filter(s => s.miner_id === minerId);
+}
+
+/** @returns {object[]} stake events, optionally for one miner */
+export function stakeEvents(store, minerId = null) {
+  return store.state.stake_events.filter(e => minerId === null || e.miner_id === minerId);
+}
+
+/**
+ * Take up to `amount` from a miner's active stakes on the draft state.
+ * @returns {number} amount actually taken
+ */
+function takeFromStakes(draft, minerId, amount, meta) {
+  let left = amount;
+  for (const stake of activeStakes(draft, minerId)) {
+    if (left <= 0) break;
+    const take = floorTokens(Math.min(left, remaining(stake)));
+    if (take <= 0) continue;
+    stake.slashed = floorTokens(stake.slashed + take);
+    left = floorTokens(left - take);
+    pushEvent(draft, { type: 'slash', stake_id: stake.stake_id, miner_id: minerId, amount: take, ...meta });
+  }
+  return floorTokens(amount - left);
+}
+
+/**
+ * slashingEventsForRound({ roundId, rejected, cheat, fractions })
+ * Misbehavior seen by the coordinator and the cheat detector, as slashing
+ * events in the same shape as src/detector/withholdingDetector.js emits.
+ * @returns {object[]}
+ */
+export function slashingEventsForRound({ roundId, rejected = [], cheat = {}, fractions = DEFAULT_SLASH_FRACTIONS } = {}) {
+  const events = [];
+  for (const r of rejected) {
+    if (r.phase === 'reveal' && /does not match commit/.test(r.reason)) {
+      events.push({ type: 'slash', reason: 'commit_mismatch', node_id: r.node_id, round_id: roundId, fraction: fractions.commit_mismatch, evidence: { reason: r.reason } });
+    }
+  }
+  for (const [nodeId, res] of Object.entries(cheat)) {
+    // Health failures are not deliberate, and a bad signature proves nothing about the registered node
+    const checks = [...new Set((res.reasons || []).map(x => x.check).filter(c => c !== 'health' && c !== 'signature'))];
+    if (res.flagged && checks.length) {
+      events.push({ type: 'slash', reason: 'manipulation', node_id: nodeId, round_id: roundId, fraction: fractions.manipulation, evidence: { checks } });
+    }
+  }
+  return events;
+}
+
+/**
+ * settleRound(store, record, { destination, seq })
+ * One atomic write per round:
+ *  1. credit record.awards
+ *  2. apply record.slashing: `fraction` events take that share of the
+ *     miner's stake; `amount` events take FLQ from the stake, and whatever
+ *     the stake cannot cover from the balance (never below zero)
+ *  3. burn the slashed total, or share it among honest participants
+ *     (revealed, not flagged, not slashed)
+ *  4. mark the round settled, so settling it again changes nothing
+ *
+ * @param {'burn'|'redistribute'} [options.destination='burn']
+ * @param {number|null} [options.seq] - ledger seq of the round
+ * @returns {{ credits: object[], slashed: object[], burned: number, redistributed: object[], already_settled: boolean }}
+ */
+export function settleRound(store, record, { destination = 'burn', seq = null } = {}) {
+  if (destination !== 'burn' && destination !== 'redistribute') {
+    throw new TypeError("settleRound: destination must be 'burn' or 'redistribute'");
+  }
+  const roundId = record.round_id;
+
+  return store.transact((draft, ops) => {
+    if (roundId && Object.prototype.hasOwnProperty.call(draft.settled_rounds, roundId)) {
+      return { credits: [], slashed: [], burned: 0, redistributed: [], already_settled: true };
+    }
+
+    const credits = (record.awards || [])
+      .filter(a => a.tokens > 0)
+      .map(a => ops.credit(a.node_id, a.tokens, {
+        kind: 'award',
+        roundId,
+        policyVersion: a.policy_version ?? null,
+        reason: 'round award'
+      }));
+
+    const slashed = [];
+    const stakeAtStart = new Map();
+    for (const ev of record.slashing || []) {
+      if (!stakeAtStart.has(ev.node_id)) {
+        stakeAtStart.set(ev.node_id, activeStakes(draft, ev.node_id).reduce((sum, s) => sum + remaining(s), 0));
+      }
+      const want = ev.fraction !== undefined
+        ? floorTokens(stakeAtStart.get(ev.node_id) * ev.fraction)
+        : floorTokens(ev.amount || 0);
+      if (want <= 0) continue;
+      const evRound = ev.round_id ?? roundId;
+      const fromStake = takeFromStakes(draft, ev.node_id, want, { round_id: evRound, reason: ev.reason, destination });
+      let fromBalance = 0;
+      if (ev.fraction === undefined && fromStake < want) {
+        fromBalance = floorTokens(Math.min(want - fromStake, ops.balance(ev.node_id)));
+        if (fromBalance > 0) ops.debit(ev.node_id, fromBalance, { kind: 'slash', roundId: evRound, reason: `slash: ${ev.reason}` });
+      }
+      if (fromStake + fromBalance > 0) {
+        slashed.push({ node_id: ev.node_id, reason: ev.reason, from_stake: fromStake, from_balance: fromBalance });
+      }
+    }
+
+    const total = floorTokens(slashed.reduce((sum, s) => sum + s.from_stake + s.from_balance, 0));
+    const offenders = new Set(slashed.map(s => s.node_id));
+    const honest = (record.awards || [])
+      .map(a => a.node_id)
+      .filter(id => !offenders.has(id) && !(record.cheat && record.cheat[id] && record.cheat[id].flagged));
+
+    let burned = 0;
+    const redistributed = [];
+    if (total > 0 && destination === 'redistribute' && honest.length > 0) {
+      const share = floorTokens(total / honest.length);
+      for (const id of honest) {
+        if (share > 0) redistributed.push(ops.credit(id, share, { kind: 'slash_share', roundId, reason: 'slash redistribution' }));
+      }
+      burned = floorTokens(total - share * honest.length);  // rounding dust
+    } else {
+      burned = total;
+    }
+    draft.burned = floorTokens((draft.burned || 0) + burned);
+    if (total > 0) {
+      pushEvent(draft, {
+        type: 'slash_settlement',
+        miner_id: null,
+        amount: total,
+        round_id: roundId,
+        destination: redistributed.length ? 'redistribute' : 'burn',
+        beneficiaries: redistributed.map(tx => tx.miner_id)
+      });
+    }
+    if (roundId) {
+      draft.settled_rounds[roundId] = seq;
+      if (draft.settled_from === null && seq !== null) draft.settled_from = seq;
+    }
+
+    return { credits, slashed, burned, redistributed, already_settled: false };
+  });
+}
+
+/**
+ * settlePendingRounds(store, ledger, { destination })
+ * Settles, oldest first, every ledger round the store has not settled yet
+ * (see BalanceStore.unsettledRounds), e.g. after a crash between the ledger
+ * append and settlement.
+ * @returns {Array<{ round_id: string, seq: number, settlement: object }>}
+ */
+export function settlePendingRounds(store, ledger, { destination = 'burn' } = {}) {
+  return store.unsettledRounds(ledger).map(e => ({
+    round_id: e.record.round_id,
+    seq: e.seq,
+    settlement: settleRound(store, e.record, { destination, seq: e.seq })
+  }));
+}
+
+/**
+ * minimumStakeCheck(store, minStake)
+ * Admission check for RoundCoordinator({ admit }): nodes need at least
+ * minStake FLQ locked or unlocking to commit. minStake <= 0 admits everyone.
+ * @returns {((nodeId: string) => string|null)|null}
+ */
+export function minimumStakeCheck(store, minStake) {
+  if (!(minStake > 0)) return null;
+  return (nodeId) => {
+    const have = stakeOf(store, nodeId);
+    return have >= minStake ? null : `stake below minimum (${have} < ${minStake} FLQ)`;
+  };
+}
+
+/** Convenience: stake helpers bound to the default store. */
+export function openStaking(options = {}) {
+  const store = options.store || openBalanceStore(options);
+  return {
+    store,
+    lock: (minerId, amount, meta) => lockStake(store, minerId, amount, meta),
+    unlock: (stakeId, opts) => requestUnlock(store, stakeId, opts),
+    withdraw: (stakeId, opts) => withdrawStake(store, stakeId, opts),
+    stakeOf: (minerId) => stakeOf(store, minerId),
+    stakes: (minerId) => stakesOf(store, minerId),
+    events: (minerId) => stakeEvents(store, minerId)
+  };
+}
@@ -0,0 +1,97 @@
+// src/utils/fileLock.js
+// ESM version for FLUQ Alpha 1.0
+// Advisory lock files for data shared by several FLUQ processes (the round
+// ledger, the balance store, the metrics dump). The lock file holds
+// "<pid> <token>" and is created with O_EXCL. A lock whose owner is no longer
+// running is stale, and so is one holding our own pid: the lock is only held
+// while a synchronous fn runs, so such a file was left by an earlier process
+// that had the same pid (node as pid 1 in a container). A stale lock is taken
+// over by renaming it aside, which only one waiter can do; the renamed file is
+// checked before it is deleted, so a fresh lock moved by mistake is put back.
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const RETRY_MS = 10;
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function readLock(lockFile) {
+  try {
+    return fs.readFileSync(lockFile, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+function isStale(content) {
+  const pid = parseInt(content, 10);
+  return Number.isInteger(pid) && pid > 0 && (pid === process.pid || !isAlive(pid));
+}
+
+/** Moves a stale lock aside; false when it changed hands in between. */
+function takeOver(lockFile, content) {
+  const aside = `${lockFile}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+  try {
+    fs.renameSync(lockFile, aside);
+  } catch (e) {
+    if (e.code === 'ENOENT') return false;
+    throw e;
+  }
+  if (readLock(aside) !== content) {
+    // Another waiter took over first and we moved its fresh lock: put it back
+    try {
+      fs.linkSync(aside, lockFile);
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+  }
+  fs.rmSync(aside, { force: true });
+  return true;
+}
+
+/**
+ * withFileLock(lockFile, fn, { timeoutMs })
+ * Runs fn() synchronously while holding lockFile and removes the lock afterwards.
+ * Not reentrant: fn must not take the same lock again.
+ * @returns {*} whatever fn returns
+ * @throws {Error} code 'ELOCKED' when another live process holds the lock past timeoutMs
+ */
+export function withFileLock(lockFile, fn, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  const mine = `${process.pid} ${crypto.randomBytes(8).toString('hex')}`;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, mine, { flag: 'wx' });
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      const content = readLock(lockFile);
+      if (content === null) continue;   // released in between
+      if (isStale(content) && takeOver(lockFile, content)) continue;
+      if (Date.now() > deadline) {
+        throw Object.assign(new Error(`fileLock: ${lockFile} is held by pid ${parseInt(content, 10)}`), { code: 'ELOCKED' });
+      }
+      sleepSync(RETRY_MS);
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    // Only remove the lock if it is still ours
+    if (readLock(lockFile) === mine) fs.rmSync(lockFile, { force: true });
+  }
+}
@@ -1,6 +1,6 @@
 // src/utils/hash.js
 // ESM version
-// Common hashing helpers: SHA-256, Blake2b (if supported), Keccak256 (via js-sha3).
+// Common hashing helpers: SHA-256, SHA-512, Blake2b (if supported), Keccak256 (via js-sha3).
 // Returns hex strings (lowercase).
 
 import crypto from 'crypto';
@@ -9,7 +9,8 @@ let jsKeccak;
 try {
   // Dynamic import fallback for optional dependency
   const keccakPkg = await import('js-sha3');
-  jsKeccak = keccakPkg.keccak256;
+  // js-sha3 is CommonJS: its functions live on the default export
+  jsKeccak = keccakPkg.keccak256 || (keccakPkg.default && keccakPkg.default.keccak256) || null;
 } catch (e) {
   jsKeccak = null;
 }
@@ -31,6 +32,12 @@ function sha256(input) {
   return crypto.createHash('sha256').update(buf).digest('hex');
 }
 
+/** SHA-512 */
+function sha512(input) {
+  const buf = toBuffer(input);
+  return crypto.createHash('sha512').update(buf).digest('hex');
+}
+
 /**
  * Blake2b-512
  * Uses native Node support if available.
@@ -95,12 +102,26 @@ function hashAll(list, algorithm = 'sha256') {
   }
 }
 
+/**
+ * canonicalJson(value)
+ * JSON.stringify with object keys sorted recursively, so equal objects always
+ * hash to the same digest regardless of key insertion order.
+ */
+function canonicalJson(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return '[' + value.map(v => (v === undefined ? 'null' : canonicalJson(v))).join(',') + ']';
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return '{' + keys.map(k => JSON.stringify(k) + ':' + canonicalJson(value[k])).join(',') + '}';
+}
+
 /**
  * ESM Exports
  */
 export {
   sha256,
+  sha512,
   blake2b,
   keccak256,
   hashAll,
+  canonicalJson,
 };
@@ -1,67 +1,341 @@
 // src/utils/logger.js
 // ESM version
-// Simple timestamped logger used across FLUQ code.
-// Supports levels: debug, info, warn, error.
-// Optional: set LOG_FILE environment variable to append logs to file.
+// Structured logger used across FLUQ code.
+// Supports levels: debug, info, warn, error (and silent to turn logging off).
+//
+// Every call becomes one record:
+//   { ts, level, msg, ...bindings, err?, data? }
+// String and number arguments are joined into msg, the first Error becomes
+// `err` (name, message, code, stack, cause) and any other objects go to `data`,
+// so logger.error('Round failed:', err) keeps the whole error.
+//
+// logger.child({ round_id, node_id }) returns a logger that adds those fields
+// to every record it writes; children of children merge their bindings.
+//
+// Console output is JSON lines, or readable text when the stream is a
+// terminal. The optional log file always gets JSON lines, buffered and written
+// asynchronously, and is rotated by size or by day/hour.
+//
+// Environment (read once; configureLogger() changes it at runtime):
+//   LOG_LEVEL      debug | info (default) | warn | error | silent
+//   LOG_FORMAT     json | text for the console (default: text on a TTY, json otherwise)
+//   LOG_FILE       append JSON lines to this file
+//   LOG_ROTATE     size (default) | daily | hourly | none
+//   LOG_MAX_BYTES  size rotation threshold (default 10 MiB)
+//   LOG_MAX_FILES  rotated files kept (default 5)
 
 import fs from 'fs';
 import path from 'path';
+import util from 'util';
 
-const LOG_FILE = process.env.LOG_FILE || null;
+export const LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40, silent: Infinity });
+export const ROTATIONS = Object.freeze(['size', 'daily', 'hourly', 'none']);
+
+const FLUSH_INTERVAL_MS = 100;
+const FLUSH_BYTES = 64 * 1024;
+
+function envOptions(env = process.env) {
+  return {
+    level: env.LOG_LEVEL || 'info',
+    format: env.LOG_FORMAT || null,
+    file: env.LOG_FILE || null,
+    rotate: env.LOG_ROTATE || 'size',
+    maxBytes: Number(env.LOG_MAX_BYTES) || 10 * 1024 * 1024,
+    maxFiles: Number(env.LOG_MAX_FILES) || 5
+  };
+}
+
+let settings = null;
+let threshold = LEVELS.info;
+let sink = null;
+let toStderr = false;
+
+/* -------------------- Records -------------------- */
+
+/**
+ * serializeError(err)
+ * Plain-object form of an Error, own properties (code, issues, ...) and cause included.
+ */
+export function serializeError(err, depth = 0) {
+  if (!(err instanceof Error)) return err;
+  const out = { type: err.name, message: err.message };
+  for (const [k, v] of Object.entries(err)) out[k] = v instanceof Error ? serializeError(v, depth + 1) : v;
+  if (err.stack) out.stack = err.stack;
+  if (err.cause !== undefined && depth < 5) out.cause = serializeError(err.cause, depth + 1);
+  return out;
+}
+
+/** JSON.stringify that survives BigInt, Buffers and circular references. */
+function safeJson(value) {
+  const seen = new WeakSet();
+  return JSON.stringify(value, (key, v) => {
+    if (typeof v === 'bigint') return v.toString();
+    if (v && typeof v === 'object') {
+      if (v.type === 'Buffer' && Array.isArray(v.data)) return Buffer.from(v.data).toString('hex');
+      if (seen.has(v)) return '[Circular]';
+      seen.add(v);
+    }
+    return v;
+  });
+}
+
+function buildRecord(level, bindings, args) {
+  const words = [];
+  const data = [];
+  let err;
+  for (const a of args) {
+    if (a instanceof Error && err === undefined) err = serializeError(a);
+    else if (a instanceof Error) data.push(serializeError(a));
+    else if (a === null || a === undefined || typeof a !== 'object') words.push(String(a));
+    else data.push(a);
+  }
+  const record = { ts: new Date().toISOString(), level, msg: words.join(' '), ...bindings };
+  if (err !== undefined) record.err = err;
+  if (data.length) record.data = data.length === 1 ? data[0] : data;
+  return record;
+}
+
+/** Format timestamp like YYYY-MM-DD HH:MM:SS.mmm (local time), for text output. */
+function textTime(iso) {
+  const d = new Date(iso);
+  const p = (n, w = 2) => String(n).padStart(w, '0');
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} ${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}.${p(d.getMilliseconds(), 3)}`;
+}
+
+/** "[ts] [LEVEL] msg key=value ..." plus data and the error stack on their own lines. */
+function formatText(record) {
+  const { ts, level, msg, err, data, ...fields } = record;
+  const tags = Object.entries(fields).map(([k, v]) => `${k}=${typeof v === 'string' ? v : safeJson(v)}`);
+  let line = `[${textTime(ts)}] [${level.toUpperCase()}] ${msg}${tags.length ? ` (${tags.join(' ')})` : ''}`;
+  if (data !== undefined) line += `\n${util.inspect(data, { depth: 6, breakLength: 120 })}`;
+  for (let e = err; e !== undefined && e !== null; e = e.cause) {
+    line += `\n${e === err ? '' : 'Caused by: '}${e.stack || `${e.type}: ${e.message}`}`;
+  }
+  return line;
+}
+
+/* -------------------- File sink -------------------- */
+
+function periodStamp(rotate, date = new Date()) {
+  const iso = date.toISOString();
+  if (rotate === 'daily') return iso.slice(0, 10);
+  if (rotate === 'hourly') return iso.slice(0, 13);
+  return null;
+}
 
 /**
- * Format timestamp like YYYY-MM-DD HH:MM:SS.mmm
+ * FileSink
+ * Buffers lines and appends them in the background (every FLUSH_INTERVAL_MS
+ * or once FLUSH_BYTES are waiting), one write at a time so order is kept.
+ * Size rotation shifts file -> file.1 -> file.2 ...; daily/hourly rotation
+ * renames the file to file.<UTC date[Thour]>. Only maxFiles old files are kept.
  */
-function now() {
-  const d = new Date();
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  const hh = String(d.getHours()).padStart(2, '0');
-  const mm = String(d.getMinutes()).padStart(2, '0');
-  const ss = String(d.getSeconds()).padStart(2, '0');
-  const ms = String(d.getMilliseconds()).padStart(3, '0');
-  return `${y}-${m}-${day} ${hh}:${mm}:${ss}.${ms}`;
-}
-
-function format(level, msg) {
-  const ts = now();
-
-  if (typeof msg === 'object') {
+class FileSink {
+  constructor({ file, rotate = 'size', maxBytes, maxFiles }) {
+    this.file = path.resolve(file);
+    this.rotate = rotate;
+    this.maxBytes = maxBytes;
+    this.maxFiles = Math.max(1, maxFiles);
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.writing = null;   // promise of the write in progress
+    this.timer = null;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const stat = fs.existsSync(this.file) ? fs.statSync(this.file) : null;
+    this.size = stat ? stat.size : 0;
+    this.period = periodStamp(rotate, stat ? stat.mtime : new Date());
+  }
+
+  write(line) {
+    this.pending.push(line + '\n');
+    this.pendingBytes += Buffer.byteLength(line) + 1;
+    if (this.pendingBytes >= FLUSH_BYTES) this.flush();
+    else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+      this.timer.unref?.();
+    }
+  }
+
+  _take() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const chunk = this.pending.join('');
+    this.pending = [];
+    this.pendingBytes = 0;
+    return chunk;
+  }
+
+  /** @returns {Promise<void>} resolves once everything logged so far is on disk */
+  flush() {
+    const previous = this.writing || Promise.resolve();
+    const chunk = this._take();
+    if (!chunk) return previous;
+    const current = previous.then(async () => {
+      try {
+        this._rotateIfNeeded(Buffer.byteLength(chunk));
+        await fs.promises.appendFile(this.file, chunk);
+        this.size += Buffer.byteLength(chunk);
+      } catch (e) {
+        // Never crash on logging failure
+        console.error('Logger: failed to write to log file:', e.message);
+      }
+    });
+    this.writing = current;
+    current.then(() => { if (this.writing === current) this.writing = null; });
+    return current;
+  }
+
+  /** Writes what is still buffered before the process exits (a write already started is left to finish). */
+  flushSync() {
+    const chunk = this._take();
+    if (!chunk) return;
     try {
-      msg = JSON.stringify(msg);
+      this._rotateIfNeeded(Buffer.byteLength(chunk));
+      fs.appendFileSync(this.file, chunk);
+      this.size += Buffer.byteLength(chunk);
     } catch (e) {
-      msg = String(msg);
+      console.error('Logger: failed to write to log file:', e.message);
     }
   }
 
-  return `[${ts}] [${level.toUpperCase()}] ${msg}`;
+  _rotateIfNeeded(incoming) {
+    const period = periodStamp(this.rotate);
+    let target = null;
+    if (this.rotate === 'size' && this.size > 0 && this.size + incoming > this.maxBytes) target = 'shift';
+    else if (period && period !== this.period) {
+      target = `${this.file}.${this.period}`;
+      this.period = period;
+    }
+    if (!target || !fs.existsSync(this.file)) return;
+
+    if (target === 'shift') {
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        if (fs.existsSync(`${this.file}.${i}`)) fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+      }
+      fs.rmSync(`${this.file}.${this.maxFiles + 1}`, { force: true });
+      fs.renameSync(this.file, `${this.file}.1`);
+    } else {
+      fs.renameSync(this.file, target);
+      const base = path.basename(this.file);
+      const dated = fs.readdirSync(path.dirname(this.file))
+        .filter(n => n.startsWith(`${base}.`) && /^\d{4}-\d{2}-\d{2}(T\d{2})?$/.test(n.slice(base.length + 1)))
+        .sort();
+      for (const n of dated.slice(0, Math.max(0, dated.length - this.maxFiles))) fs.rmSync(path.join(path.dirname(this.file), n), { force: true });
+    }
+    this.size = 0;
+  }
 }
 
-function writeLog(str) {
-  console.log(str);
+process.on('exit', () => sink?.flushSync());
+
+/* -------------------- Configuration -------------------- */
+
+/**
+ * configureLogger(options)
+ * Changes level, console format or file settings; unset options keep their
+ * current value (initially from the environment). Switching files flushes the
+ * old one first.
+ * @param {{ level?: string, format?: 'json'|'text'|null, file?: string|null,
+ *   rotate?: 'size'|'daily'|'hourly'|'none', maxBytes?: number, maxFiles?: number }} [options]
+ */
+export function configureLogger(options = {}) {
+  const next = { ...(settings || envOptions()), ...options };
+  if (!(next.level in LEVELS)) throw new TypeError(`logger: level must be one of ${Object.keys(LEVELS).join(', ')}`);
+  if (next.format && !['json', 'text'].includes(next.format)) throw new TypeError('logger: format must be json or text');
+  if (!ROTATIONS.includes(next.rotate)) throw new TypeError(`logger: rotate must be one of ${ROTATIONS.join(', ')}`);
+
+  const fileChanged = !settings || ['file', 'rotate', 'maxBytes', 'maxFiles'].some(k => next[k] !== settings[k]);
+  if (fileChanged) {
+    if (sink) sink.flush();
+    sink = next.file ? new FileSink(next) : null;
+  }
+  settings = next;
+  threshold = LEVELS[next.level];
+  return { ...settings };
+}
 
-  if (LOG_FILE) {
+function ensureConfigured() {
+  if (!settings) {
     try {
-      fs.appendFileSync(LOG_FILE, str + '\n');
+      configureLogger();
     } catch (e) {
-      // Never crash on logging failure
-      console.error('Logger: failed to write to log file:', e.message);
+      // A bad LOG_* variable must not take the node down; fall back to the defaults
+      settings = null;
+      configureLogger({ ...envOptions(), level: 'info', format: null, rotate: 'size' });
+      console.error(e.message);
     }
   }
 }
 
-function debug(msg) { writeLog(format('debug', msg)); }
-function info(msg)  { writeLog(format('info', msg)); }
-function warn(msg)  { writeLog(format('warn', msg)); }
-function error(msg) { writeLog(format('error', msg)); }
+/** Change the minimum level that is written. */
+export function setLevel(level) {
+  return configureLogger({ level }).level;
+}
+
+/** True when records at this level are written. */
+export function isLevelEnabled(level) {
+  ensureConfigured();
+  return LEVELS[level] >= threshold;
+}
+
+/**
+ * Send log lines to stderr instead of stdout, so stdout only carries a
+ * command's output (used by the fluq CLI).
+ */
+export function logToStderr(enabled = true) {
+  toStderr = !!enabled;
+}
+
+/** @returns {Promise<void>} resolves once buffered file output is written */
+export function flush() {
+  return sink ? sink.flush() : Promise.resolve();
+}
+
+/* -------------------- Loggers -------------------- */
+
+function write(level, bindings, args) {
+  ensureConfigured();
+  if (LEVELS[level] < threshold) return;
+  const record = buildRecord(level, bindings, args);
+  let json;
+  try {
+    json = safeJson(record);
+  } catch (e) {
+    json = JSON.stringify({ ts: record.ts, level, msg: record.msg, log_error: e.message });
+  }
+  const stream = toStderr ? process.stderr : process.stdout;
+  const format = settings.format || (stream.isTTY ? 'text' : 'json');
+  (toStderr ? console.error : console.log)(format === 'text' ? formatText(record) : json);
+  if (sink) sink.write(json);
+}
 
 /**
- * ESM Exports
+ * createLogger(bindings)
+ * @param {object} [bindings] - fields added to every record, e.g. { round_id, node_id }
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function,
+ *   child: (bindings: object) => object, bindings: object }}
  */
-export {
-  debug,
-  info,
-  warn,
-  error,
-};
+export function createLogger(bindings = {}) {
+  const fixed = Object.freeze({ ...bindings });
+  return {
+    bindings: fixed,
+    debug: (...args) => write('debug', fixed, args),
+    info: (...args) => write('info', fixed, args),
+    warn: (...args) => write('warn', fixed, args),
+    error: (...args) => write('error', fixed, args),
+    child: (more = {}) => createLogger({ ...fixed, ...more })
+  };
+}
+
+const root = createLogger();
+
+export const debug = root.debug;
+export const info = root.info;
+export const warn = root.warn;
+export const error = root.error;
+
+/** Logger that adds these fields (round_id, node_id, ...) to every record. */
+export function child(bindings) {
+  return root.child(bindings);
+}